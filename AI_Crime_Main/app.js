@@ -23,6 +23,18 @@ const dashboardRoutes = require('./routes/dashboard');
 // Import passport configuration
 require('./config/passport');
 
+// Background worker for queued analysis jobs
+const analysisWorker = require('./services/analysis-worker');
+const analysisScheduler = require('./services/analysis-scheduler');
+const anomalyMonitor = require('./services/anomaly-monitor');
+const timeZone = require('./services/time-zone');
+
+// Temporal analysis buckets incidents in the agency's zone; fail fast on a typo
+if (!timeZone.isValidTimeZone(config.AGENCY_TIMEZONE)) {
+  console.error(`Invalid AGENCY_TIMEZONE "${config.AGENCY_TIMEZONE}"; use an IANA zone name such as America/Chicago`);
+  process.exit(1);
+}
+
 // Create Express app
 const app = express();
 
@@ -53,15 +65,27 @@ app.use(cors({
   credentials: true
 }));
 
-// Rate limiting
+// Rate limiting; analysis job status polls get their own allowance so
+// watching a long job does not lock the user out of the rest of the app
+const isJobStatusPoll = req => req.method === 'GET' && /^\/analysis\/jobs\/[^/]+$/.test(req.path);
 const limiter = rateLimit({
   windowMs: config.RATE_LIMIT_WINDOW_MS,
   max: config.RATE_LIMIT_MAX_REQUESTS,
   message: 'Too many requests from this IP, please try again later.',
   standardHeaders: true,
-  legacyHeaders: false
+  legacyHeaders: false,
+  skip: isJobStatusPoll
+});
+const jobStatusLimiter = rateLimit({
+  windowMs: config.RATE_LIMIT_WINDOW_MS,
+  max: config.JOB_STATUS_RATE_LIMIT_MAX_REQUESTS,
+  message: 'Too many requests from this IP, please try again later.',
+  standardHeaders: true,
+  legacyHeaders: false,
+  skip: req => !isJobStatusPoll(req)
 });
 app.use(limiter);
+app.use(jobStatusLimiter);
 
 // Logging
 if (config.isDevelopment()) {
@@ -100,6 +124,17 @@ mongoose.connect(config.MONGODB_URI, {
 })
 .then(() => {
   console.log('Connected to MongoDB');
+  // Detectors are synchronous and would block requests while a job runs, so
+  // jobs normally run in scripts/analysis-worker.js instead
+  if (config.AI_JOB_WORKER_ENABLED) {
+    analysisWorker.start();
+  }
+  if (config.AI_SCHEDULER_ENABLED) {
+    analysisScheduler.start();
+  }
+  if (config.AI_ANOMALY_MONITOR_ENABLED) {
+    anomalyMonitor.start();
+  }
 })
 .catch((error) => {
   console.error('MongoDB connection error:', error);
@@ -190,6 +225,7 @@ app.listen(PORT, '0.0.0.0', () => {
   console.log(`Crime Analysis Dashboard running on port ${PORT}`);
   console.log(`Environment: ${config.NODE_ENV}`);
   console.log(`Database: ${config.MONGODB_URI}`);
+  console.log(`Agency time zone: ${timeZone.describe()}`);
 });
 
 module.exports = app;
@@ -1,4 +1,5 @@
 require('dotenv').config();
+const path = require('path');
 
 const config = {
   // Server Configuration
@@ -24,11 +25,56 @@ const config = {
   // Rate Limiting
   RATE_LIMIT_WINDOW_MS: parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000, // 15 minutes
   RATE_LIMIT_MAX_REQUESTS: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) || 100,
+  JOB_STATUS_RATE_LIMIT_MAX_REQUESTS: parseInt(process.env.JOB_STATUS_RATE_LIMIT_MAX_REQUESTS) || 600, // GET /analysis/jobs/:id polls
+  
+  // Agency time zone (IANA name, e.g. America/Chicago): temporal analysis and
+  // charts bucket incidents by local time here, whatever zone the server runs in
+  AGENCY_TIMEZONE: process.env.AGENCY_TIMEZONE || 'UTC',
   
   // AI Analysis Configuration
   AI_PATTERN_CONFIDENCE_THRESHOLD: parseFloat(process.env.AI_PATTERN_CONFIDENCE_THRESHOLD) || 0.7,
   AI_HOTSPOT_RADIUS_KM: parseFloat(process.env.AI_HOTSPOT_RADIUS_KM) || 2.0,
+  AI_CLUSTER_MIN_POINTS: parseInt(process.env.AI_CLUSTER_MIN_POINTS) || 4,
+  AI_SERIES_LINKAGE_THRESHOLD: parseFloat(process.env.AI_SERIES_LINKAGE_THRESHOLD) || 0.55,
   AI_TIME_WINDOW_DAYS: parseInt(process.env.AI_TIME_WINDOW_DAYS) || 30,
+  AI_KDE_CELL_SIZE_KM: parseFloat(process.env.AI_KDE_CELL_SIZE_KM) || 0.25,
+  AI_KDE_BANDWIDTH_KM: parseFloat(process.env.AI_KDE_BANDWIDTH_KM) || 0.5,
+  AI_KDE_MAX_CELLS: parseInt(process.env.AI_KDE_MAX_CELLS) || 40000,
+  AI_NEAR_REPEAT_SPATIAL_BANDS_KM: (process.env.AI_NEAR_REPEAT_SPATIAL_BANDS_KM || '0.1,0.2,0.4,0.8').split(',').map(parseFloat),
+  AI_NEAR_REPEAT_TEMPORAL_BANDS_DAYS: (process.env.AI_NEAR_REPEAT_TEMPORAL_BANDS_DAYS || '7,14,21,28').split(',').map(parseFloat),
+  AI_NEAR_REPEAT_ITERATIONS: parseInt(process.env.AI_NEAR_REPEAT_ITERATIONS) || 99,
+  AI_NEAR_REPEAT_MIN_INCIDENTS: parseInt(process.env.AI_NEAR_REPEAT_MIN_INCIDENTS) || 20,
+  AI_NEAR_REPEAT_MAX_INCIDENTS: parseInt(process.env.AI_NEAR_REPEAT_MAX_INCIDENTS) || 5000, // located incidents per Knox test; detector runs test the most recent ones
+  AI_SCAN_MAX_RADIUS_KM: parseFloat(process.env.AI_SCAN_MAX_RADIUS_KM) || 1.0,
+  AI_SCAN_MAX_WINDOW_DAYS: parseInt(process.env.AI_SCAN_MAX_WINDOW_DAYS) || 14,
+  AI_SCAN_ITERATIONS: parseInt(process.env.AI_SCAN_ITERATIONS) || 99,
+  AI_SCAN_SIGNIFICANCE: parseFloat(process.env.AI_SCAN_SIGNIFICANCE) || 0.05,
+  AI_SCAN_MAX_INCIDENTS: parseInt(process.env.AI_SCAN_MAX_INCIDENTS) || 5000, // located incidents per scan; the most recent are kept
+  AI_RTM_CELL_SIZE_KM: parseFloat(process.env.AI_RTM_CELL_SIZE_KM) || 0.1, // about one city block
+  AI_RTM_DISTANCES_KM: (process.env.AI_RTM_DISTANCES_KM || '0.1,0.2,0.3').split(',').map(parseFloat), // spatial influence tested per layer
+  AI_RTM_MAX_FEATURES: parseInt(process.env.AI_RTM_MAX_FEATURES) || 20000, // per uploaded layer
+  AI_FORECAST_HISTORY_DAYS: parseInt(process.env.AI_FORECAST_HISTORY_DAYS) || 182, // daily counts the forecast models are fitted on
+  AI_FORECAST_HORIZON_DAYS: parseInt(process.env.AI_FORECAST_HORIZON_DAYS) || 7,
+  AI_FORECAST_MIN_INCIDENTS: parseInt(process.env.AI_FORECAST_MIN_INCIDENTS) || 20, // per district and crime type series
+  AI_FORECAST_INTERVAL: parseFloat(process.env.AI_FORECAST_INTERVAL) || 0.9, // prediction interval coverage
+  AI_ANOMALY_BASELINE_DAYS: parseInt(process.env.AI_ANOMALY_BASELINE_DAYS) || 28, // rolling window today's counts are compared with
+  AI_ANOMALY_THRESHOLD: parseFloat(process.env.AI_ANOMALY_THRESHOLD) || 3.5, // robust z-score (median/MAD) that raises an alert
+  AI_ANOMALY_MIN_COUNT: parseInt(process.env.AI_ANOMALY_MIN_COUNT) || 3, // fewer incidents in a day never alert
+  AI_PATTERN_MONITORING_DAYS: parseInt(process.env.AI_PATTERN_MONITORING_DAYS) || 14, // not re-detected: active -> monitoring
+  AI_PATTERN_RESOLVE_DAYS: parseInt(process.env.AI_PATTERN_RESOLVE_DAYS) || 45, // not re-detected: monitoring -> resolved
+  AI_DETECTORS_DIR: process.env.AI_DETECTORS_DIR || path.join(__dirname, '..', 'detectors'), // third-party detector modules
+  
+  // Background Analysis Jobs
+  AI_JOB_WORKER_ENABLED: process.env.AI_JOB_WORKER_ENABLED === 'true', // run jobs in the web process; scripts/analysis-worker.js runs them otherwise
+  AI_JOB_POLL_INTERVAL_MS: parseInt(process.env.AI_JOB_POLL_INTERVAL_MS) || 2000,
+  AI_JOB_MAX_ATTEMPTS: parseInt(process.env.AI_JOB_MAX_ATTEMPTS) || 3,
+  AI_JOB_RETRY_DELAY_MS: parseInt(process.env.AI_JOB_RETRY_DELAY_MS) || 30 * 1000,
+  AI_JOB_STALE_MS: parseInt(process.env.AI_JOB_STALE_MS) || 10 * 60 * 1000, // 10 minutes; must exceed the longest single detector run
+  AI_SCHEDULER_ENABLED: process.env.AI_SCHEDULER_ENABLED !== 'false',
+  AI_SCHEDULER_INTERVAL_MS: parseInt(process.env.AI_SCHEDULER_INTERVAL_MS) || 60 * 1000,
+  AI_ANOMALY_MONITOR_ENABLED: process.env.AI_ANOMALY_MONITOR_ENABLED !== 'false',
+  AI_ANOMALY_CHECK_INTERVAL_MS: parseInt(process.env.AI_ANOMALY_CHECK_INTERVAL_MS) || 15 * 60 * 1000,
+  AI_ANOMALY_WEBHOOK_URL: process.env.AI_ANOMALY_WEBHOOK_URL || null, // also POST new alerts here as JSON
   
   // Pagination
   CASES_PER_PAGE: parseInt(process.env.CASES_PER_PAGE) || 20,
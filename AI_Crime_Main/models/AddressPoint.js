@@ -0,0 +1,89 @@
+const mongoose = require('mongoose');
+
+const addressPointSchema = new mongoose.Schema({
+  address: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  normalizedAddress: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  houseNumber: {
+    type: Number,
+    min: 0
+  },
+  street: {
+    type: String,
+    trim: true
+  },
+  district: {
+    type: String,
+    trim: true
+  },
+  zipCode: {
+    type: String,
+    trim: true
+  },
+  location: {
+    type: {
+      type: String,
+      enum: ['Point'],
+      default: 'Point'
+    },
+    coordinates: {
+      type: [Number], // [longitude, latitude]
+      required: true
+    }
+  },
+  source: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better performance
+addressPointSchema.index({ normalizedAddress: 1 });
+addressPointSchema.index({ street: 1, houseNumber: 1 });
+addressPointSchema.index({ zipCode: 1 });
+addressPointSchema.index({ district: 1 });
+addressPointSchema.index({ source: 1 });
+addressPointSchema.index({ location: '2dsphere' });
+
+// Static method to find the address point nearest to a coordinate pair
+addressPointSchema.statics.findNearest = function(coordinates, maxDistanceMeters = 250) {
+  return this.findOne({
+    location: {
+      $near: {
+        $geometry: {
+          type: 'Point',
+          coordinates
+        },
+        $maxDistance: maxDistanceMeters
+      }
+    }
+  });
+};
+
+// Static method to average the coordinates of every point matching a filter
+addressPointSchema.statics.getCentroid = async function(filter) {
+  const result = await this.aggregate([
+    { $match: filter },
+    {
+      $group: {
+        _id: null,
+        lng: { $avg: { $arrayElemAt: ['$location.coordinates', 0] } },
+        lat: { $avg: { $arrayElemAt: ['$location.coordinates', 1] } },
+        count: { $sum: 1 }
+      }
+    }
+  ]);
+
+  return result.length > 0 && result[0].count > 0 ? result[0] : null;
+};
+
+module.exports = mongoose.model('AddressPoint', addressPointSchema);
@@ -0,0 +1,212 @@
+const mongoose = require('mongoose');
+
+const analysisJobSchema = new mongoose.Schema({
+  jobType: {
+    type: String,
+    enum: ['analysis', 'backtest'],
+    default: 'analysis'
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'succeeded', 'failed', 'cancelled'],
+    default: 'queued'
+  },
+  parameters: mongoose.Schema.Types.Mixed,
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  scheduledAnalysis: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ScheduledAnalysis'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 3
+  },
+  runAfter: {
+    type: Date,
+    default: Date.now
+  },
+  cancelRequested: {
+    type: Boolean,
+    default: false
+  },
+  lockedBy: String, // id of the worker running the job
+  lockedAt: Date,
+  heartbeatAt: Date,
+  startedAt: Date,
+  finishedAt: Date,
+  progress: {
+    percent: {
+      type: Number,
+      min: 0,
+      max: 100,
+      default: 0
+    },
+    currentStep: String,
+    detectors: [{
+      name: String,
+      status: {
+        type: String,
+        enum: ['pending', 'running', 'done', 'failed'],
+        default: 'pending'
+      },
+      patternsFound: Number,
+      durationMs: Number,
+      error: String // third-party detectors fail on their own without failing the job
+    }]
+  },
+  result: {
+    message: String,
+    patternCount: Number,
+    savedCount: Number,
+    patternIds: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'CrimePattern'
+    }],
+    statistics: mongoose.Schema.Types.Mixed,
+    metadata: mongoose.Schema.Types.Mixed,
+    processingTime: Number, // milliseconds
+    // Backtest jobs only: the stored replay
+    backtest: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'BacktestResult'
+    },
+    // Scheduled runs only: patterns compared with the schedule's previous successful run
+    changes: {
+      previousJob: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'AnalysisJob'
+      },
+      newPatternIds: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'CrimePattern'
+      }],
+      disappearedPatternIds: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'CrimePattern'
+      }],
+      continuingCount: Number
+    }
+  },
+  error: String
+}, {
+  timestamps: true
+});
+
+// Indexes for better performance
+analysisJobSchema.index({ status: 1, runAfter: 1, createdAt: 1 });
+analysisJobSchema.index({ requestedBy: 1, createdAt: -1 });
+analysisJobSchema.index({ createdAt: -1 });
+analysisJobSchema.index({ scheduledAnalysis: 1, createdAt: -1 });
+
+// Static method to queue a new job
+analysisJobSchema.statics.enqueue = function(parameters, requestedBy, options = {}) {
+  return this.create({
+    jobType: options.jobType,
+    parameters,
+    requestedBy,
+    scheduledAnalysis: options.scheduledAnalysis,
+    maxAttempts: options.maxAttempts || 3
+  });
+};
+
+// Static method to atomically claim the oldest job that is due to run
+analysisJobSchema.statics.claimNext = function(workerId) {
+  const now = new Date();
+  return this.findOneAndUpdate(
+    { status: 'queued', runAfter: { $lte: now } },
+    {
+      $set: {
+        status: 'running',
+        lockedBy: workerId,
+        lockedAt: now,
+        heartbeatAt: now,
+        startedAt: now,
+        error: null
+      },
+      $inc: { attempts: 1 }
+    },
+    { sort: { createdAt: 1 }, new: true }
+  );
+};
+
+// Static method to requeue running jobs whose worker stopped sending heartbeats.
+// Jobs that have used up their attempts are failed instead, so a job that
+// crashes or hangs its worker is not reclaimed forever.
+analysisJobSchema.statics.requeueStale = async function(staleMs) {
+  const now = new Date();
+  const stale = { status: 'running', heartbeatAt: { $lt: new Date(now.getTime() - staleMs) } };
+
+  const failed = await this.updateMany(
+    { ...stale, $expr: { $gte: ['$attempts', '$maxAttempts'] } },
+    {
+      $set: {
+        status: 'failed',
+        finishedAt: now,
+        error: 'Worker stopped responding on the last attempt',
+        'progress.currentStep': 'Failed'
+      },
+      $unset: { lockedBy: 1, lockedAt: 1 }
+    }
+  );
+  const requeued = await this.updateMany(
+    { ...stale, $expr: { $lt: ['$attempts', '$maxAttempts'] } },
+    {
+      $set: { status: 'queued', runAfter: now, error: 'Worker stopped responding' },
+      $unset: { lockedBy: 1, lockedAt: 1 }
+    }
+  );
+
+  return { requeued: requeued.modifiedCount, failed: failed.modifiedCount };
+};
+
+// Static method to list recent jobs for the analysis dashboard
+analysisJobSchema.statics.findRecent = function(limit = 10, filter = {}) {
+  return this.find(filter)
+    .select('-result.statistics -result.metadata')
+    .populate('requestedBy', 'username firstName lastName')
+    .sort({ createdAt: -1 })
+    .limit(limit);
+};
+
+// Static method to find the most recent successful run of a schedule before a job
+analysisJobSchema.statics.findPreviousScheduledRun = function(job) {
+  return this.findOne({
+    scheduledAnalysis: job.scheduledAnalysis,
+    status: 'succeeded',
+    _id: { $ne: job._id },
+    createdAt: { $lt: job.createdAt }
+  }).sort({ createdAt: -1 });
+};
+
+// Static method to request cancellation; queued jobs are cancelled at once and
+// running jobs are flagged for their worker. Each step only matches the job in
+// the state it expects, so a worker claiming or finishing the job at the same
+// time is never overwritten. Resolves to null once the job has finished.
+analysisJobSchema.statics.cancel = async function(jobId) {
+  const cancelled = await this.findOneAndUpdate(
+    { _id: jobId, status: 'queued' },
+    { $set: { status: 'cancelled', finishedAt: new Date() } },
+    { new: true }
+  );
+  if (cancelled) return cancelled;
+
+  return this.findOneAndUpdate(
+    { _id: jobId, status: 'running' },
+    { $set: { cancelRequested: true } },
+    { new: true }
+  );
+};
+
+// Instance method to check whether the job has reached a final state
+analysisJobSchema.methods.isFinished = function() {
+  return ['succeeded', 'failed', 'cancelled'].includes(this.status);
+};
+
+module.exports = mongoose.model('AnalysisJob', analysisJobSchema);
@@ -0,0 +1,142 @@
+const mongoose = require('mongoose');
+
+/**
+ * An unusually high incident count for one district (all crime types, when
+ * crimeType is null) or one crime type within a district on one agency
+ * calendar day. Re-running detection during the day updates the same alert
+ * with the latest count rather than raising a new one.
+ */
+const anomalyAlertSchema = new mongoose.Schema({
+  date: {
+    type: String, // agency calendar day, YYYY-MM-DD
+    required: true
+  },
+  district: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  crimeType: {
+    type: String,
+    default: null
+  },
+  observed: {
+    type: Number,
+    required: true
+  },
+  expected: Number, // baseline median
+  scale: Number, // robust standard deviation of the baseline
+  score: Number, // (observed - expected) / scale
+  baselineDays: Number,
+  threshold: Number,
+  firstDetectedAt: Date,
+  lastDetectedAt: Date,
+  status: {
+    type: String,
+    enum: ['open', 'acknowledged', 'dismissed'],
+    default: 'open'
+  },
+  statusChangedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  statusChangedAt: Date,
+  // Subscribed users told about the alert, and when they saw it
+  notifications: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    notifiedAt: Date,
+    readAt: Date
+  }],
+  webhookSentAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes for better performance
+anomalyAlertSchema.index({ date: 1, district: 1, crimeType: 1 }, { unique: true });
+anomalyAlertSchema.index({ lastDetectedAt: -1 });
+anomalyAlertSchema.index({ 'notifications.user': 1 });
+
+// Static method to create or update the alert for a detection; created is
+// true only the first time the series is flagged that day. When another
+// process inserts the same alert at the same moment, the upsert loses on the
+// unique index and the detection is applied to that alert instead.
+anomalyAlertSchema.statics.recordDetection = async function(date, anomaly, { baselineDays, threshold, now = new Date() }) {
+  const filter = { date, district: anomaly.district, crimeType: anomaly.crimeType };
+  const latest = {
+    observed: anomaly.observed,
+    expected: anomaly.expected,
+    scale: anomaly.baseline.scale,
+    score: anomaly.score,
+    lastDetectedAt: now
+  };
+
+  try {
+    const result = await this.findOneAndUpdate(
+      filter,
+      {
+        $set: latest,
+        $setOnInsert: { baselineDays, threshold, firstDetectedAt: now, status: 'open' }
+      },
+      { upsert: true, new: true, rawResult: true }
+    );
+    return { alert: result.value, created: !result.lastErrorObject.updatedExisting };
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+    const alert = await this.findOneAndUpdate(filter, { $set: latest }, { new: true });
+    return { alert, created: false };
+  }
+};
+
+// Static method to get alerts detected in the last days, except dismissed ones
+anomalyAlertSchema.statics.findRecent = function(days = 7, now = new Date()) {
+  return this.find({
+    lastDetectedAt: { $gte: new Date(now.getTime() - days * 24 * 60 * 60 * 1000) },
+    status: { $ne: 'dismissed' }
+  })
+  .sort({ date: -1, score: -1 });
+};
+
+// Static method to record which users were notified about an alert
+anomalyAlertSchema.statics.recordNotifications = function(alertId, userIds, now = new Date()) {
+  return this.updateOne(
+    { _id: alertId },
+    { $push: { notifications: { $each: userIds.map(user => ({ user, notifiedAt: now })) } } }
+  );
+};
+
+// Static method to mark a user's notifications as read, for some alerts or all
+anomalyAlertSchema.statics.markRead = function(userId, alertIds = null, now = new Date()) {
+  const filter = { notifications: { $elemMatch: { user: userId, readAt: null } } };
+  if (alertIds) filter._id = { $in: alertIds };
+  return this.updateMany(
+    filter,
+    { $set: { 'notifications.$[entry].readAt': now } },
+    { arrayFilters: [{ 'entry.user': userId, 'entry.readAt': null }] }
+  );
+};
+
+// Instance method to check whether a user has an unread notification for the alert
+anomalyAlertSchema.methods.isUnreadFor = function(userId) {
+  return (this.notifications || []).some(entry => String(entry.user) === String(userId) && !entry.readAt);
+};
+
+// Instance method to acknowledge, dismiss or reopen the alert
+anomalyAlertSchema.methods.setStatus = function(status, userId) {
+  this.status = status;
+  this.statusChangedBy = userId;
+  this.statusChangedAt = new Date();
+  return this.save();
+};
+
+// Virtual for the series the alert is about
+anomalyAlertSchema.virtual('seriesLabel').get(function() {
+  return this.crimeType
+    ? `${this.crimeType.replace(/_/g, ' ')} in ${this.district}`
+    : `All incidents in ${this.district}`;
+});
+
+module.exports = mongoose.model('AnomalyAlert', anomalyAlertSchema);
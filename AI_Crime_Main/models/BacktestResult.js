@@ -0,0 +1,97 @@
+const mongoose = require('mongoose');
+
+// Metrics for one replayed prediction: train up to cutoff, score the horizon after it
+const backtestRunSchema = new mongoose.Schema({
+  cutoff: {
+    type: Date,
+    required: true
+  },
+  trainingStart: Date,
+  horizonEnd: Date,
+  trainingIncidents: {
+    type: Number,
+    default: 0
+  },
+  horizonIncidents: {
+    type: Number,
+    default: 0
+  },
+  predictedAreas: [{
+    areaKey: String,
+    label: String,
+    areaKm2: Number,
+    confidence: Number,
+    hits: Number
+  }],
+  predictedAreaKm2: Number,
+  totalAreaKm2: Number,
+  hits: {
+    type: Number,
+    default: 0
+  },
+  hitRate: Number, // share of horizon incidents inside predicted areas
+  pai: Number, // hit rate divided by share of the study area flagged
+  recaptureRate: Number // horizon hit rate divided by the training-period share of the same areas
+}, {
+  _id: false
+});
+
+const backtestResultSchema = new mongoose.Schema({
+  algorithm: {
+    type: String,
+    required: true
+  },
+  version: {
+    type: String,
+    required: true
+  },
+  parameters: {
+    trainingDays: Number,
+    horizonDays: Number,
+    stepDays: Number,
+    crimeTypes: [String],
+    location: String,
+    areaCellKm: Number
+  },
+  runs: [backtestRunSchema],
+  summary: {
+    runCount: Number,
+    predictedRunCount: Number,
+    meanHitRate: Number,
+    meanPai: Number,
+    meanRecaptureRate: Number
+  },
+  processingTime: Number, // milliseconds
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better performance
+backtestResultSchema.index({ algorithm: 1, version: 1 });
+backtestResultSchema.index({ createdAt: -1 });
+
+// Static method to compare average metrics across algorithm versions
+backtestResultSchema.statics.getVersionComparison = function() {
+  return this.aggregate([
+    {
+      $group: {
+        _id: { algorithm: '$algorithm', version: '$version' },
+        backtests: { $sum: 1 },
+        runs: { $sum: '$summary.runCount' },
+        meanHitRate: { $avg: '$summary.meanHitRate' },
+        meanPai: { $avg: '$summary.meanPai' },
+        meanRecaptureRate: { $avg: '$summary.meanRecaptureRate' },
+        lastRun: { $max: '$createdAt' }
+      }
+    },
+    {
+      $sort: { '_id.algorithm': 1, lastRun: -1 }
+    }
+  ]);
+};
+
+module.exports = mongoose.model('BacktestResult', backtestResultSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const geocoder = require('../services/geocoder');
 
 const caseSchema = new mongoose.Schema({
   caseNumber: {
@@ -50,7 +51,12 @@ const caseSchema = new mongoose.Schema({
     zipCode: {
       type: String,
       trim: true
-    }
+    },
+    geocodeQuality: {
+      type: String,
+      enum: geocoder.GEOCODE_QUALITY
+    },
+    geocodedAt: Date
   },
   tags: [{
     type: String,
@@ -177,6 +183,16 @@ caseSchema.pre('save', async function(next) {
   next();
 });
 
+// Pre-save middleware to geocode the address against the local gazetteer
+caseSchema.pre('save', async function(next) {
+  try {
+    await geocoder.geocodeDocument(this);
+  } catch (error) {
+    console.error('Error geocoding case location:', error);
+  }
+  next();
+});
+
 // Pre-save middleware to update closure fields
 caseSchema.pre('save', function(next) {
   if (this.isModified('status') && this.status === 'closed' && !this.closedAt) {
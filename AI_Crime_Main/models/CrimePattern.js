@@ -1,5 +1,8 @@
 const mongoose = require('mongoose');
 
+// Confidence history entries kept per pattern; older ones are dropped
+const CONFIDENCE_HISTORY_LIMIT = 50;
+
 const crimePatternSchema = new mongoose.Schema({
   patternName: {
     type: String,
@@ -72,6 +75,14 @@ const crimePatternSchema = new mongoose.Schema({
         type: Number,
         default: 0
       }
+    }],
+    hull: {
+      type: [[Number]], // convex hull ring of [longitude, latitude] pairs
+      default: undefined
+    },
+    crimeTypes: [{
+      crimeType: String,
+      count: Number
     }]
   },
   timePattern: {
@@ -97,7 +108,8 @@ const crimePatternSchema = new mongoose.Schema({
     frequency: {
       type: String,
       enum: ['daily', 'weekly', 'monthly', 'seasonal', 'irregular']
-    }
+    },
+    timeZone: String // IANA zone the days and hours are in
   },
   modusOperandi: {
     commonMethods: [String],
@@ -175,6 +187,129 @@ const crimePatternSchema = new mongoose.Schema({
       max: 1
     }
   },
+  // Why the detector gave this confidence: factors, thresholds and contributing incidents
+  explanation: {
+    summary: String,
+    method: String, // weighted-sum, share or statistical-test
+    formula: String,
+    score: Number,
+    factors: [{
+      _id: false,
+      key: String,
+      label: String,
+      value: mongoose.Schema.Types.Mixed,
+      normalized: Number,
+      weight: Number,
+      contribution: Number,
+      description: String
+    }],
+    thresholds: [{
+      _id: false,
+      label: String,
+      value: Number,
+      threshold: Number,
+      operator: String,
+      passed: Boolean
+    }],
+    adjustments: [String],
+    evidence: [{
+      _id: false,
+      label: String,
+      value: String
+    }],
+    contributingIncidents: [{
+      _id: false,
+      incidentId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Incident'
+      },
+      weight: Number,
+      reason: String
+    }]
+  },
+  // Escalation within a crime series, ordered oldest incident first
+  escalation: {
+    trend: {
+      type: String,
+      enum: ['escalating', 'stable', 'de-escalating']
+    },
+    score: Number,
+    risk: {
+      type: String,
+      enum: ['low', 'medium', 'high', 'critical']
+    },
+    latestHarm: Number,
+    signals: [String],
+    timeline: [{
+      _id: false,
+      incidentId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Incident'
+      },
+      dateTime: Date,
+      incidentType: String,
+      severity: String,
+      typeRank: Number,
+      weapon: String,
+      weaponLevel: Number,
+      weaponTerms: [String],
+      suspectCount: Number,
+      linkedWeaponOffenses: Number,
+      harmScore: Number,
+      changes: [String]
+    }],
+    weaponOffenses: [{
+      _id: false,
+      incidentId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Incident'
+      },
+      dateTime: Date,
+      linkedTo: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Incident'
+      },
+      score: Number
+    }]
+  },
+  // Estimated offender anchor point for a crime series (Rossmo criminal geographic targeting)
+  geographicProfile: {
+    method: String,
+    incidentCount: Number,
+    bufferKm: Number,
+    decayExponent: Number,
+    cellSizeKm: Number,
+    huntingAreaKm2: Number,
+    peak: {
+      lat: Number,
+      lng: Number,
+      probability: Number
+    },
+    centerOfMinimumDistance: {
+      lat: Number,
+      lng: Number,
+      meanDistanceKm: Number
+    },
+    searchArea: {
+      areaShare: Number,
+      areaKm2: Number,
+      probability: Number,
+      minIntensity: Number
+    },
+    surface: {
+      origin: {
+        lat: Number,
+        lng: Number
+      },
+      cellSize: {
+        lat: Number,
+        lng: Number
+      },
+      rows: Number,
+      cols: Number,
+      values: [Number]
+    }
+  },
   status: {
     type: String,
     enum: ['active', 'monitoring', 'resolved', 'false_positive'],
@@ -189,6 +324,16 @@ const crimePatternSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
   },
+  assignedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  assignedAt: Date,
+  reviewStatus: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected', 'false_positive'],
+    default: 'pending'
+  },
   reviewedBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
@@ -204,6 +349,37 @@ const crimePatternSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  dateRange: {
+    start: Date,
+    end: Date
+  },
+  expiresAt: Date, // time-limited patterns such as near-repeat risk zones
+  // Run-to-run tracking: analysis runs that re-detect a pattern update it in place
+  firstSeenAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastSeenAt: {
+    type: Date,
+    default: Date.now
+  },
+  timesSeen: {
+    type: Number,
+    default: 1
+  },
+  confidenceHistory: [{
+    _id: false,
+    score: {
+      type: Number,
+      min: 0,
+      max: 1
+    },
+    incidentCount: Number,
+    recordedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   lastUpdated: {
     type: Date,
     default: Date.now
@@ -218,10 +394,13 @@ crimePatternSchema.index({ confidenceScore: -1 });
 crimePatternSchema.index({ status: 1 });
 crimePatternSchema.index({ priority: 1 });
 crimePatternSchema.index({ assignedAnalyst: 1 });
+crimePatternSchema.index({ assignedAnalyst: 1, reviewStatus: 1 });
 crimePatternSchema.index({ 'locationCluster.center': '2dsphere' });
 crimePatternSchema.index({ createdAt: -1 });
 crimePatternSchema.index({ lastUpdated: -1 });
 crimePatternSchema.index({ tags: 1 });
+crimePatternSchema.index({ expiresAt: 1 });
+crimePatternSchema.index({ status: 1, lastSeenAt: 1 });
 
 // Compound indexes
 crimePatternSchema.index({ status: 1, priority: 1 });
@@ -265,6 +444,114 @@ crimePatternSchema.methods.markAsReviewed = function(reviewedBy, notes) {
   return this.save();
 };
 
+// Instance method to apply a fresh detection of this pattern from a later run.
+// Review fields (status aside), assignment and linked cases are left alone.
+crimePatternSchema.methods.recordObservation = function(detected, seenAt = new Date()) {
+  [
+    'description', 'confidenceScore', 'incidents', 'locationCluster', 'timePattern',
+    'modusOperandi', 'suspectProfile', 'predictions', 'analysisMetadata', 'explanation',
+    'escalation', 'geographicProfile', 'tags', 'dateRange', 'expiresAt'
+  ].forEach(field => {
+    if (detected[field] !== undefined) {
+      this[field] = detected[field];
+    }
+  });
+
+  if (!this.reviewedAt && detected.priority) {
+    this.priority = detected.priority;
+  }
+  if (this.status === 'monitoring') {
+    this.status = 'active';
+  }
+
+  this.lastSeenAt = seenAt;
+  this.timesSeen = (this.timesSeen || 1) + 1;
+  this.confidenceHistory.push({
+    score: this.confidenceScore,
+    incidentCount: this.incidents.length,
+    recordedAt: seenAt
+  });
+  if (this.confidenceHistory.length > CONFIDENCE_HISTORY_LIMIT) {
+    this.confidenceHistory.splice(0, this.confidenceHistory.length - CONFIDENCE_HISTORY_LIMIT);
+  }
+  return this;
+};
+
+// Static method to find patterns future runs should match against: open ones,
+// plus false positives so they stay suppressed
+crimePatternSchema.statics.findMatchCandidates = function(patternTypes) {
+  return this.find({
+    status: { $in: ['active', 'monitoring', 'false_positive'] },
+    patternType: { $in: patternTypes }
+  });
+};
+
+// Static method to age out patterns that analysis runs have stopped finding.
+// Patterns saved before run-to-run tracking have no lastSeenAt and count as
+// last seen when they were created.
+crimePatternSchema.statics.ageOutPatterns = async function(monitoringDays, resolveDays, now = new Date()) {
+  const notSeenFor = days => {
+    const cutoff = new Date(now.getTime() - days * 24 * 60 * 60 * 1000);
+    return {
+      $or: [
+        { lastSeenAt: { $lt: cutoff } },
+        { lastSeenAt: null, createdAt: { $lt: cutoff } }
+      ]
+    };
+  };
+
+  const resolved = await this.updateMany(
+    { status: 'monitoring', ...notSeenFor(resolveDays) },
+    { $set: { status: 'resolved', lastUpdated: now } }
+  );
+  const monitoring = await this.updateMany(
+    { status: 'active', ...notSeenFor(monitoringDays) },
+    { $set: { status: 'monitoring', lastUpdated: now } }
+  );
+
+  return {
+    monitoring: monitoring.modifiedCount,
+    resolved: resolved.modifiedCount
+  };
+};
+
+// Instance method to assign the pattern to an analyst; assigning asks for a
+// fresh review even if the pattern was reviewed before
+crimePatternSchema.methods.assignTo = function(analystId, assignedBy) {
+  this.assignedAnalyst = analystId;
+  this.assignedBy = assignedBy;
+  this.assignedAt = new Date();
+  if (analystId) {
+    this.reviewStatus = 'pending';
+    this.markModified('reviewStatus');
+  }
+  return this.save();
+};
+
+// Instance method to record an analyst decision; rejected patterns are closed
+// and false positives are kept so future runs suppress them
+crimePatternSchema.methods.review = function(decision, reviewedBy, notes) {
+  const statusByDecision = {
+    approved: 'active',
+    rejected: 'resolved',
+    false_positive: 'false_positive'
+  };
+  this.reviewStatus = decision;
+  this.status = statusByDecision[decision];
+  return this.markAsReviewed(reviewedBy, notes);
+};
+
+// Static method to list the patterns waiting on an analyst's review
+crimePatternSchema.statics.findReviewQueue = function(analystId) {
+  return this.find({
+    assignedAnalyst: analystId,
+    reviewStatus: 'pending',
+    status: { $in: ['active', 'monitoring'] }
+  })
+  .populate('assignedBy', 'username')
+  .sort({ assignedAt: 1 });
+};
+
 // Static method to find patterns by location
 crimePatternSchema.statics.findByLocation = function(coordinates, radiusKm = 10) {
   const radiusMeters = radiusKm * 1000;
@@ -281,6 +568,14 @@ crimePatternSchema.statics.findByLocation = function(coordinates, radiusKm = 10)
   });
 };
 
+// Static method to resolve active patterns whose expiry window has passed
+crimePatternSchema.statics.expirePatterns = function(now = new Date()) {
+  return this.updateMany(
+    { status: 'active', expiresAt: { $lte: now } },
+    { $set: { status: 'resolved', lastUpdated: now } }
+  );
+};
+
 // Static method to find active patterns
 crimePatternSchema.statics.findActivePatterns = function(limit = 20) {
   return this.find({ status: 'active' })
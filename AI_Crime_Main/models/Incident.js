@@ -1,4 +1,9 @@
 const mongoose = require('mongoose');
+const geocoder = require('../services/geocoder');
+const aoristic = require('../services/aoristic');
+const timeZone = require('../services/time-zone');
+const repeatVictimization = require('../services/repeat-victimization');
+const config = require('../config/config');
 
 const incidentSchema = new mongoose.Schema({
   caseId: {
@@ -50,13 +55,39 @@ const incidentSchema = new mongoose.Schema({
     landmark: {
       type: String,
       trim: true
-    }
+    },
+    geocodeQuality: {
+      type: String,
+      enum: geocoder.GEOCODE_QUALITY
+    },
+    geocodedAt: Date
+  },
+  // Canonical place for repeat location analysis, set on save
+  placeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Place',
+    default: null
   },
   dateTime: {
     type: Date,
     required: true,
     default: Date.now
   },
+  // When the exact time is unknown (e.g. a burglary discovered on return home),
+  // the span it could have happened in; temporal analysis spreads it aoristically
+  occurrenceWindow: {
+    earliest: Date,
+    latest: {
+      type: Date,
+      validate: {
+        validator: function(value) {
+          const earliest = this.occurrenceWindow && this.occurrenceWindow.earliest;
+          return !value || !earliest || value >= earliest;
+        },
+        message: 'Occurrence window must end after it starts'
+      }
+    }
+  },
   reportedBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -78,6 +109,24 @@ const incidentSchema = new mongoose.Schema({
       default: true
     }
   }],
+  victims: [{
+    name: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    dateOfBirth: Date,
+    contact: {
+      phone: String,
+      email: String
+    },
+    // Linked on save when the victim can be matched to a known person
+    victimId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Victim',
+      default: null
+    }
+  }],
   suspects: [{
     name: {
       type: String,
@@ -217,12 +266,40 @@ incidentSchema.index({ severity: 1 });
 incidentSchema.index({ 'location.coordinates': '2dsphere' });
 incidentSchema.index({ tags: 1 });
 incidentSchema.index({ createdAt: -1 });
+incidentSchema.index({ placeId: 1 });
+incidentSchema.index({ 'victims.victimId': 1 });
 
 // Compound indexes
 incidentSchema.index({ caseId: 1, dateTime: -1 });
 incidentSchema.index({ incidentType: 1, dateTime: -1 });
 incidentSchema.index({ status: 1, severity: 1 });
 
+// Pre-save middleware to geocode the address against the local gazetteer
+incidentSchema.pre('save', async function(next) {
+  try {
+    await geocoder.geocodeDocument(this);
+  } catch (error) {
+    // A gazetteer failure should never block an incident report
+    console.error('Error geocoding incident location:', error);
+  }
+  next();
+});
+
+// Pre-save middleware to link the incident to its place and victims
+incidentSchema.pre('save', async function(next) {
+  if (!this.isNew && !this.isModified('location') && !this.isModified('victims')) {
+    return next();
+  }
+
+  try {
+    await repeatVictimization.linkIncident(this);
+  } catch (error) {
+    // Linking can be redone by scripts/link-repeats.js; never block a report
+    console.error('Error linking incident to place and victims:', error);
+  }
+  next();
+});
+
 // Instance method to add witness
 incidentSchema.methods.addWitness = function(witnessData) {
   this.witnesses.push(witnessData);
@@ -336,6 +413,32 @@ incidentSchema.statics.getIncidentsByCase = function(caseId, page = 1, limit = 5
     .sort({ dateTime: -1 });
 };
 
+// Static method to find the other incidents at an incident's place and
+// involving its victims, newest first
+incidentSchema.statics.getRepeatHistory = async function(incident, limit = 20) {
+  const fields = 'incidentNumber title incidentType dateTime severity';
+  const others = { _id: { $ne: incident._id } };
+
+  const placeIncidents = incident.placeId
+    ? await this.find({ ...others, placeId: incident.placeId._id || incident.placeId })
+      .select(fields)
+      .sort({ dateTime: -1 })
+      .limit(limit)
+    : [];
+
+  const victims = [];
+  for (const victim of incident.victims || []) {
+    if (!victim.victimId) continue;
+    const incidents = await this.find({ ...others, 'victims.victimId': victim.victimId })
+      .select(fields)
+      .sort({ dateTime: -1 })
+      .limit(limit);
+    victims.push({ name: victim.name, victimId: victim.victimId, incidents });
+  }
+
+  return { placeIncidents, victims };
+};
+
 // Static method to get recent incidents
 incidentSchema.statics.getRecentIncidents = function(days = 7, limit = 20) {
   const startDate = new Date();
@@ -350,8 +453,11 @@ incidentSchema.statics.getRecentIncidents = function(days = 7, limit = 20) {
   .limit(limit);
 };
 
-// Static method to get incident statistics
+// Static method to get incident statistics; day-of-week and hour buckets are
+// in the agency time zone
 incidentSchema.statics.getIncidentStats = async function() {
+  const localDate = { date: '$dateTime', timezone: config.AGENCY_TIMEZONE };
+
   const totalIncidents = await this.countDocuments();
   
   const incidentsByType = await this.aggregate([
@@ -388,7 +494,7 @@ incidentSchema.statics.getIncidentStats = async function() {
   const incidentsByDayOfWeek = await this.aggregate([
     {
       $group: {
-        _id: { $dayOfWeek: '$dateTime' },
+        _id: { $dayOfWeek: localDate },
         count: { $sum: 1 }
       }
     },
@@ -401,7 +507,7 @@ incidentSchema.statics.getIncidentStats = async function() {
   const incidentsByHour = await this.aggregate([
     {
       $group: {
-        _id: { $hour: '$dateTime' },
+        _id: { $hour: localDate },
         count: { $sum: 1 }
       }
     },
@@ -416,10 +522,22 @@ incidentSchema.statics.getIncidentStats = async function() {
     incidentsBySeverity,
     incidentsByStatus,
     incidentsByDayOfWeek,
-    incidentsByHour
+    incidentsByHour,
+    timeZone: config.AGENCY_TIMEZONE
   };
 };
 
+// Static method to get the aoristic hour-of-week profile of recent incidents
+incidentSchema.statics.getHourOfWeekProfile = async function(days = 90) {
+  const startDate = new Date();
+  startDate.setDate(startDate.getDate() - days);
+
+  const incidents = await this.find({ dateTime: { $gte: startDate } })
+    .select('dateTime occurrenceWindow')
+    .lean();
+  return { days, timeZone: timeZone.describe(), ...aoristic.hourOfWeekProfile(incidents) };
+};
+
 // Static method to get hotspot data
 incidentSchema.statics.getHotspotData = async function(days = 30) {
   const startDate = new Date();
@@ -464,6 +582,11 @@ incidentSchema.virtual('witnessCount').get(function() {
   return this.witnesses.length;
 });
 
+// Virtual for victim count
+incidentSchema.virtual('victimCount').get(function() {
+  return this.victims.length;
+});
+
 // Virtual for suspect count
 incidentSchema.virtual('suspectCount').get(function() {
   return this.suspects.length;
@@ -0,0 +1,115 @@
+const mongoose = require('mongoose');
+
+// Reasons an analyst can give when rejecting a pattern or marking it a false positive
+const REJECTION_REASONS = [
+  'not_a_pattern',
+  'too_few_incidents',
+  'area_too_large',
+  'duplicate',
+  'already_known',
+  'data_quality',
+  'other'
+];
+
+/**
+ * One analyst decision on a CrimePattern. A snapshot of the detector output
+ * (algorithm, version, parameters, confidence, size) is kept with the decision
+ * so thresholds can be tuned against reviews even after the pattern itself is
+ * updated by later runs.
+ */
+const patternReviewSchema = new mongoose.Schema({
+  pattern: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CrimePattern',
+    required: true
+  },
+  decision: {
+    type: String,
+    enum: ['approved', 'rejected', 'false_positive'],
+    required: true
+  },
+  reason: {
+    type: String,
+    enum: REJECTION_REASONS
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: 1000
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  detector: {
+    algorithm: String,
+    version: String,
+    patternType: String,
+    parameters: mongoose.Schema.Types.Mixed,
+    confidenceScore: Number,
+    incidentCount: Number,
+    radiusKm: Number
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better performance
+patternReviewSchema.index({ pattern: 1, createdAt: -1 });
+patternReviewSchema.index({ 'detector.algorithm': 1, decision: 1 });
+
+// Static method to record a decision together with the detector snapshot
+patternReviewSchema.statics.recordDecision = function(pattern, { decision, reason, notes, reviewedBy }) {
+  const metadata = pattern.analysisMetadata || {};
+  return this.create({
+    pattern: pattern._id,
+    decision,
+    reason: decision === 'approved' ? undefined : (reason || 'other'),
+    notes,
+    reviewedBy,
+    detector: {
+      algorithm: metadata.algorithm,
+      version: metadata.version,
+      patternType: pattern.patternType,
+      parameters: metadata.parameters,
+      confidenceScore: pattern.confidenceScore,
+      incidentCount: pattern.incidents ? pattern.incidents.length : 0,
+      radiusKm: pattern.locationCluster ? pattern.locationCluster.radiusKm : undefined
+    }
+  });
+};
+
+// Static method to summarise decisions per algorithm for threshold tuning
+patternReviewSchema.statics.getFeedbackSummary = function() {
+  return this.aggregate([
+    {
+      $group: {
+        _id: { algorithm: '$detector.algorithm', version: '$detector.version' },
+        reviews: { $sum: 1 },
+        approved: { $sum: { $cond: [{ $eq: ['$decision', 'approved'] }, 1, 0] } },
+        rejected: { $sum: { $cond: [{ $eq: ['$decision', 'rejected'] }, 1, 0] } },
+        falsePositives: { $sum: { $cond: [{ $eq: ['$decision', 'false_positive'] }, 1, 0] } },
+        meanApprovedConfidence: {
+          $avg: { $cond: [{ $eq: ['$decision', 'approved'] }, '$detector.confidenceScore', null] }
+        },
+        meanRejectedConfidence: {
+          $avg: { $cond: [{ $ne: ['$decision', 'approved'] }, '$detector.confidenceScore', null] }
+        },
+        reasons: { $push: '$reason' }
+      }
+    },
+    {
+      $sort: { '_id.algorithm': 1, '_id.version': -1 }
+    }
+  ]);
+};
+
+// Static method to list the review history of a pattern
+patternReviewSchema.statics.findForPattern = function(patternId) {
+  return this.find({ pattern: patternId })
+    .populate('reviewedBy', 'username firstName lastName')
+    .sort({ createdAt: -1 });
+};
+
+module.exports = mongoose.model('PatternReview', patternReviewSchema);
@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+// A canonical place incidents are linked to for repeat victimization
+// analysis: one street address in one zip code or district, or one precisely
+// geocoded spot when the incident has no house number or area
+const placeSchema = new mongoose.Schema({
+  key: {
+    type: String, // 'address:<normalized street line>|zip:<zip>' (or '|district:<district>') or 'point:<lat>,<lng>'
+    required: true,
+    unique: true,
+    trim: true
+  },
+  address: {
+    type: String,
+    trim: true
+  },
+  normalizedAddress: {
+    type: String,
+    trim: true
+  },
+  location: {
+    type: {
+      type: String,
+      enum: ['Point'],
+      default: 'Point'
+    },
+    coordinates: {
+      type: [Number] // [longitude, latitude]
+    }
+  },
+  district: {
+    type: String,
+    trim: true
+  },
+  zipCode: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: true
+});
+
+placeSchema.index({ normalizedAddress: 1 });
+placeSchema.index({ district: 1 });
+
+// Static method to find the place with a key, creating it from the given details
+placeSchema.statics.findOrCreateByKey = function(key, details) {
+  return this.findOneAndUpdate(
+    { key },
+    { $setOnInsert: { key, ...details } },
+    { upsert: true, new: true }
+  );
+};
+
+module.exports = mongoose.model('Place', placeSchema);
@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+
+// An environmental layer for risk terrain modeling: the locations of one kind
+// of place (bars, ATMs, transit stops, vacant lots) uploaded by an analyst
+const riskLayerSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  category: {
+    type: String,
+    trim: true,
+    maxlength: 50
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  source: {
+    type: String, // uploaded file name
+    trim: true
+  },
+  features: [{
+    _id: false,
+    name: String,
+    // Polygon and line features are stored as the centroid of their vertices
+    location: {
+      type: {
+        type: String,
+        enum: ['Point'],
+        default: 'Point'
+      },
+      coordinates: {
+        type: [Number], // [longitude, latitude]
+        required: true
+      }
+    }
+  }],
+  featureCount: {
+    type: Number,
+    default: 0
+  },
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+riskLayerSchema.index({ name: 1 });
+
+riskLayerSchema.pre('save', function(next) {
+  this.featureCount = this.features.length;
+  next();
+});
+
+// Static method to list layers without their feature arrays
+riskLayerSchema.statics.listSummaries = function() {
+  return this.find()
+    .select('-features')
+    .populate('uploadedBy', 'username')
+    .sort({ name: 1 });
+};
+
+module.exports = mongoose.model('RiskLayer', riskLayerSchema);
@@ -0,0 +1,110 @@
+const mongoose = require('mongoose');
+const cron = require('../services/cron');
+
+const scheduledAnalysisSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  cronExpression: {
+    type: String,
+    required: true,
+    trim: true,
+    validate: {
+      // Reject expressions that parse but never fire, such as "0 0 30 2 *"
+      validator: value => cron.isValid(value) && cron.nextRun(value) !== null,
+      message: props => `"${props.value}" is not a valid cron expression`
+    }
+  },
+  parameters: {
+    analysisType: {
+      type: String,
+      default: 'comprehensive'
+    },
+    timeRange: {
+      type: String,
+      default: '30days'
+    },
+    location: String,
+    crimeTypes: [String],
+    minConfidence: {
+      type: Number,
+      min: 0,
+      max: 1,
+      default: 0.5
+    },
+    // Per-detector parameter and threshold overrides, validated when saved
+    detectorOptions: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {}
+    }
+  },
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+  nextRunAt: Date,
+  lastRunAt: Date,
+  lastJob: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AnalysisJob'
+  },
+  runCount: {
+    type: Number,
+    default: 0
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better performance
+scheduledAnalysisSchema.index({ enabled: 1, nextRunAt: 1 });
+scheduledAnalysisSchema.index({ createdAt: -1 });
+
+// Pre-save middleware to keep nextRunAt in step with the expression
+scheduledAnalysisSchema.pre('save', function(next) {
+  if (this.isNew || this.isModified('cronExpression') || this.isModified('enabled') || !this.nextRunAt) {
+    this.nextRunAt = this.enabled ? cron.nextRun(this.cronExpression) : null;
+  }
+  next();
+});
+
+// Static method to find enabled schedules whose next run is due
+scheduledAnalysisSchema.statics.findDue = function(now = new Date()) {
+  return this.find({ enabled: true, nextRunAt: { $lte: now } }).sort({ nextRunAt: 1 });
+};
+
+// Static method to claim a due run by moving nextRunAt on; only one process wins
+scheduledAnalysisSchema.statics.claimRun = async function(schedule, now = new Date()) {
+  const result = await this.updateOne(
+    { _id: schedule._id, enabled: true, nextRunAt: schedule.nextRunAt },
+    {
+      $set: { nextRunAt: cron.nextRun(schedule.cronExpression, now), lastRunAt: now },
+      $inc: { runCount: 1 }
+    }
+  );
+  return result.modifiedCount === 1;
+};
+
+// Instance method to describe the schedule in words
+scheduledAnalysisSchema.methods.describeSchedule = function() {
+  return cron.describe(this.cronExpression);
+};
+
+module.exports = mongoose.model('ScheduledAnalysis', scheduledAnalysisSchema);
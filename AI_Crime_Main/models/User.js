@@ -53,6 +53,18 @@ const userSchema = new mongoose.Schema({
   lastLogin: {
     type: Date
   },
+  // Anomaly alerts the user is notified about; empty lists mean every district or crime type
+  alertSubscription: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    districts: [{
+      type: String,
+      trim: true
+    }],
+    crimeTypes: [String]
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -135,6 +147,23 @@ userSchema.statics.findByGoogleId = function(googleId) {
   return this.findOne({ googleId: googleId });
 };
 
+// Static method to find active users subscribed to an anomaly alert's district and crime type
+userSchema.statics.findAlertSubscribers = function(alert) {
+  const crimeTypeMatches = [{ 'alertSubscription.crimeTypes': { $size: 0 } }];
+  if (alert.crimeType) {
+    crimeTypeMatches.push({ 'alertSubscription.crimeTypes': alert.crimeType });
+  }
+
+  return this.find({
+    isActive: true,
+    'alertSubscription.enabled': true,
+    $and: [
+      { $or: [{ 'alertSubscription.districts': { $size: 0 } }, { 'alertSubscription.districts': alert.district }] },
+      { $or: crimeTypeMatches }
+    ]
+  }).select('_id');
+};
+
 // Static method to get users by role
 userSchema.statics.getUsersByRole = function(role, page = 1, limit = 20) {
   const skip = (page - 1) * limit;
@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+// A person victimized in one or more incidents. Incident victims are linked
+// to the same Victim when their names match and they share a date of birth,
+// phone number or email address.
+const victimSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  normalizedName: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  dateOfBirth: Date,
+  phones: [{
+    type: String, // digits only
+    trim: true
+  }],
+  emails: [{
+    type: String,
+    trim: true,
+    lowercase: true
+  }]
+}, {
+  timestamps: true
+});
+
+victimSchema.index({ normalizedName: 1 });
+victimSchema.index({ phones: 1 });
+victimSchema.index({ emails: 1 });
+
+// Static method to find the victim matching a name and any of the identifiers
+victimSchema.statics.findMatch = function(normalizedName, { dateOfBirth, phone, email }) {
+  const identifiers = [];
+  if (dateOfBirth) identifiers.push({ dateOfBirth });
+  if (phone) identifiers.push({ phones: phone });
+  if (email) identifiers.push({ emails: email });
+  if (identifiers.length === 0) return Promise.resolve(null);
+
+  return this.findOne({ normalizedName, $or: identifiers });
+};
+
+module.exports = mongoose.model('Victim', victimSchema);
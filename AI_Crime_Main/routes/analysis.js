@@ -3,7 +3,60 @@ const router = express.Router();
 const Case = require('../models/Case');
 const Incident = require('../models/Incident');
 const CrimePattern = require('../models/CrimePattern');
-const { isAuthenticated } = require('../middleware/auth');
+const BacktestResult = require('../models/BacktestResult');
+const AnalysisJob = require('../models/AnalysisJob');
+const ScheduledAnalysis = require('../models/ScheduledAnalysis');
+const PatternReview = require('../models/PatternReview');
+const RiskLayer = require('../models/RiskLayer');
+const User = require('../models/User');
+const { isAuthenticated, isAdmin, isDetectiveOrAdmin } = require('../middleware/auth');
+const aiAnalysisService = require('../services/ai-analysis');
+const detectorRegistry = require('../services/detector-registry');
+const analysisScheduler = require('../services/analysis-scheduler');
+const cron = require('../services/cron');
+const { toGeoJSON: densityToGeoJSON } = require('../services/kernel-density');
+const riskTerrain = require('../services/risk-terrain');
+const config = require('../config/config');
+
+// Limits on the on-demand near-repeat (Knox) test
+const MAX_NEAR_REPEAT_BANDS = 10;
+const MAX_NEAR_REPEAT_DISTANCE_KM = 5;
+const MAX_NEAR_REPEAT_DAYS = 365;
+
+// Limits on backtests queued from the backtests page
+const MAX_BACKTEST_RUNS = 12;
+const MAX_BACKTEST_STEP_DAYS = 28;
+const MAX_BACKTEST_TRAINING_DAYS = 365;
+
+// Normalise analysis parameters posted from the run and schedule forms.
+// Detector overrides are checked against the detectors' parameter schemas;
+// invalid ones throw an error with `invalid` set.
+const parseAnalysisParameters = (body) => {
+  const { analysisType, timeRange, location, crimeTypes, minConfidence, detectorOptions } = body;
+  const parsedConfidence = parseFloat(minConfidence);
+  const parameters = {
+    analysisType: analysisType || 'comprehensive',
+    timeRange: timeRange || '30days',
+    location: location && location.trim() ? location.trim() : null,
+    crimeTypes: Array.isArray(crimeTypes) ? crimeTypes : (crimeTypes ? [crimeTypes] : []),
+    minConfidence: isNaN(parsedConfidence) ? 0.5 : parsedConfidence
+  };
+
+  try {
+    parameters.detectorOptions = detectorRegistry.validateDetectorOptions(parameters.analysisType, detectorOptions);
+  } catch (error) {
+    error.invalid = true;
+    throw error;
+  }
+  return parameters;
+};
+
+// Reject analysis types no registered detector handles, e.g. a removed plugin's
+const unknownAnalysisType = (res, analysisType, error) => res.status(400).json({
+  success: false,
+  error,
+  details: `Unknown analysis type "${analysisType}"`
+});
 
 // GET /analysis - Analysis dashboard
 router.get('/', isAuthenticated, async (req, res) => {
@@ -33,11 +86,17 @@ router.get('/', isAuthenticated, async (req, res) => {
 
     console.log('Dashboard stats:', stats);
 
+    const recentJobs = await AnalysisJob.findRecent(10);
+    const hourOfWeek = await Incident.getHourOfWeekProfile(90);
+
     res.render('analysis/index', {
       title: 'Crime Analysis - Crime Analysis Dashboard',
       user: req.user,
       recentPatterns,
-      stats
+      recentJobs,
+      stats,
+      hourOfWeek,
+      analysisTypes: detectorRegistry.listAnalysisTypes()
     });
   } catch (error) {
     console.error('Error loading analysis dashboard:', error);
@@ -55,52 +114,413 @@ router.get('/test', (req, res) => {
   res.json({ success: true, message: 'Test endpoint working' });
 });
 
-// POST /analysis/run - Run AI analysis
+// POST /analysis/run - Queue an AI analysis job
 router.post('/run', isAuthenticated, async (req, res) => {
   try {
     console.log('=== ANALYSIS RUN ENDPOINT HIT ===');
-    console.log('Method:', req.method);
-    console.log('Path:', req.path);
-    console.log('Body:', req.body);
     console.log('User:', req.user ? req.user.username : 'No user');
     
-    const { analysisType, timeRange, location, crimeTypes, minConfidence } = req.body;
+    const parameters = parseAnalysisParameters(req.body);
     
-    console.log('Analysis parameters:', {
-      analysisType,
-      timeRange,
-      location,
-      crimeTypes,
-      minConfidence
+    console.log('Analysis parameters:', parameters);
+
+    if (!detectorRegistry.resolve(parameters.analysisType)) {
+      return unknownAnalysisType(res, parameters.analysisType, 'Failed to queue analysis');
+    }
+    
+    const job = await AnalysisJob.enqueue(parameters, req.user._id, {
+      maxAttempts: config.AI_JOB_MAX_ATTEMPTS
     });
     
-    // Simple test response
-    res.json({
+    console.log(`Queued analysis job ${job._id}`);
+    
+    res.status(202).json({
       success: true,
-      message: 'Analysis endpoint working',
-      patterns: [],
-      savedCount: 0,
-      analysisTime: '0ms'
+      message: 'Analysis queued',
+      jobId: job._id,
+      status: job.status,
+      statusUrl: `/analysis/jobs/${job._id}`
     });
     
   } catch (error) {
-    console.error('Analysis error:', error);
+    console.error('Analysis queue error:', error);
+    res.status(error.invalid ? 400 : 500).json({
+      success: false,
+      error: 'Failed to queue analysis',
+      details: error.message
+    });
+  }
+});
+
+// GET /analysis/jobs - Recent analysis jobs
+router.get('/jobs', isAuthenticated, async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.status) {
+      filter.status = req.query.status;
+    }
+    if (req.query.mine === 'true') {
+      filter.requestedBy = req.user._id;
+    }
+
+    const jobs = await AnalysisJob.findRecent(Math.min(100, parseInt(req.query.limit) || 20), filter);
+    res.json({ success: true, jobs });
+  } catch (error) {
+    console.error('Error loading analysis jobs:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to load analysis jobs'
+    });
+  }
+});
+
+// GET /analysis/jobs/:id - Job status and per-detector progress
+router.get('/jobs/:id', isAuthenticated, async (req, res) => {
+  try {
+    const job = await AnalysisJob.findById(req.params.id)
+      .populate('requestedBy', 'username firstName lastName');
+
+    if (!job) {
+      return res.status(404).json({ success: false, error: 'Job not found' });
+    }
+
+    res.json({
+      success: true,
+      job: {
+        _id: job._id,
+        jobType: job.jobType,
+        status: job.status,
+        parameters: job.parameters,
+        requestedBy: job.requestedBy,
+        attempts: job.attempts,
+        maxAttempts: job.maxAttempts,
+        cancelRequested: job.cancelRequested,
+        progress: job.progress,
+        result: job.result,
+        error: job.error,
+        createdAt: job.createdAt,
+        startedAt: job.startedAt,
+        finishedAt: job.finishedAt,
+        finished: job.isFinished()
+      }
+    });
+  } catch (error) {
+    console.error('Error loading analysis job:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to load analysis job'
+    });
+  }
+});
+
+// POST /analysis/jobs/:id/cancel - Cancel a queued or running job
+router.post('/jobs/:id/cancel', isAuthenticated, async (req, res) => {
+  try {
+    const job = await AnalysisJob.findById(req.params.id);
+
+    if (!job) {
+      return res.status(404).json({ success: false, error: 'Job not found' });
+    }
+
+    const isOwner = job.requestedBy && job.requestedBy.toString() === req.user._id.toString();
+    if (!isOwner && req.user.role !== 'admin') {
+      return res.status(403).json({ success: false, error: 'Only the requester or an admin can cancel this job' });
+    }
+
+    if (job.isFinished()) {
+      return res.status(409).json({ success: false, error: `Job already ${job.status}` });
+    }
+
+    const cancelled = await AnalysisJob.cancel(job._id);
+    if (!cancelled) {
+      return res.status(409).json({ success: false, error: 'Job already finished' });
+    }
+    console.log(`Cancellation requested for analysis job ${job._id} by ${req.user.username}`);
+
+    res.json({ success: true, status: cancelled.status, cancelRequested: cancelled.cancelRequested });
+  } catch (error) {
+    console.error('Error cancelling analysis job:', error);
     res.status(500).json({
       success: false,
-      error: 'Internal server error during analysis',
+      error: 'Failed to cancel analysis job'
+    });
+  }
+});
+
+// GET /analysis/detectors - Registered detectors and their defaults
+router.get('/detectors', isAuthenticated, isAdmin, (req, res) => {
+  try {
+    res.render('analysis/detectors', {
+      title: 'Pattern Detectors',
+      user: req.user,
+      detectors: detectorRegistry.list(),
+      analysisTypes: detectorRegistry.listAnalysisTypes(),
+      detectorsDir: config.AI_DETECTORS_DIR
+    });
+  } catch (error) {
+    console.error('Error loading detectors:', error);
+    res.status(500).render('error', {
+      title: 'Error',
+      user: req.user,
+      error: 'Failed to load detectors'
+    });
+  }
+});
+
+// GET /analysis/schedules - Scheduled analyses
+router.get('/schedules', isAuthenticated, async (req, res) => {
+  try {
+    const schedules = await ScheduledAnalysis.find()
+      .populate('createdBy', 'username firstName lastName')
+      .populate('lastJob', 'status result.patternCount result.changes finishedAt')
+      .sort({ createdAt: -1 });
+
+    res.render('analysis/schedules', {
+      title: 'Scheduled Analyses',
+      user: req.user,
+      schedules,
+      canManage: ['admin', 'detective'].includes(req.user.role),
+      crimeTypes: Incident.schema.path('incidentType').enumValues,
+      analysisTypes: detectorRegistry.listAnalysisTypes(),
+      describeCron: cron.describe,
+      agencyTimeZone: config.AGENCY_TIMEZONE
+    });
+  } catch (error) {
+    console.error('Error loading scheduled analyses:', error);
+    res.status(500).render('error', {
+      title: 'Error',
+      user: req.user,
+      error: 'Failed to load scheduled analyses'
+    });
+  }
+});
+
+// POST /analysis/schedules - Create a scheduled analysis
+router.post('/schedules', isAuthenticated, isDetectiveOrAdmin, async (req, res) => {
+  try {
+    const { name, description, cronExpression, enabled } = req.body;
+    const parameters = parseAnalysisParameters(req.body);
+
+    if (!detectorRegistry.resolve(parameters.analysisType)) {
+      return unknownAnalysisType(res, parameters.analysisType, 'Failed to create scheduled analysis');
+    }
+
+    const schedule = await ScheduledAnalysis.create({
+      name,
+      description,
+      cronExpression,
+      parameters,
+      enabled: enabled !== false && enabled !== 'false',
+      createdBy: req.user._id
+    });
+
+    console.log(`Scheduled analysis "${schedule.name}" (${schedule.cronExpression}) created by ${req.user.username}`);
+
+    res.status(201).json({
+      success: true,
+      scheduleId: schedule._id,
+      nextRunAt: schedule.nextRunAt
+    });
+  } catch (error) {
+    console.error('Error creating scheduled analysis:', error);
+    res.status(error.name === 'ValidationError' || error.invalid ? 400 : 500).json({
+      success: false,
+      error: 'Failed to create scheduled analysis',
+      details: error.message
+    });
+  }
+});
+
+// GET /analysis/schedules/:id - Schedule details and run history
+router.get('/schedules/:id', isAuthenticated, async (req, res) => {
+  try {
+    const schedule = await ScheduledAnalysis.findById(req.params.id)
+      .populate('createdBy', 'username firstName lastName');
+
+    if (!schedule) {
+      return res.status(404).render('error', {
+        title: 'Schedule Not Found',
+        user: req.user,
+        error: 'Scheduled analysis not found'
+      });
+    }
+
+    const runs = await AnalysisJob.find({ scheduledAnalysis: schedule._id })
+      .select('-result.statistics -result.metadata -result.patternIds')
+      .populate('result.changes.newPatternIds', 'patternName patternType confidenceScore')
+      .populate('result.changes.disappearedPatternIds', 'patternName patternType confidenceScore')
+      .sort({ createdAt: -1 })
+      .limit(50);
+
+    res.render('analysis/schedule-detail', {
+      title: `Schedule: ${schedule.name}`,
+      user: req.user,
+      schedule,
+      runs,
+      canManage: ['admin', 'detective'].includes(req.user.role),
+      describeCron: cron.describe,
+      agencyTimeZone: config.AGENCY_TIMEZONE
+    });
+  } catch (error) {
+    console.error('Error loading scheduled analysis:', error);
+    res.status(500).render('error', {
+      title: 'Error',
+      user: req.user,
+      error: 'Failed to load scheduled analysis'
+    });
+  }
+});
+
+// PUT /analysis/schedules/:id - Update a scheduled analysis
+router.put('/schedules/:id', isAuthenticated, isDetectiveOrAdmin, async (req, res) => {
+  try {
+    const schedule = await ScheduledAnalysis.findById(req.params.id);
+
+    if (!schedule) {
+      return res.status(404).json({ success: false, error: 'Scheduled analysis not found' });
+    }
+
+    const { name, description, cronExpression, enabled } = req.body;
+    if (name !== undefined) schedule.name = name;
+    if (description !== undefined) schedule.description = description;
+    if (cronExpression !== undefined) schedule.cronExpression = cronExpression;
+    if (enabled !== undefined) schedule.enabled = enabled === true || enabled === 'true';
+    if (req.body.analysisType !== undefined) {
+      const parameters = parseAnalysisParameters(req.body);
+      if (!detectorRegistry.resolve(parameters.analysisType)) {
+        return unknownAnalysisType(res, parameters.analysisType, 'Failed to update scheduled analysis');
+      }
+      schedule.parameters = parameters;
+    }
+    schedule.updatedBy = req.user._id;
+
+    await schedule.save();
+    console.log(`Scheduled analysis "${schedule.name}" updated by ${req.user.username}`);
+
+    res.json({
+      success: true,
+      enabled: schedule.enabled,
+      nextRunAt: schedule.nextRunAt
+    });
+  } catch (error) {
+    console.error('Error updating scheduled analysis:', error);
+    res.status(error.name === 'ValidationError' || error.invalid ? 400 : 500).json({
+      success: false,
+      error: 'Failed to update scheduled analysis',
       details: error.message
     });
   }
 });
 
+// DELETE /analysis/schedules/:id - Delete a scheduled analysis
+router.delete('/schedules/:id', isAuthenticated, isDetectiveOrAdmin, async (req, res) => {
+  try {
+    const schedule = await ScheduledAnalysis.findByIdAndDelete(req.params.id);
+
+    if (!schedule) {
+      return res.status(404).json({ success: false, error: 'Scheduled analysis not found' });
+    }
+
+    console.log(`Scheduled analysis "${schedule.name}" deleted by ${req.user.username}`);
+    res.json({ success: true, message: 'Scheduled analysis deleted' });
+  } catch (error) {
+    console.error('Error deleting scheduled analysis:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete scheduled analysis'
+    });
+  }
+});
+
+// POST /analysis/schedules/:id/run - Queue a run now, outside the schedule
+router.post('/schedules/:id/run', isAuthenticated, isDetectiveOrAdmin, async (req, res) => {
+  try {
+    const schedule = await ScheduledAnalysis.findById(req.params.id);
+
+    if (!schedule) {
+      return res.status(404).json({ success: false, error: 'Scheduled analysis not found' });
+    }
+
+    const job = await analysisScheduler.enqueueRun(schedule, req.user._id);
+    await ScheduledAnalysis.updateOne(
+      { _id: schedule._id },
+      { $set: { lastRunAt: new Date() }, $inc: { runCount: 1 } }
+    );
+
+    res.status(202).json({
+      success: true,
+      jobId: job._id,
+      statusUrl: `/analysis/jobs/${job._id}`
+    });
+  } catch (error) {
+    console.error('Error running scheduled analysis:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to run scheduled analysis'
+    });
+  }
+});
+
+// Users patterns can be assigned to for review
+const findAnalysts = () => User.find({ isActive: true, role: { $in: ['admin', 'detective', 'officer'] } })
+  .select('username firstName lastName role')
+  .sort({ username: 1 });
+
 // GET /analysis/patterns - View all patterns
 router.get('/patterns', isAuthenticated, async (req, res) => {
   try {
-    const patterns = await CrimePattern.find().sort({ createdAt: -1 });
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const filter = {};
+    // False positives stay hidden unless asked for explicitly
+    if (req.query.status !== 'all') {
+      filter.status = req.query.status || { $ne: 'false_positive' };
+    }
+    if (req.query.priority) filter.priority = req.query.priority;
+    if (req.query.type) filter.patternType = req.query.type;
+    if (req.query.reviewStatus) filter.reviewStatus = req.query.reviewStatus;
+    if (req.query.confidence) filter.confidenceScore = { $gte: parseFloat(req.query.confidence) || 0 };
+    if (req.query.analyst === 'me') {
+      filter.assignedAnalyst = req.user._id;
+    } else if (req.query.analyst === 'unassigned') {
+      filter.assignedAnalyst = null;
+    } else if (/^[a-f\d]{24}$/i.test(req.query.analyst || '')) {
+      filter.assignedAnalyst = req.query.analyst;
+    }
+    if (req.query.search) {
+      filter.$or = [
+        { patternName: { $regex: req.query.search, $options: 'i' } },
+        { description: { $regex: req.query.search, $options: 'i' } },
+        { tags: { $regex: req.query.search, $options: 'i' } }
+      ];
+    }
+
+    const patterns = await CrimePattern.find(filter)
+      .populate('assignedAnalyst', 'username firstName lastName')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await CrimePattern.countDocuments(filter);
+    const totalPages = Math.ceil(total / limit);
+
     res.render('analysis/patterns', {
       title: 'Crime Patterns',
       user: req.user,
-      patterns
+      patterns,
+      analysts: await findAnalysts(),
+      total,
+      pagination: {
+        page,
+        totalPages,
+        hasNext: page < totalPages,
+        hasPrev: page > 1,
+        nextPage: page + 1,
+        prevPage: page - 1
+      },
+      filters: req.query
     });
   } catch (error) {
     console.error('Error loading patterns:', error);
@@ -112,6 +532,149 @@ router.get('/patterns', isAuthenticated, async (req, res) => {
   }
 });
 
+// GET /analysis/review-queue - Patterns waiting on an analyst's review
+router.get('/review-queue', isAuthenticated, async (req, res) => {
+  try {
+    // Admins and detectives can look at another analyst's queue
+    const canViewOthers = ['admin', 'detective'].includes(req.user.role);
+    const analystId = canViewOthers && /^[a-f\d]{24}$/i.test(req.query.analyst || '')
+      ? req.query.analyst
+      : req.user._id;
+
+    const [queue, unassignedCount, analysts, feedbackSummary] = await Promise.all([
+      CrimePattern.findReviewQueue(analystId),
+      // Patterns saved before the review workflow have no reviewStatus yet
+      CrimePattern.countDocuments({ assignedAnalyst: null, reviewStatus: { $in: ['pending', null] }, status: 'active' }),
+      canViewOthers ? findAnalysts() : [],
+      canViewOthers ? PatternReview.getFeedbackSummary() : []
+    ]);
+
+    res.render('analysis/review-queue', {
+      title: 'Pattern Review Queue',
+      user: req.user,
+      queue,
+      analystId: analystId.toString(),
+      analysts,
+      unassignedCount,
+      feedbackSummary,
+      canViewOthers
+    });
+  } catch (error) {
+    console.error('Error loading review queue:', error);
+    res.status(500).render('error', {
+      title: 'Error',
+      user: req.user,
+      error: 'Failed to load review queue'
+    });
+  }
+});
+
+// GET /analysis/review-feedback - Review decisions per algorithm, for threshold tuning
+router.get('/review-feedback', isAuthenticated, isDetectiveOrAdmin, async (req, res) => {
+  try {
+    const summary = await PatternReview.getFeedbackSummary();
+    const filter = {};
+    if (req.query.algorithm) filter['detector.algorithm'] = req.query.algorithm;
+    if (req.query.decision) filter.decision = req.query.decision;
+
+    const reviews = await PatternReview.find(filter)
+      .select('-notes')
+      .sort({ createdAt: -1 })
+      .limit(Math.min(1000, parseInt(req.query.limit) || 200))
+      .lean();
+
+    res.json({ success: true, summary, reviews });
+  } catch (error) {
+    console.error('Error loading review feedback:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to load review feedback'
+    });
+  }
+});
+
+// POST /analysis/patterns/:id/assign - Assign a pattern to an analyst
+router.post('/patterns/:id/assign', isAuthenticated, isDetectiveOrAdmin, async (req, res) => {
+  try {
+    const pattern = await CrimePattern.findById(req.params.id);
+
+    if (!pattern) {
+      return res.status(404).json({ success: false, error: 'Pattern not found' });
+    }
+
+    const { analystId } = req.body;
+    let analyst = null;
+    if (analystId) {
+      analyst = await User.findById(analystId).select('username isActive');
+      if (!analyst || !analyst.isActive) {
+        return res.status(400).json({ success: false, error: 'Analyst not found' });
+      }
+    }
+
+    await pattern.assignTo(analyst ? analyst._id : null, req.user._id);
+    console.log(`Pattern ${pattern._id} assigned to ${analyst ? analyst.username : 'nobody'} by ${req.user.username}`);
+
+    res.json({
+      success: true,
+      assignedAnalyst: analyst ? { _id: analyst._id, username: analyst.username } : null
+    });
+  } catch (error) {
+    console.error('Error assigning pattern:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to assign pattern'
+    });
+  }
+});
+
+// POST /analysis/patterns/:id/review - Approve, reject or mark a pattern as a false positive
+router.post('/patterns/:id/review', isAuthenticated, async (req, res) => {
+  try {
+    const pattern = await CrimePattern.findById(req.params.id);
+
+    if (!pattern) {
+      return res.status(404).json({ success: false, error: 'Pattern not found' });
+    }
+
+    const isAssigned = pattern.assignedAnalyst && pattern.assignedAnalyst.toString() === req.user._id.toString();
+    if (!isAssigned && !['admin', 'detective'].includes(req.user.role)) {
+      return res.status(403).json({ success: false, error: 'Only the assigned analyst, a detective or an admin can review this pattern' });
+    }
+
+    const { decision, reason, notes } = req.body;
+    if (!['approved', 'rejected', 'false_positive'].includes(decision)) {
+      return res.status(400).json({ success: false, error: 'Decision must be approved, rejected or false_positive' });
+    }
+    if (decision !== 'approved' && !(notes && notes.trim()) && !reason) {
+      return res.status(400).json({ success: false, error: 'Give a reason or notes when rejecting a pattern' });
+    }
+
+    const trimmedNotes = notes && notes.trim() ? notes.trim() : undefined;
+    await PatternReview.recordDecision(pattern, {
+      decision,
+      reason,
+      notes: trimmedNotes,
+      reviewedBy: req.user._id
+    });
+    await pattern.review(decision, req.user._id, trimmedNotes);
+
+    console.log(`Pattern ${pattern._id} reviewed as ${decision} by ${req.user.username}`);
+
+    res.json({
+      success: true,
+      reviewStatus: pattern.reviewStatus,
+      status: pattern.status
+    });
+  } catch (error) {
+    console.error('Error reviewing pattern:', error);
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      error: 'Failed to review pattern',
+      details: error.message
+    });
+  }
+});
+
 // GET /analysis/hotspots - View hotspots
 router.get('/hotspots', isAuthenticated, async (req, res) => {
   try {
@@ -126,7 +689,12 @@ router.get('/hotspots', isAuthenticated, async (req, res) => {
     res.render('analysis/hotspots', {
       title: 'Crime Hotspots',
       user: req.user,
-      hotspots
+      hotspots,
+      crimeTypes: Incident.schema.path('incidentType').enumValues,
+      densityDefaults: {
+        cellSizeKm: config.AI_KDE_CELL_SIZE_KM,
+        bandwidthKm: config.AI_KDE_BANDWIDTH_KM
+      }
     });
   } catch (error) {
     console.error('Error loading hotspots:', error);
@@ -138,11 +706,486 @@ router.get('/hotspots', isAuthenticated, async (req, res) => {
   }
 });
 
+// GET /analysis/hotspots/density - Kernel density surface as GeoJSON or raw grid
+router.get('/hotspots/density', isAuthenticated, async (req, res) => {
+  try {
+    const { timeRange, startDate, endDate, location, crimeTypes, weighting, format } = req.query;
+    const cellSize = parseFloat(req.query.cellSize);
+    const bandwidth = parseFloat(req.query.bandwidth);
+    const minIntensity = parseFloat(req.query.minIntensity);
+
+    if ((startDate && isNaN(Date.parse(startDate))) || (endDate && isNaN(Date.parse(endDate)))) {
+      return res.status(400).json({ success: false, error: 'Invalid start or end date' });
+    }
+    if (!isNaN(cellSize) && (cellSize < 0.05 || cellSize > 5)) {
+      return res.status(400).json({ success: false, error: 'Cell size must be between 0.05 and 5 km' });
+    }
+    if (!isNaN(bandwidth) && (bandwidth < 0.1 || bandwidth > 10)) {
+      return res.status(400).json({ success: false, error: 'Bandwidth must be between 0.1 and 10 km' });
+    }
+
+    // typeWeights[assault]=2&typeWeights[vandalism]=0.5
+    const typeWeights = {};
+    Object.entries(req.query.typeWeights || {}).forEach(([crimeType, weight]) => {
+      const parsed = parseFloat(weight);
+      if (!isNaN(parsed) && parsed >= 0) typeWeights[crimeType] = parsed;
+    });
+
+    const { surface, metadata } = await aiAnalysisService.computeDensitySurface({
+      timeRange: timeRange || '30days',
+      startDate: startDate || null,
+      endDate: endDate || null,
+      location: location && location.trim() ? location.trim() : null,
+      crimeTypes: Array.isArray(crimeTypes) ? crimeTypes : (crimeTypes ? crimeTypes.split(',') : []),
+      cellSizeKm: isNaN(cellSize) ? config.AI_KDE_CELL_SIZE_KM : cellSize,
+      bandwidthKm: isNaN(bandwidth) ? config.AI_KDE_BANDWIDTH_KM : bandwidth,
+      weighting: weighting === 'count' ? 'count' : 'severity',
+      typeWeights
+    });
+
+    if (!surface) {
+      return res.json({
+        success: false,
+        error: 'No incidents with coordinates match these filters',
+        metadata
+      });
+    }
+
+    if (format === 'grid') {
+      return res.json({ success: true, surface, metadata });
+    }
+
+    res.json({
+      success: true,
+      geojson: densityToGeoJSON(surface, {
+        minRelativeDensity: isNaN(minIntensity) ? 0.02 : minIntensity
+      }),
+      metadata
+    });
+  } catch (error) {
+    console.error('Error computing density surface:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to compute density surface',
+      details: error.message
+    });
+  }
+});
+
+// Filters shared by the temporal view and its data endpoint
+const parseTemporalFilters = (query) => ({
+  timeRange: ['30days', '90days', '1year', '2years'].includes(query.timeRange) ? query.timeRange : '1year',
+  crimeType: query.crimeType && query.crimeType.trim() ? query.crimeType.trim() : null,
+  area: query.area && query.area.trim() ? query.area.trim() : null
+});
+
+// GET /analysis/temporal - Hour-of-week heat grid and seasonal decomposition
+router.get('/temporal', isAuthenticated, async (req, res) => {
+  try {
+    const temporal = await aiAnalysisService.computeTemporalProfile(parseTemporalFilters(req.query));
+
+    res.render('analysis/temporal', {
+      title: 'Temporal Patterns - Crime Analysis Dashboard',
+      user: req.user,
+      temporal,
+      crimeTypes: Incident.schema.path('incidentType').enumValues
+    });
+  } catch (error) {
+    console.error('Error loading temporal analysis:', error);
+    res.status(500).render('error', {
+      title: 'Error',
+      user: req.user,
+      error: 'Failed to load temporal analysis'
+    });
+  }
+});
+
+// GET /analysis/temporal/data - The same analysis as JSON
+router.get('/temporal/data', isAuthenticated, async (req, res) => {
+  try {
+    const temporal = await aiAnalysisService.computeTemporalProfile(parseTemporalFilters(req.query));
+    res.json({ success: true, ...temporal });
+  } catch (error) {
+    console.error('Error computing temporal analysis:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to compute temporal analysis',
+      details: error.message
+    });
+  }
+});
+
+// Filters shared by the risk terrain view and its surface endpoint
+const parseRiskTerrainFilters = (query) => {
+  const layers = Array.isArray(query.layers) ? query.layers : (query.layers ? [query.layers] : []);
+  return {
+    timeRange: ['90days', '1year', '2years'].includes(query.timeRange) ? query.timeRange : '1year',
+    crimeType: query.crimeType && query.crimeType.trim() ? query.crimeType.trim() : null,
+    location: query.location && query.location.trim() ? query.location.trim() : null,
+    layerIds: layers.filter(id => /^[a-f0-9]{24}$/i.test(id))
+  };
+};
+
+// GET /analysis/risk-terrain - Environmental layers and the risk terrain model report
+router.get('/risk-terrain', isAuthenticated, async (req, res) => {
+  try {
+    const filters = parseRiskTerrainFilters(req.query);
+    const layers = await RiskLayer.listSummaries();
+    const terrain = layers.length > 0 ? await aiAnalysisService.computeRiskTerrain(filters) : null;
+
+    res.render('analysis/risk-terrain', {
+      title: 'Risk Terrain - Crime Analysis Dashboard',
+      user: req.user,
+      filters,
+      layers,
+      terrain,
+      crimeTypes: Incident.schema.path('incidentType').enumValues,
+      canManage: ['admin', 'detective'].includes(req.user.role),
+      maxFeatures: config.AI_RTM_MAX_FEATURES
+    });
+  } catch (error) {
+    console.error('Error loading risk terrain:', error);
+    res.status(500).render('error', {
+      title: 'Error',
+      user: req.user,
+      error: 'Failed to load risk terrain'
+    });
+  }
+});
+
+// GET /analysis/risk-terrain/surface - Risk terrain surface as a GeoJSON risk layer
+router.get('/risk-terrain/surface', isAuthenticated, async (req, res) => {
+  try {
+    const { result, metadata } = await aiAnalysisService.computeRiskTerrain(parseRiskTerrainFilters(req.query));
+
+    if (!result) {
+      return res.json({
+        success: false,
+        error: metadata.layerCount === 0
+          ? 'No environmental layers have been uploaded'
+          : 'Too few located incidents to fit a risk terrain model',
+        metadata
+      });
+    }
+
+    res.json({
+      success: true,
+      geojson: riskTerrain.toGeoJSON(result),
+      factors: result.model.factors,
+      highRisk: result.highRisk,
+      metadata
+    });
+  } catch (error) {
+    console.error('Error computing risk terrain:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to compute risk terrain',
+      details: error.message
+    });
+  }
+});
+
+// POST /analysis/risk-terrain/layers - Upload an environmental layer (GeoJSON or CSV file content)
+router.post('/risk-terrain/layers', isAuthenticated, isDetectiveOrAdmin, async (req, res) => {
+  try {
+    const { name, category, description, fileName, content } = req.body;
+
+    if (!name || !name.trim() || !content) {
+      return res.status(400).json({ success: false, error: 'A layer name and file are required' });
+    }
+
+    let parsed;
+    try {
+      parsed = riskTerrain.parseLayer(content, /\.(geo)?json$/i.test(fileName || '') ? 'geojson' : 'csv');
+    } catch (error) {
+      return res.status(400).json({ success: false, error: 'Could not read layer file', details: error.message });
+    }
+
+    if (parsed.features.length === 0) {
+      return res.status(400).json({ success: false, error: 'The file holds no usable locations' });
+    }
+    if (parsed.features.length > config.AI_RTM_MAX_FEATURES) {
+      return res.status(400).json({
+        success: false,
+        error: `Layers are limited to ${config.AI_RTM_MAX_FEATURES} features`,
+        details: `The file holds ${parsed.features.length}`
+      });
+    }
+
+    const layer = await RiskLayer.create({
+      name: name.trim(),
+      category,
+      description,
+      source: fileName,
+      features: parsed.features,
+      uploadedBy: req.user._id
+    });
+
+    console.log(`Risk layer "${layer.name}" (${layer.featureCount} features, ${parsed.skipped} skipped) uploaded by ${req.user.username}`);
+
+    res.status(201).json({
+      success: true,
+      layerId: layer._id,
+      featureCount: layer.featureCount,
+      skipped: parsed.skipped
+    });
+  } catch (error) {
+    console.error('Error uploading risk layer:', error);
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      error: 'Failed to upload risk layer',
+      details: error.message
+    });
+  }
+});
+
+// DELETE /analysis/risk-terrain/layers/:id - Remove an environmental layer
+router.delete('/risk-terrain/layers/:id', isAuthenticated, isDetectiveOrAdmin, async (req, res) => {
+  try {
+    const layer = await RiskLayer.findByIdAndDelete(req.params.id);
+
+    if (!layer) {
+      return res.status(404).json({ success: false, error: 'Risk layer not found' });
+    }
+
+    console.log(`Risk layer "${layer.name}" deleted by ${req.user.username}`);
+    res.json({ success: true, message: 'Risk layer deleted' });
+  } catch (error) {
+    console.error('Error deleting risk layer:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete risk layer'
+    });
+  }
+});
+
+// Filters shared by the repeat victimization view and its data endpoint
+const parseRepeatFilters = (query) => ({
+  timeRange: ['90days', '1year', '2years'].includes(query.timeRange) ? query.timeRange : '1year',
+  crimeType: query.crimeType && query.crimeType.trim() ? query.crimeType.trim() : null,
+  location: query.location && query.location.trim() ? query.location.trim() : null
+});
+
+// GET /analysis/repeat-victimization - Top repeat places and repeat victims
+router.get('/repeat-victimization', isAuthenticated, async (req, res) => {
+  try {
+    const filters = parseRepeatFilters(req.query);
+    const repeats = await aiAnalysisService.computeRepeatVictimization(filters);
+
+    res.render('analysis/repeat-victimization', {
+      title: 'Repeat Victimization - Crime Analysis Dashboard',
+      user: req.user,
+      filters,
+      repeats,
+      crimeTypes: Incident.schema.path('incidentType').enumValues
+    });
+  } catch (error) {
+    console.error('Error loading repeat victimization:', error);
+    res.status(500).render('error', {
+      title: 'Error',
+      user: req.user,
+      error: 'Failed to load repeat victimization report'
+    });
+  }
+});
+
+// GET /analysis/repeat-victimization/data - The same report as JSON
+router.get('/repeat-victimization/data', isAuthenticated, async (req, res) => {
+  try {
+    const repeats = await aiAnalysisService.computeRepeatVictimization(parseRepeatFilters(req.query));
+    res.json({ success: true, ...repeats });
+  } catch (error) {
+    console.error('Error computing repeat victimization:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to compute repeat victimization report',
+      details: error.message
+    });
+  }
+});
+
+// GET /analysis/near-repeat - Knox test tables per crime type
+router.get('/near-repeat', isAuthenticated, async (req, res) => {
+  try {
+    const { timeRange, location, crimeTypes } = req.query;
+    // Band bounds are capped because the test keeps every pair of incidents
+    // closer than the widest spatial band in memory
+    const parseBands = (value, max) => value
+      ? [...new Set(String(value).split(',').map(parseFloat))]
+        .filter(bound => !isNaN(bound) && bound > 0 && bound <= max)
+        .sort((a, b) => a - b)
+      : null;
+    const spatialBandsKm = parseBands(req.query.spatialBands, MAX_NEAR_REPEAT_DISTANCE_KM) || config.AI_NEAR_REPEAT_SPATIAL_BANDS_KM;
+    const temporalBandsDays = parseBands(req.query.temporalBands, MAX_NEAR_REPEAT_DAYS) || config.AI_NEAR_REPEAT_TEMPORAL_BANDS_DAYS;
+    const iterations = Math.max(1, Math.min(999, parseInt(req.query.iterations) || config.AI_NEAR_REPEAT_ITERATIONS));
+
+    if (spatialBandsKm.length === 0 || temporalBandsDays.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Spatial and temporal bands are required',
+        details: `Spatial bands must be up to ${MAX_NEAR_REPEAT_DISTANCE_KM} km and temporal bands up to ${MAX_NEAR_REPEAT_DAYS} days`
+      });
+    }
+    if (spatialBandsKm.length > MAX_NEAR_REPEAT_BANDS || temporalBandsDays.length > MAX_NEAR_REPEAT_BANDS) {
+      return res.status(400).json({
+        success: false,
+        error: `At most ${MAX_NEAR_REPEAT_BANDS} spatial and ${MAX_NEAR_REPEAT_BANDS} temporal bands are allowed`
+      });
+    }
+
+    const incidents = (await aiAnalysisService.getFilteredIncidents({
+      timeRange: timeRange || '90days',
+      location: location && location.trim() ? location.trim() : null,
+      crimeTypes: Array.isArray(crimeTypes) ? crimeTypes : (crimeTypes ? crimeTypes.split(',') : [])
+    })).map(incident => aiAnalysisService.normalizeIncident(incident));
+
+    const locatedCount = incidents.filter(incident => incident.coordinates).length;
+    if (locatedCount > config.AI_NEAR_REPEAT_MAX_INCIDENTS) {
+      return res.status(400).json({
+        success: false,
+        error: 'Too many incidents for a near-repeat test',
+        details: `${locatedCount} located incidents match; narrow the time range, location or crime types ` +
+          `to at most ${config.AI_NEAR_REPEAT_MAX_INCIDENTS}`
+      });
+    }
+
+    const analyses = aiAnalysisService.analyzeNearRepeats(incidents, {
+      spatialBandsKm,
+      temporalBandsDays,
+      iterations
+    });
+
+    res.json({
+      success: true,
+      totalIncidents: incidents.length,
+      results: analyses.map(({ incidents: typeIncidents, ...analysis }) => analysis)
+    });
+  } catch (error) {
+    console.error('Error running near-repeat analysis:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to run near-repeat analysis',
+      details: error.message
+    });
+  }
+});
+
+// GET /analysis/backtests - Backtest history and version comparison
+router.get('/backtests', isAuthenticated, async (req, res) => {
+  try {
+    const backtests = await BacktestResult.find()
+      .select('-runs')
+      .populate('createdBy', 'username')
+      .sort({ createdAt: -1 })
+      .limit(50);
+    const versionComparison = await BacktestResult.getVersionComparison();
+
+    res.render('analysis/backtests', {
+      title: 'Prediction Backtests',
+      user: req.user,
+      backtests,
+      versionComparison
+    });
+  } catch (error) {
+    console.error('Error loading backtests:', error);
+    res.status(500).render('error', {
+      title: 'Error',
+      user: req.user,
+      error: 'Failed to load backtests'
+    });
+  }
+});
+
+// POST /analysis/backtests - Queue a replay of predictive hotspots over history
+router.post('/backtests', isAuthenticated, isDetectiveOrAdmin, async (req, res) => {
+  try {
+    const { endDate, location, crimeTypes } = req.body;
+    const runs = parseInt(req.body.runs);
+    const stepDays = parseInt(req.body.stepDays);
+    const trainingDays = parseInt(req.body.trainingDays);
+    const horizonDays = parseInt(req.body.horizonDays);
+
+    if (endDate && isNaN(Date.parse(endDate))) {
+      return res.status(400).json({ success: false, error: 'Invalid end date' });
+    }
+    if (!isNaN(horizonDays) && (horizonDays < 7 || horizonDays > 14)) {
+      return res.status(400).json({ success: false, error: 'Prediction horizon must be 7 to 14 days' });
+    }
+
+    const parameters = {
+      endDate: endDate ? new Date(endDate) : new Date(),
+      runs: isNaN(runs) ? 4 : Math.max(1, Math.min(MAX_BACKTEST_RUNS, runs)),
+      stepDays: isNaN(stepDays) ? 7 : Math.max(1, Math.min(MAX_BACKTEST_STEP_DAYS, stepDays)),
+      trainingDays: isNaN(trainingDays) ? 90 : Math.max(14, Math.min(MAX_BACKTEST_TRAINING_DAYS, trainingDays)),
+      horizonDays: isNaN(horizonDays) ? 7 : horizonDays,
+      location: location && location.trim() ? location.trim() : null,
+      crimeTypes: Array.isArray(crimeTypes) ? crimeTypes : (crimeTypes ? [crimeTypes] : [])
+    };
+
+    const job = await AnalysisJob.enqueue(parameters, req.user._id, {
+      jobType: 'backtest',
+      maxAttempts: config.AI_JOB_MAX_ATTEMPTS
+    });
+
+    console.log(`Queued backtest job ${job._id}`);
+
+    res.status(202).json({
+      success: true,
+      message: 'Backtest queued',
+      jobId: job._id,
+      status: job.status,
+      statusUrl: `/analysis/jobs/${job._id}`
+    });
+  } catch (error) {
+    console.error('Backtest queue error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to queue backtest',
+      details: error.message
+    });
+  }
+});
+
+// GET /analysis/backtests/:id - View backtest runs
+router.get('/backtests/:id', isAuthenticated, async (req, res) => {
+  try {
+    const backtest = await BacktestResult.findById(req.params.id)
+      .populate('createdBy', 'username');
+
+    if (!backtest) {
+      return res.status(404).render('error', {
+        title: 'Backtest Not Found',
+        user: req.user,
+        error: 'Backtest not found'
+      });
+    }
+
+    res.render('analysis/backtest-detail', {
+      title: `Backtest: ${backtest.algorithm} ${backtest.version}`,
+      user: req.user,
+      backtest
+    });
+  } catch (error) {
+    console.error('Error loading backtest:', error);
+    res.status(500).render('error', {
+      title: 'Error',
+      user: req.user,
+      error: 'Failed to load backtest'
+    });
+  }
+});
+
 // GET /analysis/patterns/:id - View specific pattern
 router.get('/patterns/:id', isAuthenticated, async (req, res) => {
   try {
     const pattern = await CrimePattern.findById(req.params.id)
-      .populate('relatedIncidents');
+      .populate('incidents.incidentId', 'title incidentType dateTime location.address location.district location.coordinates severity status')
+      .populate('cases.caseId', 'caseNumber title status priority createdAt')
+      .populate('explanation.contributingIncidents.incidentId', 'title incidentType dateTime')
+      .populate('escalation.timeline.incidentId', 'title')
+      .populate('assignedAnalyst', 'username firstName lastName')
+      .populate('assignedBy', 'username')
+      .populate('reviewedBy', 'username firstName lastName');
     
     if (!pattern) {
       return res.status(404).render('error', {
@@ -151,11 +1194,19 @@ router.get('/patterns/:id', isAuthenticated, async (req, res) => {
         error: 'Pattern not found'
       });
     }
+
+    const canManage = ['admin', 'detective'].includes(req.user.role);
+    const isAssigned = pattern.assignedAnalyst && pattern.assignedAnalyst._id.toString() === req.user._id.toString();
     
     res.render('analysis/pattern-detail', {
       title: `Pattern: ${pattern.patternName}`,
       user: req.user,
-      pattern
+      pattern,
+      reviews: await PatternReview.findForPattern(pattern._id),
+      analysts: canManage ? await findAnalysts() : [],
+      rejectionReasons: PatternReview.schema.path('reason').enumValues,
+      canAssign: canManage,
+      canReview: canManage || isAssigned
     });
   } catch (error) {
     console.error('Error loading pattern detail:', error);
@@ -254,24 +254,7 @@ router.put('/:id', isAuthenticated, async (req, res) => {
       'critical': 'critical'
     };
 
-    const updateData = {
-      title: title.trim(),
-      description: description.trim(),
-      priority: priorityMap[priority] || 5,
-      severity: severityMap[priority] || 'medium',
-      status,
-      location: {
-        address: location.trim()
-      },
-      tags: [category],
-      updatedAt: new Date()
-    };
-
-    const caseData = await Case.findByIdAndUpdate(
-      req.params.id,
-      updateData,
-      { new: true }
-    );
+    const caseData = await Case.findById(req.params.id);
 
     if (!caseData) {
       return res.status(404).render('error', {
@@ -281,6 +264,20 @@ router.put('/:id', isAuthenticated, async (req, res) => {
       });
     }
 
+    caseData.set({
+      title: title.trim(),
+      description: description.trim(),
+      priority: priorityMap[priority] || 5,
+      severity: severityMap[priority] || 'medium',
+      status,
+      tags: [category]
+    });
+    // Setting only the address keeps coordinates unless the address changed,
+    // in which case the pre-save hook geocodes it again
+    caseData.set('location.address', location.trim());
+
+    await caseData.save();
+
     res.redirect(`/cases/${caseData._id}`);
   } catch (error) {
     console.error('Error updating case:', error);
@@ -3,7 +3,14 @@ const router = express.Router();
 const Case = require('../models/Case');
 const Incident = require('../models/Incident');
 const CrimePattern = require('../models/CrimePattern');
-const { isAuthenticated } = require('../middleware/auth');
+const AnomalyAlert = require('../models/AnomalyAlert');
+const User = require('../models/User');
+const { isAuthenticated, isDetectiveOrAdmin } = require('../middleware/auth');
+const aiAnalysisService = require('../services/ai-analysis');
+const anomalyMonitor = require('../services/anomaly-monitor');
+const aoristic = require('../services/aoristic');
+const timeZone = require('../services/time-zone');
+const config = require('../config/config');
 
 // GET /dashboard - Main dashboard
 router.get('/', isAuthenticated, async (req, res) => {
@@ -29,6 +36,11 @@ router.get('/', isAuthenticated, async (req, res) => {
     // Get chart data for the last 30 days
     const chartData = await getChartData();
 
+    // Anomaly alerts from the last week, and what the user can subscribe to
+    const alerts = await AnomalyAlert.findRecent(7)
+      .populate('statusChangedBy', 'username');
+    const districts = (await Incident.distinct('location.district')).filter(Boolean).sort();
+
     res.render('dashboard/index', {
       title: 'Dashboard - Crime Analysis System',
       user: req.user,
@@ -36,7 +48,12 @@ router.get('/', isAuthenticated, async (req, res) => {
       recentCases,
       recentIncidents,
       recentPatterns,
-      chartData
+      chartData,
+      alerts,
+      alertOptions: {
+        districts,
+        crimeTypes: Incident.schema.path('incidentType').enumValues
+      }
     });
   } catch (error) {
     console.error('Error loading dashboard:', error);
@@ -70,6 +87,153 @@ router.get('/chart-data', isAuthenticated, async (req, res) => {
   }
 });
 
+// GET /dashboard/forecast - Expected incident counts per district and crime type (API)
+router.get('/forecast', isAuthenticated, async (req, res) => {
+  try {
+    const forecast = await aiAnalysisService.forecastCounts({
+      district: req.query.district && req.query.district.trim() ? req.query.district.trim() : null,
+      crimeType: req.query.crimeType && req.query.crimeType.trim() ? req.query.crimeType.trim() : null
+    });
+    res.json({ success: true, ...forecast });
+  } catch (error) {
+    console.error('Error forecasting incident counts:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to forecast incident counts',
+      details: error.message
+    });
+  }
+});
+
+// GET /dashboard/alerts - Anomaly alerts from the last days (API)
+router.get('/alerts', isAuthenticated, async (req, res) => {
+  try {
+    const days = Math.min(Math.max(parseInt(req.query.days) || 7, 1), 90);
+    const alerts = await AnomalyAlert.findRecent(days);
+
+    res.json({
+      success: true,
+      unread: alerts.filter(alert => alert.isUnreadFor(req.user._id)).length,
+      alerts: alerts.map(alert => ({
+        _id: alert._id,
+        date: alert.date,
+        district: alert.district,
+        crimeType: alert.crimeType,
+        seriesLabel: alert.seriesLabel,
+        observed: alert.observed,
+        expected: alert.expected,
+        score: alert.score,
+        status: alert.status,
+        unread: alert.isUnreadFor(req.user._id),
+        lastDetectedAt: alert.lastDetectedAt
+      }))
+    });
+  } catch (error) {
+    console.error('Error fetching anomaly alerts:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch anomaly alerts',
+      details: error.message
+    });
+  }
+});
+
+// POST /dashboard/alerts/check - Check today's counts for anomalies now
+router.post('/alerts/check', isAuthenticated, isDetectiveOrAdmin, async (req, res) => {
+  try {
+    const result = await anomalyMonitor.check();
+    console.log(`Anomaly check run by ${req.user.username}: ${result.anomalies.length} anomalies, ${result.created.length} new`);
+
+    res.json({
+      success: true,
+      date: result.date,
+      checked: result.checked,
+      anomalies: result.anomalies.length,
+      created: result.created.length
+    });
+  } catch (error) {
+    console.error('Error checking for anomalies:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to check for anomalies',
+      details: error.message
+    });
+  }
+});
+
+// POST /dashboard/alerts/read - Mark the user's alert notifications as read
+router.post('/alerts/read', isAuthenticated, async (req, res) => {
+  try {
+    const result = await AnomalyAlert.markRead(req.user._id);
+    res.json({ success: true, marked: result.modifiedCount });
+  } catch (error) {
+    console.error('Error marking alerts read:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to mark alerts read',
+      details: error.message
+    });
+  }
+});
+
+// POST /dashboard/alerts/subscription - Choose which anomaly alerts notify the user
+router.post('/alerts/subscription', isAuthenticated, async (req, res) => {
+  try {
+    const toList = value => (Array.isArray(value) ? value : (value ? [value] : []))
+      .map(item => item.trim())
+      .filter(Boolean);
+    const crimeTypes = Incident.schema.path('incidentType').enumValues;
+
+    const alertSubscription = {
+      enabled: req.body.enabled === 'on' || req.body.enabled === 'true',
+      districts: toList(req.body.districts),
+      crimeTypes: toList(req.body.crimeTypes).filter(type => crimeTypes.includes(type))
+    };
+    await User.updateOne({ _id: req.user._id }, { $set: { alertSubscription } });
+    console.log(`Alert subscription ${alertSubscription.enabled ? 'enabled' : 'disabled'} by ${req.user.username}`);
+
+    res.redirect('/dashboard#anomaly-alerts');
+  } catch (error) {
+    console.error('Error saving alert subscription:', error);
+    res.status(500).render('error', {
+      title: 'Error',
+      user: req.user,
+      error: 'Failed to save alert subscription'
+    });
+  }
+});
+
+// POST /dashboard/alerts/:id/status - Acknowledge, dismiss or reopen an alert
+router.post('/alerts/:id/status', isAuthenticated, isDetectiveOrAdmin, async (req, res) => {
+  try {
+    const { status } = req.body;
+    if (!['open', 'acknowledged', 'dismissed'].includes(status)) {
+      return res.status(400).json({ success: false, error: 'Status must be open, acknowledged or dismissed' });
+    }
+
+    const alert = await AnomalyAlert.findById(req.params.id);
+    if (!alert) {
+      return res.status(404).json({ success: false, error: 'Alert not found' });
+    }
+
+    await alert.setStatus(status, req.user._id);
+    await AnomalyAlert.markRead(req.user._id, [alert._id]);
+    console.log(`Anomaly alert ${alert._id} marked ${status} by ${req.user.username}`);
+
+    res.json({ success: true, status: alert.status });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(404).json({ success: false, error: 'Alert not found' });
+    }
+    console.error('Error updating anomaly alert:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update anomaly alert',
+      details: error.message
+    });
+  }
+});
+
 // GET /dashboard/api/activity - Get recent activity (API)
 router.get('/api/activity', isAuthenticated, async (req, res) => {
   try {
@@ -184,10 +348,13 @@ async function getDashboardStats() {
   };
 }
 
-// Helper function to get chart data
+// Helper function to get chart data. Days and hours are bucketed in the
+// agency time zone so the charts do not shift with the server's zone or DST.
 async function getChartData() {
   const now = new Date();
-  const thirtyDaysAgo = new Date(now.getTime() - 30 * 24 * 60 * 60 * 1000);
+  const days = timeZone.recentDays(30, now);
+  // One extra day so the oldest local day is complete whatever the zone offset
+  const thirtyDaysAgo = new Date(now.getTime() - 31 * 24 * 60 * 60 * 1000);
 
   // Daily incident counts for the last 30 days
   const dailyIncidents = await Incident.aggregate([
@@ -199,9 +366,9 @@ async function getChartData() {
     {
       $group: {
         _id: {
-          year: { $year: '$dateTime' },
-          month: { $month: '$dateTime' },
-          day: { $dayOfMonth: '$dateTime' }
+          year: { $year: { date: '$dateTime', timezone: config.AGENCY_TIMEZONE } },
+          month: { $month: { date: '$dateTime', timezone: config.AGENCY_TIMEZONE } },
+          day: { $dayOfMonth: { date: '$dateTime', timezone: config.AGENCY_TIMEZONE } }
         },
         count: { $sum: 1 }
       }
@@ -221,9 +388,9 @@ async function getChartData() {
     {
       $group: {
         _id: {
-          year: { $year: '$createdAt' },
-          month: { $month: '$createdAt' },
-          day: { $dayOfMonth: '$createdAt' }
+          year: { $year: { date: '$createdAt', timezone: config.AGENCY_TIMEZONE } },
+          month: { $month: { date: '$createdAt', timezone: config.AGENCY_TIMEZONE } },
+          day: { $dayOfMonth: { date: '$createdAt', timezone: config.AGENCY_TIMEZONE } }
         },
         count: { $sum: 1 }
       }
@@ -243,18 +410,13 @@ async function getChartData() {
     }
   ]);
 
-  // Hourly incident distribution
-  const hourlyDistribution = await Incident.aggregate([
-    {
-      $group: {
-        _id: { $hour: '$dateTime' },
-        count: { $sum: 1 }
-      }
-    },
-    {
-      $sort: { '_id': 1 }
-    }
-  ]);
+  // Hour-of-week profile for the last 90 days; incidents with an occurrence
+  // window count fractionally in each hour it covers
+  const hourOfWeek = await Incident.getHourOfWeekProfile(90);
+
+  // Expected incidents today and over the next week, from the model that
+  // forecast recent weeks best
+  const { forecastDates, overall, level } = await aiAnalysisService.forecastCounts({ perSeries: false, now });
 
   // Format data for charts
   const labels = [];
@@ -262,16 +424,9 @@ async function getChartData() {
   const caseData = [];
 
   // Create labels for the last 30 days
-  for (let i = 29; i >= 0; i--) {
-    const date = new Date(now.getTime() - i * 24 * 60 * 60 * 1000);
-    labels.push(date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' }));
-    
-    // Find data for this date
-    const dateKey = {
-      year: date.getFullYear(),
-      month: date.getMonth() + 1,
-      day: date.getDate()
-    };
+  days.forEach(dateKey => {
+    const calendarDate = new Date(Date.UTC(dateKey.year, dateKey.month - 1, dateKey.day));
+    labels.push(calendarDate.toLocaleDateString('en-US', { month: 'short', day: 'numeric', timeZone: 'UTC' }));
 
     const incidentCount = dailyIncidents.find(d => 
       d._id.year === dateKey.year && 
@@ -287,22 +442,35 @@ async function getChartData() {
 
     incidentData.push(incidentCount);
     caseData.push(caseCount);
-  }
+  });
 
   return {
+    timeZone: timeZone.describe(),
     timeline: {
       labels,
       incidents: incidentData,
-      cases: caseData
+      cases: caseData,
+      // Starts today, the last day of the actuals above
+      forecast: overall.forecast ? {
+        labels: forecastDates.map(date => date.toLocaleDateString('en-US', { month: 'short', day: 'numeric', timeZone: 'UTC' })),
+        mean: overall.forecast.daily.map(day => day.mean),
+        lower: overall.forecast.daily.map(day => day.lower),
+        upper: overall.forecast.daily.map(day => day.upper),
+        total: overall.forecast.total,
+        level,
+        model: overall.forecast.label,
+        backtest: overall.forecast.backtest
+      } : null
     },
     severity: severityDistribution.map(item => ({
       label: item._id || 'Unknown',
       value: item.count
     })),
-    hourly: hourlyDistribution.map(item => ({
-      hour: item._id,
-      count: item.count
-    }))
+    hourly: aoristic.hourTotals(hourOfWeek.values).map((count, hour) => ({
+      hour,
+      count: Math.round(count * 10) / 10
+    })),
+    hourOfWeek
   };
 }
 
@@ -3,6 +3,53 @@ const router = express.Router();
 const Incident = require('../models/Incident');
 const Case = require('../models/Case');
 const { isAuthenticated } = require('../middleware/auth');
+const timeZone = require('../services/time-zone');
+
+// Error for form input the user has to correct; answered with 400
+const invalidInput = (message) => Object.assign(new Error(message), { invalid: true });
+
+// Reported date and time from the form, a wall-clock time on the agency's clock
+const parseDateTime = (dateTime) => {
+  const parsed = timeZone.fromLocalInput(dateTime);
+  if (!parsed) {
+    throw invalidInput('Date & Time must be a valid date and time');
+  }
+  return parsed;
+};
+
+// Occurrence window from the form's "occurred between" fields, or null when
+// both are blank. A missing end falls back to the reported date and time.
+// The fields are wall-clock times on the agency's clock, like the form shows.
+const parseOccurrenceWindow = ({ occurrenceEarliest, occurrenceLatest }, dateTime) => {
+  if (!occurrenceEarliest && !occurrenceLatest) {
+    return null;
+  }
+
+  const earliest = timeZone.fromLocalInput(occurrenceEarliest || dateTime);
+  const latest = timeZone.fromLocalInput(occurrenceLatest || dateTime);
+  if (!earliest || !latest) {
+    throw invalidInput('Occurred between must be a valid date and time');
+  }
+  if (earliest > latest) {
+    throw invalidInput('The occurrence window must not end before it starts');
+  }
+  return { earliest, latest };
+};
+
+// Victims from the form's victims[i][...] fields, skipping rows without a name
+const parseVictims = (victims) => {
+  const rows = Array.isArray(victims) ? victims : Object.values(victims || {});
+  return rows
+    .filter(victim => victim && victim.name && victim.name.trim())
+    .map(victim => ({
+      name: victim.name.trim(),
+      dateOfBirth: victim.dateOfBirth ? new Date(victim.dateOfBirth) : undefined,
+      contact: {
+        phone: victim.phone ? victim.phone.trim() : undefined,
+        email: victim.email ? victim.email.trim() : undefined
+      }
+    }));
+};
 
 // GET /incidents - List all incidents
 router.get('/', isAuthenticated, async (req, res) => {
@@ -69,7 +116,8 @@ router.get('/new', isAuthenticated, async (req, res) => {
       user: req.user,
       error: null,
       formData: {},
-      openCases
+      openCases,
+      timeZone
     });
   } catch (error) {
     console.error('Error loading new incident form:', error);
@@ -91,6 +139,7 @@ router.post('/', isAuthenticated, async (req, res) => {
       dateTime,
       severity,
       witnesses,
+      victims,
       evidence,
       caseId
     } = req.body;
@@ -122,9 +171,11 @@ router.post('/', isAuthenticated, async (req, res) => {
       location: {
         address: location
       },
-      dateTime: new Date(dateTime),
+      dateTime: parseDateTime(dateTime),
+      occurrenceWindow: parseOccurrenceWindow(req.body, dateTime) || undefined,
       severity: severityMap[severity] || 'moderate',
       witnesses: witnessesArray,
+      victims: parseVictims(victims),
       evidence: evidenceArray,
       reportedBy: req.user._id,
       caseId: (caseId && caseId.trim() !== '') ? caseId : null
@@ -139,12 +190,14 @@ router.post('/', isAuthenticated, async (req, res) => {
       .select('caseNumber title')
       .sort({ createdAt: -1 });
 
-    res.render('incidents/new', {
+    const invalid = error.invalid || error.name === 'ValidationError';
+    res.status(invalid ? 400 : 500).render('incidents/new', {
       title: 'Report Incident - Crime Analysis Dashboard',
       user: req.user,
-      error: 'Failed to create incident. Please try again.',
+      error: invalid ? error.message : 'Failed to create incident. Please try again.',
       formData: req.body,
-      openCases
+      openCases,
+      timeZone
     });
   }
 });
@@ -154,7 +207,8 @@ router.get('/:id', isAuthenticated, async (req, res) => {
   try {
     const incident = await Incident.findById(req.params.id)
       .populate('reportedBy', 'username badgeNumber department')
-      .populate('caseId', 'caseNumber title status');
+      .populate('caseId', 'caseNumber title status')
+      .populate('placeId', 'address district');
 
     if (!incident) {
       return res.status(404).render('error', {
@@ -164,10 +218,13 @@ router.get('/:id', isAuthenticated, async (req, res) => {
       });
     }
 
+    const repeatHistory = await Incident.getRepeatHistory(incident);
+
     res.render('incidents/detail', {
       title: `${incident.incidentNumber} - Crime Analysis Dashboard`,
       user: req.user,
-      incident
+      incident,
+      repeatHistory
     });
   } catch (error) {
     console.error('Error fetching incident:', error);
@@ -200,7 +257,8 @@ router.get('/:id/edit', isAuthenticated, async (req, res) => {
       user: req.user,
       incident,
       openCases,
-      error: null
+      error: null,
+      timeZone
     });
   } catch (error) {
     console.error('Error fetching incident for edit:', error);
@@ -219,30 +277,25 @@ router.put('/:id', isAuthenticated, async (req, res) => {
       type,
       description,
       location,
+      latitude,
+      longitude,
       dateTime,
       severity,
       witnesses,
+      victims,
       evidence,
       caseId
     } = req.body;
 
-    const oldIncident = await Incident.findById(req.params.id);
-    
-    const incident = await Incident.findByIdAndUpdate(
-      req.params.id,
-      {
-        type,
-        description,
-        location,
-        dateTime: new Date(dateTime),
-        severity,
-        witnesses,
-        evidence,
-        caseId: caseId || null,
-        updatedAt: new Date()
-      },
-      { new: true }
-    );
+    // Map severity values from form to model enum
+    const severityMap = {
+      'low': 'minor',
+      'medium': 'moderate',
+      'high': 'serious',
+      'critical': 'critical'
+    };
+
+    const incident = await Incident.findById(req.params.id);
 
     if (!incident) {
       return res.status(404).render('error', {
@@ -252,15 +305,49 @@ router.put('/:id', isAuthenticated, async (req, res) => {
       });
     }
 
+    const previousCaseId = incident.caseId ? incident.caseId.toString() : null;
+
+    incident.set({
+      incidentType: type,
+      description,
+      dateTime: parseDateTime(dateTime),
+      severity: severityMap[severity] || severity,
+      caseId: caseId || null
+    });
+    if (Array.isArray(witnesses)) incident.witnesses = witnesses;
+    incident.victims = parseVictims(victims);
+    if (Array.isArray(evidence)) incident.evidence = evidence;
+    incident.set('location.address', location ? location.trim() : '');
+    incident.set('occurrenceWindow', parseOccurrenceWindow(req.body, dateTime) || undefined);
+
+    // Coordinates typed into the form override the gazetteer; clearing them
+    // hands the location back to the geocoder
+    const lat = parseFloat(latitude);
+    const lng = parseFloat(longitude);
+    const current = incident.location.coordinates || [];
+    if (!isNaN(lat) && !isNaN(lng)) {
+      const moved = current.length !== 2 ||
+        Math.abs(current[0] - lng) > 1e-7 || Math.abs(current[1] - lat) > 1e-7;
+      if (moved) {
+        incident.set('location.coordinates', [lng, lat]);
+        incident.set('location.geocodeQuality', 'manual');
+      }
+    } else if (incident.location.geocodeQuality === 'manual') {
+      incident.set('location.coordinates', undefined);
+      incident.set('location.geocodeQuality', undefined);
+    }
+
+    await incident.save();
+
     // Update case associations
-    if (oldIncident.caseId && oldIncident.caseId.toString() !== caseId) {
+    if (previousCaseId && previousCaseId !== caseId) {
       // Remove from old case
-      await Case.findByIdAndUpdate(oldIncident.caseId, {
+      await Case.findByIdAndUpdate(previousCaseId, {
         $pull: { incidents: incident._id }
       });
     }
 
-    if (caseId && oldIncident.caseId?.toString() !== caseId) {
+    if (caseId && previousCaseId !== caseId) {
       // Add to new case
       await Case.findByIdAndUpdate(caseId, {
         $push: { incidents: incident._id }
@@ -275,12 +362,14 @@ router.put('/:id', isAuthenticated, async (req, res) => {
       .select('caseNumber title')
       .sort({ createdAt: -1 });
 
-    res.render('incidents/edit', {
+    const invalid = error.invalid || error.name === 'ValidationError';
+    res.status(invalid ? 400 : 500).render('incidents/edit', {
       title: `Edit ${incident.incidentNumber} - Crime Analysis Dashboard`,
       user: req.user,
       incident,
       openCases,
-      error: 'Failed to update incident. Please try again.'
+      error: invalid ? error.message : 'Failed to update incident. Please try again.',
+      timeZone
     });
   }
 });
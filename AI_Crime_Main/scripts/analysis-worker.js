@@ -0,0 +1,46 @@
+/**
+ * Run the analysis job worker, scheduler and anomaly monitor as their own
+ * process. Detectors run synchronously, so analysis jobs must not share an
+ * event loop with the web server: the web process leaves the worker off
+ * unless AI_JOB_WORKER_ENABLED=true, and queued jobs wait until this script
+ * runs. The scheduler and monitor are safe to run here and in the web process
+ * at once; start the web server with AI_SCHEDULER_ENABLED=false and
+ * AI_ANOMALY_MONITOR_ENABLED=false to keep them out of it as well.
+ *
+ * Usage:
+ *   node scripts/analysis-worker.js
+ */
+
+const mongoose = require('mongoose');
+const config = require('../config/config');
+const analysisWorker = require('../services/analysis-worker');
+const analysisScheduler = require('../services/analysis-scheduler');
+const anomalyMonitor = require('../services/anomaly-monitor');
+
+async function main() {
+  await mongoose.connect(config.MONGODB_URI, {
+    useNewUrlParser: true,
+    useUnifiedTopology: true
+  });
+  console.log('Connected to MongoDB');
+
+  analysisWorker.start();
+  analysisScheduler.start();
+  anomalyMonitor.start();
+
+  const shutdown = async (signal) => {
+    console.log(`${signal} received, finishing current job...`);
+    analysisScheduler.stop();
+    anomalyMonitor.stop();
+    await analysisWorker.stop();
+    await mongoose.disconnect();
+    process.exit(0);
+  };
+  process.on('SIGINT', () => shutdown('SIGINT'));
+  process.on('SIGTERM', () => shutdown('SIGTERM'));
+}
+
+main().catch(error => {
+  console.error('Analysis worker failed to start:', error);
+  process.exit(1);
+});
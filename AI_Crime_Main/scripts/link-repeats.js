@@ -0,0 +1,61 @@
+/**
+ * Link existing incidents to places and victims for repeat victimization
+ * analysis. New and edited incidents are linked when saved; run this once
+ * after upgrading, or after loading a gazetteer that makes more coordinates
+ * precise enough to identify a place. Run it with --all when place keys
+ * change, e.g. since street addresses are keyed with their zip code or
+ * district; places no incident links to any more are left unused.
+ *
+ * Usage:
+ *   node scripts/link-repeats.js [--all]
+ *
+ * --all  relink every incident, not only those without a place
+ */
+
+const mongoose = require('mongoose');
+const config = require('../config/config');
+const Incident = require('../models/Incident');
+const repeatVictimization = require('../services/repeat-victimization');
+
+async function linkIncidents({ all }) {
+  const filter = all ? {} : { $or: [{ placeId: null }, { victims: { $elemMatch: { victimId: null } } }] };
+  const cursor = Incident.find(filter).cursor();
+
+  let total = 0;
+  let placed = 0;
+  let victims = 0;
+  for (let doc = await cursor.next(); doc != null; doc = await cursor.next()) {
+    await repeatVictimization.linkIncident(doc);
+    await Incident.updateOne(
+      { _id: doc._id },
+      { $set: { placeId: doc.placeId, victims: doc.victims } },
+      { timestamps: false }
+    );
+
+    total++;
+    if (doc.placeId) placed++;
+    victims += doc.victims.filter(victim => victim.victimId).length;
+  }
+
+  console.log(`Linked ${placed} of ${total} incidents to a place and ${victims} victims`);
+}
+
+async function main() {
+  const options = { all: process.argv.slice(2).includes('--all') };
+
+  await mongoose.connect(config.MONGODB_URI, {
+    useNewUrlParser: true,
+    useUnifiedTopology: true
+  });
+
+  try {
+    await linkIncidents(options);
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+main().catch(error => {
+  console.error('Repeat linking failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,192 @@
+/**
+ * Load a local gazetteer into the AddressPoint collection used by the offline
+ * geocoder, and optionally geocode existing incidents and cases.
+ *
+ * Usage:
+ *   node scripts/load-gazetteer.js <file.csv|file.geojson> [--replace] [--backfill]
+ *   node scripts/load-gazetteer.js --backfill
+ *
+ * CSV files need a header row with an address column and latitude/longitude
+ * columns (lat/lng/lon are accepted); district and zip code columns are optional.
+ * GeoJSON files must be a FeatureCollection of Point features whose properties
+ * carry the address (or name), district and zip code.
+ *
+ * --replace   remove points previously loaded from the same file first
+ * --backfill  geocode incidents and cases saved without coordinates
+ */
+
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const config = require('../config/config');
+const AddressPoint = require('../models/AddressPoint');
+const Incident = require('../models/Incident');
+const Case = require('../models/Case');
+const geocoder = require('../services/geocoder');
+const { parseCsvLine } = require('../services/csv');
+
+const BATCH_SIZE = 1000;
+
+const COLUMN_ALIASES = {
+  address: ['address', 'full_address', 'name', 'label'],
+  lat: ['lat', 'latitude', 'y'],
+  lng: ['lng', 'lon', 'long', 'longitude', 'x'],
+  district: ['district', 'precinct', 'beat', 'neighborhood', 'neighbourhood'],
+  zipCode: ['zip', 'zipcode', 'zip_code', 'postcode', 'postal_code']
+};
+
+function readCsv(content) {
+  const lines = content.split(/\r?\n/).filter(line => line.trim());
+  const header = parseCsvLine(lines[0]).map(name => name.toLowerCase());
+  const columnIndex = {};
+
+  Object.entries(COLUMN_ALIASES).forEach(([field, aliases]) => {
+    columnIndex[field] = header.findIndex(name => aliases.includes(name));
+  });
+
+  if (columnIndex.address < 0 || columnIndex.lat < 0 || columnIndex.lng < 0) {
+    throw new Error('CSV must have address, latitude and longitude columns');
+  }
+
+  return lines.slice(1).map(line => {
+    const values = parseCsvLine(line);
+    const value = field => columnIndex[field] >= 0 ? values[columnIndex[field]] : undefined;
+    return {
+      address: value('address'),
+      lat: parseFloat(value('lat')),
+      lng: parseFloat(value('lng')),
+      district: value('district'),
+      zipCode: value('zipCode')
+    };
+  });
+}
+
+function readGeoJson(content) {
+  const collection = JSON.parse(content);
+  if (collection.type !== 'FeatureCollection') {
+    throw new Error('GeoJSON must be a FeatureCollection');
+  }
+
+  return collection.features
+    .filter(feature => feature.geometry && feature.geometry.type === 'Point')
+    .map(feature => {
+      const props = Object.keys(feature.properties || {}).reduce((lower, key) => {
+        lower[key.toLowerCase()] = feature.properties[key];
+        return lower;
+      }, {});
+      const pick = field => {
+        const key = COLUMN_ALIASES[field].find(alias => props[alias] !== undefined);
+        return key ? String(props[key]) : undefined;
+      };
+      return {
+        address: pick('address'),
+        lng: feature.geometry.coordinates[0],
+        lat: feature.geometry.coordinates[1],
+        district: pick('district'),
+        zipCode: pick('zipCode')
+      };
+    });
+}
+
+function toAddressPoint(record, source) {
+  if (!record.address || isNaN(record.lat) || isNaN(record.lng)) return null;
+  if (Math.abs(record.lat) > 90 || Math.abs(record.lng) > 180) return null;
+
+  const parsed = geocoder.parseAddress(record.address);
+  return {
+    address: record.address,
+    normalizedAddress: parsed.normalizedAddress,
+    houseNumber: parsed.houseNumber,
+    street: parsed.street,
+    district: record.district || undefined,
+    zipCode: record.zipCode || parsed.zipCode,
+    location: {
+      type: 'Point',
+      coordinates: [record.lng, record.lat]
+    },
+    source
+  };
+}
+
+async function loadGazetteer(file, { replace }) {
+  const source = path.basename(file);
+  const content = fs.readFileSync(file, 'utf8');
+  const records = /\.(geo)?json$/i.test(file) ? readGeoJson(content) : readCsv(content);
+  const points = records.map(record => toAddressPoint(record, source)).filter(Boolean);
+
+  console.log(`Read ${records.length} records from ${source}, ${points.length} usable`);
+
+  if (replace) {
+    const { deletedCount } = await AddressPoint.deleteMany({ source });
+    console.log(`Removed ${deletedCount} points previously loaded from ${source}`);
+  }
+
+  for (let i = 0; i < points.length; i += BATCH_SIZE) {
+    const batch = points.slice(i, i + BATCH_SIZE);
+    await AddressPoint.bulkWrite(batch.map(point => ({
+      updateOne: {
+        filter: { normalizedAddress: point.normalizedAddress, source },
+        update: { $set: point },
+        upsert: true
+      }
+    })));
+    console.log(`Loaded ${Math.min(i + BATCH_SIZE, points.length)} / ${points.length}`);
+  }
+}
+
+async function backfill(Model, label) {
+  const cursor = Model.find({
+    'location.address': { $exists: true, $ne: '' },
+    $or: [
+      { 'location.coordinates': { $exists: false } },
+      { 'location.coordinates': { $size: 0 } }
+    ]
+  }).cursor();
+
+  let total = 0;
+  let matched = 0;
+  for (let doc = await cursor.next(); doc != null; doc = await cursor.next()) {
+    doc.markModified('location.address');
+    await doc.save();
+    total++;
+    if (doc.location.geocodeQuality !== 'unmatched') matched++;
+  }
+
+  console.log(`Geocoded ${matched} of ${total} ${label} without coordinates`);
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const file = args.find(arg => !arg.startsWith('--'));
+  const options = {
+    replace: args.includes('--replace'),
+    backfill: args.includes('--backfill')
+  };
+
+  if (!file && !options.backfill) {
+    console.error('Usage: node scripts/load-gazetteer.js <file.csv|file.geojson> [--replace] [--backfill]');
+    process.exit(1);
+  }
+
+  await mongoose.connect(config.MONGODB_URI, {
+    useNewUrlParser: true,
+    useUnifiedTopology: true
+  });
+
+  try {
+    if (file) {
+      await loadGazetteer(file, options);
+    }
+    if (options.backfill) {
+      await backfill(Incident, 'incidents');
+      await backfill(Case, 'cases');
+    }
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+main().catch(error => {
+  console.error('Gazetteer load failed:', error);
+  process.exit(1);
+});
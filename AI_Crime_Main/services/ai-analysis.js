@@ -1,6 +1,36 @@
 const Incident = require('../models/Incident');
 const Case = require('../models/Case');
 const CrimePattern = require('../models/CrimePattern');
+const BacktestResult = require('../models/BacktestResult');
+const RiskLayer = require('../models/RiskLayer');
+const Place = require('../models/Place');
+const Victim = require('../models/Victim');
+const config = require('../config/config');
+const spatialClustering = require('./spatial-clustering');
+const seriesLinkage = require('./series-linkage');
+const escalation = require('./escalation');
+const geographicProfile = require('./geographic-profile');
+const trendAnalysis = require('./trend-analysis');
+const kernelDensity = require('./kernel-density');
+const riskTerrain = require('./risk-terrain');
+const repeatVictimization = require('./repeat-victimization');
+const nearRepeat = require('./near-repeat');
+const spaceTimeScan = require('./space-time-scan');
+const { diffPatternSets } = require('./pattern-matching');
+const confidenceExplanation = require('./confidence-explanation');
+const aoristic = require('./aoristic');
+const timeZone = require('./time-zone');
+const temporalProfile = require('./temporal-profile');
+const countForecast = require('./count-forecast');
+const anomalyDetection = require('./anomaly-detection');
+const detectorRegistry = require('./detector-registry');
+const builtinDetectors = require('./builtin-detectors');
+
+// Numeric weights for the Incident.severity scale
+const SEVERITY_WEIGHTS = { 'minor': 1, 'moderate': 2, 'serious': 3, 'critical': 4 };
+
+// Days covered by each timeRange filter value
+const TIME_RANGE_DAYS = { '7days': 7, '30days': 30, '90days': 90, '1year': 365, '2years': 730 };
 
 /**
  * Advanced AI Crime Pattern Analysis Service
@@ -10,24 +40,43 @@ const CrimePattern = require('../models/CrimePattern');
 class AIAnalysisService {
   
   /**
-   * Main analysis function that orchestrates all pattern detection algorithms
+   * Main analysis function that orchestrates all pattern detection algorithms.
+   * The detectors come from the registry for the analysisType; detectorOptions
+   * maps detector names to parameter and threshold overrides.
+   * Background jobs pass onProgress, called with { detectors } once incidents
+   * are loaded and with { detector, status, patternsFound, durationMs } around
+   * each detector, and isCancelled, checked before each detector; a cancelled
+   * run throws an error with `cancelled` set.
    */
   async runComprehensiveAnalysis(options = {}) {
     const {
+      analysisType = 'comprehensive',
       timeRange = '30days',
       location = null,
       crimeTypes = [],
-      minConfidence = 0.5
+      minConfidence = 0.5,
+      detectorOptions = {},
+      onProgress = async () => {},
+      isCancelled = async () => false
     } = options;
 
-    console.log('Starting comprehensive crime analysis...');
+    console.log(`Starting ${analysisType} crime analysis...`);
+    const detectors = detectorRegistry.resolve(analysisType);
+    if (!detectors) {
+      throw new Error(`Unknown analysis type "${analysisType}"`);
+    }
+    // Resolve options up front so invalid overrides fail before any work is done
+    const resolvedOptions = detectors.reduce((resolved, name) => {
+      resolved[name] = detectorRegistry.resolveOptions(name, detectorOptions[name]);
+      return resolved;
+    }, {});
     
     // Get filtered incidents for analysis
-    const incidents = await this.getFilteredIncidents({
+    const incidents = (await this.getFilteredIncidents({
       timeRange,
       location,
       crimeTypes
-    });
+    })).map(incident => this.normalizeIncident(incident));
 
     if (incidents.length < 3) {
       return {
@@ -38,25 +87,60 @@ class AIAnalysisService {
       };
     }
 
-    // Run all analysis algorithms
-    const analysisResults = {
-      hotspots: await this.detectCrimeHotspots(incidents),
-      temporalPatterns: await this.analyzeTemporalPatterns(incidents),
-      crimeSeries: await this.detectCrimeSeries(incidents),
-      geographicClusters: await this.performGeographicClustering(incidents),
-      predictiveHotspots: await this.predictFutureHotspots(incidents),
-      riskAssessment: await this.assessAreaRisk(incidents)
-    };
+    await onProgress({ detectors });
+
+    // Run the detectors selected by the analysis type. Built-in detector errors
+    // fail the run; a failing third-party detector is reported and skipped.
+    const analysisResults = {};
+    const detectorRuns = [];
+    const incidentsById = new Map(incidents.map(incident => [String(incident._id), incident]));
+    for (const name of detectors) {
+      const detector = detectorRegistry.get(name);
+
+      if (await isCancelled()) {
+        const error = new Error('Analysis cancelled');
+        error.cancelled = true;
+        throw error;
+      }
+
+      await onProgress({ detector: name, status: 'running' });
+      const started = Date.now();
+      let results;
+      try {
+        results = (await detector.detect(incidents, resolvedOptions[name], this)) || [];
+        if (detector.source !== 'built-in') this.checkDetectorResults(results);
+      } catch (error) {
+        if (detector.source === 'built-in') throw error;
+
+        console.error(`Detector ${name} (${detector.source}) failed:`, error);
+        detectorRuns.push({ name, version: detector.version, status: 'failed', error: error.message, durationMs: Date.now() - started });
+        await onProgress({ detector: name, status: 'failed', error: error.message, durationMs: Date.now() - started });
+        analysisResults[name] = [];
+        continue;
+      }
+
+      // Stamp results so saved patterns record the detector that found them
+      results.forEach(result => {
+        result.type = result.type || detector.resultType;
+        result.detector = name;
+        result.timePattern = this.describeTimePattern(result, incidentsById);
+      });
+      analysisResults[name] = results;
+
+      const durationMs = Date.now() - started;
+      detectorRuns.push({ name, version: detector.version, status: 'done', patternsFound: results.length, durationMs });
+      await onProgress({
+        detector: name,
+        status: 'done',
+        patternsFound: results.length,
+        durationMs
+      });
+    }
 
     // Combine and filter results by confidence
-    const allPatterns = [
-      ...analysisResults.hotspots,
-      ...analysisResults.temporalPatterns,
-      ...analysisResults.crimeSeries,
-      ...analysisResults.geographicClusters,
-      ...analysisResults.predictiveHotspots,
-      ...analysisResults.riskAssessment
-    ].filter(pattern => pattern.confidence >= minConfidence);
+    const allPatterns = Object.values(analysisResults)
+      .flat()
+      .filter(pattern => pattern.confidence >= minConfidence);
 
     // Sort by confidence and relevance
     allPatterns.sort((a, b) => {
@@ -77,41 +161,293 @@ class AIAnalysisService {
       metadata: {
         analysisDate: new Date(),
         totalIncidents: incidents.length,
+        analysisType,
         timeRange,
-        algorithmsUsed: Object.keys(analysisResults)
+        algorithmsUsed: detectors,
+        detectorRuns
       }
     };
   }
 
+  /**
+   * Persist detected patterns as CrimePattern documents. A pattern that matches
+   * one already open (same type, overlapping location cluster or incidents) is
+   * updated in place and gets a confidence history entry instead of a
+   * duplicate; patterns matching a false positive are dropped. Returns the
+   * created and updated documents.
+   */
+  async savePatterns(patterns, context = {}) {
+    if (patterns.length === 0) {
+      return [];
+    }
+
+    const seenAt = new Date();
+    const documents = patterns.map(pattern => this.toCrimePatternDocument(pattern, context));
+    const existing = await CrimePattern.findMatchCandidates([...new Set(documents.map(doc => doc.patternType))]);
+    const { appeared, continuing } = diffPatternSets(existing, documents);
+
+    const updated = [];
+    let suppressed = 0;
+    for (const { previous, current } of continuing) {
+      if (previous.status === 'false_positive') {
+        suppressed++;
+        continue;
+      }
+      previous.recordObservation(current, seenAt);
+      updated.push(await previous.save());
+    }
+
+    const created = appeared.length > 0
+      ? await CrimePattern.insertMany(appeared.map(doc => ({
+        ...doc,
+        firstSeenAt: seenAt,
+        lastSeenAt: seenAt,
+        confidenceHistory: [{
+          score: doc.confidenceScore,
+          incidentCount: doc.incidents.length,
+          recordedAt: seenAt
+        }]
+      })))
+      : [];
+
+    console.log(`Saved patterns: ${created.length} new, ${updated.length} updated, ${suppressed} suppressed as false positives`);
+    return [...created, ...updated];
+  }
+
+  /**
+   * Throw when a third-party detector returns results that cannot be saved
+   * as patterns, so the detector is reported as failed instead of the run
+   */
+  checkDetectorResults(results) {
+    if (!Array.isArray(results)) {
+      throw new Error('Detector must return an array of results');
+    }
+    results.forEach((result, index) => {
+      if (!result || typeof result !== 'object') {
+        throw new Error(`Result ${index} is not an object`);
+      }
+      if (!Array.isArray(result.relatedIncidents)) {
+        throw new Error(`Result ${index} has no relatedIncidents array`);
+      }
+      if (typeof result.confidence !== 'number' || Number.isNaN(result.confidence)) {
+        throw new Error(`Result ${index} has no numeric confidence`);
+      }
+    });
+  }
+
+  /**
+   * Map a detector result onto the CrimePattern schema
+   */
+  toCrimePatternDocument(pattern, context = {}) {
+    const { parameters = {}, processingTime = 0 } = context;
+    const center = pattern.coordinates ? [pattern.coordinates.lng, pattern.coordinates.lat] : null;
+    const detector = detectorRegistry.get(pattern.detector) || detectorRegistry.findByResultType(pattern.type) || {};
+
+    const document = {
+      patternName: this.buildPatternName(pattern).substring(0, 100),
+      description: String(pattern.description || '').substring(0, 1000),
+      patternType: detector.patternType || 'mixed',
+      confidenceScore: Math.max(0, Math.min(1, pattern.confidence)),
+      incidents: pattern.relatedIncidents.map(incidentId => ({
+        incidentId,
+        relevanceScore: this.calculateIncidentRelevance(pattern, incidentId)
+      })),
+      timePattern: this.mapTimePattern(pattern),
+      modusOperandi: pattern.modusOperandi,
+      suspectProfile: pattern.suspectProfile,
+      predictions: this.mapPredictions(pattern, center),
+      analysisMetadata: {
+        algorithm: detector.algorithm || pattern.type,
+        version: detector.version || 'unknown',
+        parameters: pattern.analysisParameters ? { ...parameters, ...pattern.analysisParameters } : parameters,
+        processingTime
+      },
+      explanation: pattern.explanation,
+      escalation: pattern.escalation,
+      geographicProfile: pattern.geographicProfile || undefined,
+      priority: pattern.riskLevel || 'medium',
+      tags: [pattern.type, pattern.subtype].filter(Boolean),
+      dateRange: pattern.dateRange,
+      expiresAt: pattern.expiresAt
+    };
+
+    if (center) {
+      const toPoint = coordinates => [coordinates.lng, coordinates.lat];
+      document.locationCluster = {
+        center,
+        radiusKm: pattern.statistics && pattern.statistics.radius ? pattern.statistics.radius / 1000 : undefined,
+        hotspots: pattern.hotspots
+          ? pattern.hotspots.map(hotspot => ({
+            coordinates: toPoint(hotspot.coordinates),
+            intensity: hotspot.intensity,
+            incidentCount: hotspot.incidentCount
+          }))
+          : [{
+            coordinates: center,
+            intensity: document.confidenceScore,
+            incidentCount: pattern.relatedIncidents.length
+          }],
+        hull: pattern.hull ? pattern.hull.map(toPoint) : undefined,
+        crimeTypes: pattern.statistics && pattern.statistics.crimeTypes
+          ? Object.entries(pattern.statistics.crimeTypes).map(([crimeType, count]) => ({ crimeType, count }))
+          : undefined
+      };
+    }
+
+    return document;
+  }
+
+  buildPatternName(pattern) {
+    const typeNames = {
+      'hotspot': 'Crime Hotspot',
+      'temporal-pattern': 'Temporal Pattern',
+      'crime-series': 'Crime Series',
+      'geographic-cluster': 'Geographic Cluster',
+      'predictive-hotspot': 'Predicted Hotspot',
+      'risk-assessment': 'Risk Area',
+      'near-repeat-zone': 'Near-Repeat Risk Zone',
+      'space-time-cluster': 'Emerging Space-Time Cluster'
+    };
+    const detector = detectorRegistry.get(pattern.detector);
+    const name = typeNames[pattern.type] || (detector ? detector.label : 'Crime Pattern');
+    const qualifier = typeof pattern.location === 'string' && pattern.location !== 'Multiple locations'
+      ? pattern.location
+      : pattern.subtype;
+
+    return qualifier ? `${name}: ${qualifier}` : name;
+  }
+
+  calculateIncidentRelevance(pattern, incidentId) {
+    const scores = pattern.relevanceScores || {};
+    const score = scores[incidentId.toString()];
+    return typeof score === 'number' ? Math.max(0, Math.min(1, score)) : 1;
+  }
+
+  mapTimePattern(pattern) {
+    const source = pattern.timePattern || {};
+    const dayNames = aoristic.DAY_NAMES;
+    const monthNames = temporalProfile.MONTH_NAMES;
+    const frequencies = ['daily', 'weekly', 'monthly', 'seasonal', 'irregular'];
+    const frequencyMap = { hourly: 'daily', daily: 'weekly', seasonal: 'seasonal' };
+    const timePattern = {};
+
+    ['daysOfWeek', 'hoursOfDay', 'monthsOfYear'].forEach(field => {
+      if (Array.isArray(source[field])) {
+        timePattern[field] = source[field];
+      }
+    });
+
+    // Results that only name a single peak
+    if (!timePattern.hoursOfDay && typeof source.peakHour === 'number' && !isNaN(source.peakHour)) {
+      timePattern.hoursOfDay = [source.peakHour];
+    }
+    if (!timePattern.daysOfWeek && source.peakDay && dayNames.includes(source.peakDay)) {
+      timePattern.daysOfWeek = [dayNames.indexOf(source.peakDay)];
+    }
+    if (!timePattern.monthsOfYear && source.peakMonth && monthNames.includes(source.peakMonth)) {
+      timePattern.monthsOfYear = [monthNames.indexOf(source.peakMonth) + 1];
+    }
+
+    if (source.seasonality) {
+      timePattern.seasonality = source.seasonality;
+    } else if (source.peakMonth && monthNames.includes(source.peakMonth)) {
+      timePattern.seasonality = this.getSeason(monthNames.indexOf(source.peakMonth));
+    }
+
+    if (frequencies.includes(source.frequency)) {
+      timePattern.frequency = source.frequency;
+    } else {
+      timePattern.frequency = pattern.type === 'temporal-pattern'
+        ? frequencyMap[pattern.subtype] || 'irregular'
+        : 'irregular';
+    }
+    if (source.timeZone) {
+      timePattern.timeZone = source.timeZone;
+    }
+
+    return timePattern;
+  }
+
+  /**
+   * Time pattern of a result's incidents: the weekdays, hours and months they
+   * are significantly concentrated in. Fields the detector set itself win.
+   */
+  describeTimePattern(result, incidentsById) {
+    const members = (result.relatedIncidents || [])
+      .map(incidentId => incidentsById.get(String(incidentId)))
+      .filter(Boolean);
+
+    return {
+      timeZone: config.AGENCY_TIMEZONE,
+      ...temporalProfile.describeTimePattern(members),
+      ...result.timePattern
+    };
+  }
+
+  mapPredictions(pattern, center) {
+    const predictions = {
+      recommendedActions: pattern.recommendations || []
+    };
+
+    const isPrediction = pattern.type === 'predictive-hotspot' || pattern.type === 'near-repeat-zone';
+
+    if (isPrediction && center) {
+      predictions.nextLikelyLocation = {
+        coordinates: center,
+        confidence: Math.max(0, Math.min(1, pattern.confidence))
+      };
+    }
+
+    if (isPrediction && pattern.predictionWindow) {
+      predictions.nextLikelyTime = {
+        dateRange: pattern.predictionWindow,
+        confidence: Math.max(0, Math.min(1, pattern.confidence))
+      };
+    }
+
+    if (pattern.type === 'crime-series') {
+      predictions.escalationRisk = pattern.escalation ? pattern.escalation.risk : (pattern.riskLevel || 'low');
+    }
+
+    return predictions;
+  }
+
+  getSeason(month) {
+    return temporalProfile.getSeason(month);
+  }
+
   /**
    * Detect crime hotspots using density-based clustering
    */
-  async detectCrimeHotspots(incidents) {
+  async detectCrimeHotspots(incidents, options = {}) {
+    const { minIncidents = 3, minConfidence = 0.4 } = options;
     const hotspots = [];
     const locationGroups = this.groupByLocation(incidents);
 
-    for (const [location, locationIncidents] of Object.entries(locationGroups)) {
-      if (locationIncidents.length >= 3) {
+    for (const locationIncidents of Object.values(locationGroups)) {
+      if (locationIncidents.length >= minIncidents) {
+        const location = this.getLocationLabel(locationIncidents);
         const density = this.calculateCrimeDensity(locationIncidents);
         const severity = this.calculateAverageSeverity(locationIncidents);
         const timeSpread = this.calculateTimeSpread(locationIncidents);
         
         // Calculate confidence based on multiple factors
-        const confidence = this.calculateHotspotConfidence({
+        const scoring = this.explainHotspotConfidence({
           incidentCount: locationIncidents.length,
           density,
           severity,
           timeSpread
         });
+        const confidence = scoring.score;
 
-        if (confidence >= 0.4) {
+        if (confidence >= minConfidence) {
           hotspots.push({
             type: 'hotspot',
             subtype: this.classifyHotspotType(locationIncidents),
             description: `Crime hotspot detected at ${location}`,
             confidence,
             location,
-            coordinates: this.estimateCoordinates(location),
+            coordinates: this.calculateCenterCoordinates(locationIncidents),
             statistics: {
               incidentCount: locationIncidents.length,
               density,
@@ -121,6 +457,19 @@ class AIAnalysisService {
             },
             timePattern: this.analyzeLocationTimePattern(locationIncidents),
             relatedIncidents: locationIncidents.map(inc => inc._id),
+            explanation: confidenceExplanation.build({
+              method: 'weighted-sum',
+              formula: '0.4 × incident count + 0.3 × density + 0.2 × severity + 0.1 × time spread',
+              score: confidence,
+              factors: scoring.factors,
+              thresholds: [
+                confidenceExplanation.threshold('Incidents at the location', locationIncidents.length, minIncidents),
+                confidenceExplanation.threshold('Confidence', confidence, minConfidence)
+              ],
+              incidents: this.explainIncidents(locationIncidents, {
+                weightOf: inc => SEVERITY_WEIGHTS[inc.severity] / 4
+              })
+            }),
             recommendations: this.generateHotspotRecommendations(locationIncidents, confidence),
             riskLevel: this.assessRiskLevel(confidence, severity, locationIncidents.length)
           });
@@ -134,19 +483,20 @@ class AIAnalysisService {
   /**
    * Analyze temporal patterns in crime data
    */
-  async analyzeTemporalPatterns(incidents) {
+  async analyzeTemporalPatterns(incidents, options = {}) {
+    const { minHourlyCount = 3, minDailyCount = 3, minMonthlyCount = 4 } = options;
     const patterns = [];
     
     // Hourly pattern analysis
-    const hourlyPatterns = this.detectHourlyPatterns(incidents);
+    const hourlyPatterns = this.detectHourlyPatterns(incidents, minHourlyCount);
     patterns.push(...hourlyPatterns);
 
     // Daily pattern analysis
-    const dailyPatterns = this.detectDailyPatterns(incidents);
+    const dailyPatterns = this.detectDailyPatterns(incidents, minDailyCount);
     patterns.push(...dailyPatterns);
 
     // Seasonal pattern analysis
-    const seasonalPatterns = this.detectSeasonalPatterns(incidents);
+    const seasonalPatterns = this.detectSeasonalPatterns(incidents, minMonthlyCount);
     patterns.push(...seasonalPatterns);
 
     return patterns;
@@ -155,35 +505,101 @@ class AIAnalysisService {
   /**
    * Detect potential crime series (linked crimes)
    */
-  async detectCrimeSeries(incidents) {
+  async detectCrimeSeries(incidents, options = {}) {
+    const {
+      linkageThreshold = config.AI_SERIES_LINKAGE_THRESHOLD,
+      linkAcrossTypes = true,
+      profileBufferKm = 0,
+      profileDecay = geographicProfile.DEFAULT_DECAY,
+      minIncidents = 3,
+      minProfileIncidents = 5,
+      minConfidence = 0.5
+    } = options;
     const series = [];
-    const crimeTypeGroups = this.groupByCrimeType(incidents);
+    const crimeTypeGroups = linkAcrossTypes ? this.groupBySeriesLadder(incidents) : this.groupByCrimeType(incidents);
+    const weaponOffenses = incidents.filter(inc => inc.type === 'weapon_offense');
 
-    for (const [crimeType, typeIncidents] of Object.entries(crimeTypeGroups)) {
-      if (typeIncidents.length >= 3) {
-        const clusters = this.findCrimeClusters(typeIncidents);
+    for (const [group, typeIncidents] of Object.entries(crimeTypeGroups)) {
+      if (typeIncidents.length >= minIncidents) {
+        const linkedSeries = this.findCrimeClusters(typeIncidents, { threshold: linkageThreshold });
         
-        for (const cluster of clusters) {
-          if (cluster.length >= 3) {
-            const confidence = this.calculateSeriesConfidence(cluster);
+        for (const linked of linkedSeries) {
+          const cluster = linked.incidents;
+          if (cluster.length >= minIncidents) {
+            const linkFactors = seriesLinkage.summarizeLinkFactors(linked.links);
+            const scoring = this.explainSeriesConfidence(cluster, linked.links);
+            const confidence = scoring.score;
             
-            if (confidence >= 0.5) {
+            if (confidence >= minConfidence) {
+              const timePattern = this.analyzeSeriesTimePattern(cluster);
+              const suspectProfile = seriesLinkage.buildSuspectProfile(cluster);
+              suspectProfile.behaviorPatterns = this.describeSeriesBehavior(cluster, timePattern);
+              const seriesEscalation = escalation.scoreEscalation(cluster, {
+                weaponOffenses,
+                threshold: linkageThreshold
+              });
+
+              // Series on an escalation ladder are named by their type when they hold only one
+              const crimeTypes = [...new Set(cluster.map(inc => inc.type))];
+              const crimeType = crimeTypes.length === 1 ? crimeTypes[0] : group;
+              const latestType = seriesEscalation.timeline[seriesEscalation.timeline.length - 1].incidentType;
+
+              // Offender anchor point estimate, once enough crime sites are located
+              const sites = cluster.filter(inc => inc.coordinates).map(inc => inc.coordinates);
+              const profile = sites.length >= minProfileIncidents
+                ? geographicProfile.buildProfile(sites, { bufferKm: profileBufferKm, decayExponent: profileDecay })
+                : null;
+
               series.push({
                 type: 'crime-series',
                 subtype: crimeType,
-                description: `Potential ${crimeType} crime series detected`,
+                description: `Potential ${crimeType} crime series of ${cluster.length} linked incidents` +
+                  `${crimeTypes.length > 1 ? ` (${crimeTypes.join(', ')})` : ''}. ` +
+                  `Linked by ${this.describeLinkFactors(linkFactors)}` +
+                  (seriesEscalation.trend === 'escalating' ? `. Escalating: ${seriesEscalation.signals.join('; ').toLowerCase()}` : ''),
                 confidence,
                 location: 'Multiple locations',
+                coordinates: cluster.some(inc => inc.coordinates) ? this.calculateCenterCoordinates(cluster) : null,
                 statistics: {
                   incidentCount: cluster.length,
+                  linkCount: linked.links.length,
+                  linkFactors,
                   timeSpan: this.calculateTimeSpan(cluster),
                   geographicSpread: this.calculateGeographicSpread(cluster),
-                  escalationPattern: this.detectEscalationPattern(cluster)
+                  escalationPattern: seriesEscalation.trend,
+                  escalationScore: seriesEscalation.score
                 },
-                timePattern: this.analyzeSeriesTimePattern(cluster),
+                timePattern,
+                modusOperandi: seriesLinkage.buildModusOperandi(cluster),
+                suspectProfile,
                 relatedIncidents: cluster.map(inc => inc._id),
-                recommendations: this.generateSeriesRecommendations(cluster, crimeType),
-                riskLevel: this.assessSeriesRisk(cluster, confidence)
+                relevanceScores: linked.memberScores,
+                explanation: confidenceExplanation.build({
+                  method: 'weighted-sum',
+                  formula: 'min(95%, 0.6 × mean link score + 0.4 × series size)',
+                  score: confidence,
+                  factors: scoring.factors,
+                  thresholds: [
+                    confidenceExplanation.threshold('Linked incidents', cluster.length, minIncidents),
+                    confidenceExplanation.threshold('Confidence', confidence, minConfidence)
+                  ],
+                  adjustments: [scoring.adjustment],
+                  evidence: [
+                    { label: 'Pairwise link threshold', value: linkageThreshold },
+                    { label: 'Links between incidents', value: linked.links.length },
+                    ...Object.entries(linkFactors).map(([name, value]) => ({
+                      label: `Mean ${name} similarity`,
+                      value: `${Math.round(value * 100)}%`
+                    }))
+                  ],
+                  incidents: this.explainIncidents(cluster, {
+                    weightOf: inc => this.calculateIncidentRelevance({ relevanceScores: linked.memberScores }, inc._id)
+                  })
+                }),
+                escalation: seriesEscalation,
+                geographicProfile: profile,
+                recommendations: this.generateSeriesRecommendations(cluster, latestType, seriesEscalation, profile),
+                riskLevel: this.assessSeriesRisk(cluster, confidence, seriesEscalation)
               });
             }
           }
@@ -197,39 +613,78 @@ class AIAnalysisService {
   /**
    * Perform geographic clustering analysis
    */
-  async performGeographicClustering(incidents) {
+  async performGeographicClustering(incidents, options = {}) {
+    const {
+      epsKm = config.AI_HOTSPOT_RADIUS_KM,
+      minPoints = config.AI_CLUSTER_MIN_POINTS,
+      minConfidence = 0.4
+    } = options;
     const clusters = [];
-    const locationData = incidents.map(inc => ({
-      id: inc._id,
-      location: inc.location,
-      coordinates: this.estimateCoordinates(inc.location),
-      type: inc.type,
-      severity: inc.severity,
-      dateTime: inc.dateTime
-    }));
-
-    // Simple distance-based clustering
-    const geoClusters = this.clusterByDistance(locationData, 1000); // 1km radius
 
-    for (const cluster of geoClusters) {
-      if (cluster.length >= 4) {
-        const confidence = this.calculateClusterConfidence(cluster);
+    // Only incidents with real coordinates take part in spatial clustering
+    const locationData = incidents
+      .filter(inc => inc.coordinates)
+      .map(inc => ({
+        ...inc,
+        id: inc._id
+      }));
+
+    const { clusters: geoClusters, noise } = this.clusterByDistance(locationData, epsKm, minPoints);
+
+    for (const geoCluster of geoClusters) {
+      const cluster = geoCluster.members;
+      if (cluster.length >= minPoints) {
+        const scoring = this.explainClusterConfidence(cluster, geoCluster.corePoints);
+        const confidence = scoring.score;
         
-        if (confidence >= 0.4) {
+        if (confidence >= minConfidence) {
+          const location = this.calculateClusterCenter(cluster);
+          const coreIds = new Set(geoCluster.corePoints.map(core => core.point.id.toString()));
+
           clusters.push({
             type: 'geographic-cluster',
-            description: `Geographic crime cluster identified`,
+            description: `Geographic crime cluster of ${cluster.length} incidents around ${location}`,
             confidence,
-            location: this.calculateClusterCenter(cluster),
+            location,
             coordinates: this.calculateCenterCoordinates(cluster),
+            hull: spatialClustering.convexHull(cluster.map(item => item.coordinates)),
+            hotspots: this.buildClusterHotspots(geoCluster.corePoints, epsKm),
             statistics: {
               incidentCount: cluster.length,
+              coreIncidents: coreIds.size,
               radius: this.calculateClusterRadius(cluster),
               density: this.calculateClusterDensity(cluster),
-              crimeTypes: this.getClusterCrimeTypes(cluster)
+              crimeTypes: this.getClusterCrimeTypes(cluster),
+              noiseIncidents: noise.length,
+              epsKm,
+              minPoints
             },
             timePattern: this.analyzeClusterTimePattern(cluster),
             relatedIncidents: cluster.map(item => item.id),
+            relevanceScores: cluster.reduce((scores, item) => {
+              scores[item.id.toString()] = coreIds.has(item.id.toString()) ? 1 : 0.5;
+              return scores;
+            }, {}),
+            explanation: confidenceExplanation.build({
+              method: 'weighted-sum',
+              formula: 'min(95%, 0.6 × cluster size + 0.4 × core share)',
+              score: confidence,
+              factors: scoring.factors,
+              thresholds: [
+                confidenceExplanation.threshold('Incidents in the cluster', cluster.length, minPoints),
+                confidenceExplanation.threshold('Confidence', confidence, minConfidence)
+              ],
+              adjustments: [scoring.adjustment],
+              evidence: [
+                { label: 'Neighbourhood radius (km)', value: epsKm },
+                { label: 'Minimum neighbours for a core point', value: minPoints }
+              ],
+              incidents: this.explainIncidents(cluster, {
+                weightOf: item => (coreIds.has(item.id.toString()) ? 1 : 0.5),
+                reasonOf: item => `${coreIds.has(item.id.toString()) ? 'Core' : 'Border'} point: ` +
+                  `${item.type.replace(/_/g, ' ')}, ${item.dateTime.toDateString()}`
+              })
+            }),
             recommendations: this.generateClusterRecommendations(cluster),
             riskLevel: this.assessClusterRisk(cluster, confidence)
           });
@@ -243,31 +698,79 @@ class AIAnalysisService {
   /**
    * Predict future crime hotspots using trend analysis
    */
-  async predictFutureHotspots(incidents) {
+  async predictFutureHotspots(incidents, options = {}) {
+    const { minIncidents = 5, significanceLevel = 0.05, minTrendConfidence = 0.6 } = options;
     const predictions = [];
-    const recentIncidents = incidents.filter(inc => {
-      const daysDiff = (new Date() - inc.dateTime) / (1000 * 60 * 60 * 24);
-      return daysDiff <= 14; // Last 2 weeks
-    });
+    const now = options.now || new Date();
+    const areaTrends = this.analyzeTrends(incidents, { end: now, minIncidents, significanceLevel });
 
-    const locationTrends = this.analyzeTrends(recentIncidents);
+    for (const [areaKey, trend] of Object.entries(areaTrends)) {
+      // Only statistically significant increases become predictions
+      if (trend.isIncreasing && trend.isSignificant && trend.confidence >= minTrendConfidence) {
+        const location = trend.label;
+        const binLabel = trend.binDays === 7 ? 'week' : 'day';
 
-    for (const [location, trend] of Object.entries(locationTrends)) {
-      if (trend.isIncreasing && trend.confidence >= 0.6) {
         predictions.push({
           type: 'predictive-hotspot',
-          description: `Predicted future hotspot at ${location}`,
+          description: `Predicted future hotspot in ${location}: incidents rising ` +
+            `${(trend.growthRate * 100).toFixed(0)}% per ${binLabel} ` +
+            `(95% CI ${(trend.growthRateInterval.lower * 100).toFixed(0)}% to ${(trend.growthRateInterval.upper * 100).toFixed(0)}%)`,
           confidence: trend.confidence * 0.8, // Reduce confidence for predictions
           location,
-          coordinates: this.estimateCoordinates(location),
+          areaKey,
+          coordinates: trend.coordinates,
+          predictionWindow: {
+            start: now,
+            end: new Date(now.getTime() + trend.binDays * trendAnalysis.DAY_MS)
+          },
           statistics: {
             currentIncidents: trend.currentCount,
             trendDirection: 'increasing',
             growthRate: trend.growthRate,
-            predictionWindow: '7-14 days'
+            growthRateInterval: trend.growthRateInterval,
+            pValue: trend.pValue,
+            dispersion: trend.dispersion,
+            expectedNextCount: trend.expectedNextCount,
+            weeklyCounts: trend.counts,
+            binDays: trend.binDays,
+            predictionWindow: `next ${trend.binDays} days`
           },
           timePattern: trend.timePattern,
           relatedIncidents: trend.incidents.map(inc => inc._id),
+          explanation: confidenceExplanation.build({
+            method: 'statistical-test',
+            formula: '0.8 × min(95%, 1 − p-value of the Poisson trend)',
+            score: trend.confidence * 0.8,
+            summary: `Incidents in ${location} rose ${(trend.growthRate * 100).toFixed(0)}% per ${binLabel}; ` +
+              `a trend this strong would arise by chance with p ${trend.pValue < 0.001 ? '< 0.001' : '= ' + trend.pValue.toFixed(3)}`,
+            factors: [
+              confidenceExplanation.factor('trendSignificance', 'Trend significance', {
+                value: trend.pValue,
+                normalized: 1 - trend.pValue,
+                description: 'One minus the p-value of a Poisson regression of counts per bin on time'
+              }),
+              confidenceExplanation.factor('growthRate', `Growth per ${binLabel}`, {
+                value: trend.growthRate,
+                description: 'Estimated change in incident rate per bin'
+              })
+            ],
+            thresholds: [
+              confidenceExplanation.threshold('Growth rate', trend.growthRate, 0, '>'),
+              confidenceExplanation.threshold('Trend p-value', trend.pValue, significanceLevel, '<'),
+              confidenceExplanation.threshold('Trend confidence', trend.confidence, minTrendConfidence)
+            ],
+            adjustments: ['Discounted to 80% because it is a forecast rather than an observed pattern'],
+            evidence: [
+              { label: `Incidents per ${binLabel}`, value: trend.counts.join(', ') },
+              { label: 'Growth rate 95% interval', value: `${(trend.growthRateInterval.lower * 100).toFixed(0)}% to ${(trend.growthRateInterval.upper * 100).toFixed(0)}%` },
+              { label: `Expected next ${binLabel}`, value: trend.expectedNextCount.toFixed(1) },
+              { label: 'Dispersion', value: trend.dispersion.toFixed(2) }
+            ],
+            incidents: this.explainIncidents(trend.incidents, {
+              // Recent incidents drive the trend the most
+              weightOf: inc => Math.max(0, 1 - (now - inc.dateTime) / (trend.counts.length * trend.binDays * trendAnalysis.DAY_MS))
+            })
+          }),
           recommendations: this.generatePredictiveRecommendations(location, trend),
           riskLevel: this.assessPredictiveRisk(trend)
         });
@@ -280,21 +783,25 @@ class AIAnalysisService {
   /**
    * Assess risk levels for different areas
    */
-  async assessAreaRisk(incidents) {
+  async assessAreaRisk(incidents, options = {}) {
+    const { minRiskScore = 0.5 } = options;
     const riskAssessments = [];
     const locationGroups = this.groupByLocation(incidents);
 
-    for (const [location, locationIncidents] of Object.entries(locationGroups)) {
-      const riskScore = this.calculateRiskScore(locationIncidents);
+    for (const locationIncidents of Object.values(locationGroups)) {
+      const location = this.getLocationLabel(locationIncidents);
+      const riskScoring = this.explainRiskScore(locationIncidents);
+      const riskScore = riskScoring.score;
       const riskLevel = this.categorizeRiskLevel(riskScore);
 
-      if (riskScore >= 0.5) {
+      if (riskScore >= minRiskScore) {
+        const confidence = confidenceExplanation.cap(riskScore + 0.1, 0.9);
         riskAssessments.push({
           type: 'risk-assessment',
           description: `${riskLevel} risk area identified at ${location}`,
-          confidence: Math.min(0.9, riskScore + 0.1),
+          confidence: confidence.score,
           location,
-          coordinates: this.estimateCoordinates(location),
+          coordinates: this.calculateCenterCoordinates(locationIncidents),
           statistics: {
             riskScore,
             riskLevel,
@@ -304,6 +811,19 @@ class AIAnalysisService {
           },
           timePattern: this.analyzeLocationTimePattern(locationIncidents),
           relatedIncidents: locationIncidents.map(inc => inc._id),
+          explanation: confidenceExplanation.build({
+            method: 'weighted-sum',
+            formula: 'min(90%, 0.4 × severity + 0.4 × frequency + 0.2 × recent activity + 10%)',
+            score: confidence.score,
+            factors: riskScoring.factors,
+            thresholds: [
+              confidenceExplanation.threshold('Risk score', riskScore, minRiskScore)
+            ],
+            adjustments: ['Risk score raised by 10 points to give the confidence', confidence.adjustment],
+            incidents: this.explainIncidents(locationIncidents, {
+              weightOf: inc => SEVERITY_WEIGHTS[inc.severity] / 4
+            })
+          }),
           recommendations: this.generateRiskRecommendations(location, riskLevel, riskScore),
           riskLevel
         });
@@ -313,48 +833,904 @@ class AIAnalysisService {
     return riskAssessments;
   }
 
+  /**
+   * Replay predictFutureHotspots over history. For each cutoff date the
+   * predictor only sees the trainingDays before the cutoff; the areas it flags
+   * are then scored against the incidents of the following horizonDays:
+   * - hit rate: share of horizon incidents that fell inside flagged areas
+   * - PAI (Predictive Accuracy Index): hit rate / share of study area flagged
+   * - recapture rate: hit rate / share of training incidents in the same areas
+   * Cutoffs default to `runs` dates stepDays apart ending one horizon before
+   * endDate. The result is stored as a BacktestResult for version comparison.
+   * onProgress is called after each cutoff and isCancelled checked before it,
+   * as for runComprehensiveAnalysis.
+   */
+  async runBacktest(options = {}) {
+    const {
+      cutoffs = null,
+      endDate = new Date(),
+      runs = 4,
+      stepDays = 7,
+      trainingDays = 90,
+      horizonDays = 7,
+      crimeTypes = [],
+      location = null,
+      createdBy = null,
+      onProgress = async () => {},
+      isCancelled = async () => false
+    } = options;
+    const startTime = Date.now();
+    const DAY_MS = trendAnalysis.DAY_MS;
+    const cellKm = config.AI_HOTSPOT_RADIUS_KM;
+    const predictiveDetector = detectorRegistry.get('predictiveHotspots');
+    const predictiveOptions = detectorRegistry.resolveOptions('predictiveHotspots');
+
+    const cutoffDates = cutoffs && cutoffs.length > 0
+      ? cutoffs.map(cutoff => new Date(cutoff)).sort((a, b) => a - b)
+      : Array.from({ length: runs }, (value, index) =>
+        new Date(new Date(endDate).getTime() - horizonDays * DAY_MS - (runs - 1 - index) * stepDays * DAY_MS));
+
+    const incidents = (await this.getFilteredIncidents({
+      startDate: new Date(cutoffDates[0].getTime() - trainingDays * DAY_MS),
+      endDate: new Date(cutoffDates[cutoffDates.length - 1].getTime() + horizonDays * DAY_MS),
+      location,
+      crimeTypes
+    })).map(incident => this.normalizeIncident(incident));
+
+    const areaSizes = this.estimateAreaSizes(incidents, cellKm);
+    const totalAreaKm2 = Object.values(areaSizes).reduce((sum, size) => sum + size, 0);
+    const areaKeyOf = incident => {
+      const area = this.getArea(incident, cellKm);
+      return area ? area.key : null;
+    };
+
+    console.log(`Backtesting ${cutoffDates.length} cutoffs over ${incidents.length} incidents`);
+
+    const runResults = [];
+    for (const cutoff of cutoffDates) {
+      if (await isCancelled()) {
+        const error = new Error('Backtest cancelled');
+        error.cancelled = true;
+        throw error;
+      }
+
+      const trainingStart = new Date(cutoff.getTime() - trainingDays * DAY_MS);
+      const horizonEnd = new Date(cutoff.getTime() + horizonDays * DAY_MS);
+      const training = incidents.filter(inc => inc.dateTime >= trainingStart && inc.dateTime < cutoff);
+      const horizon = incidents.filter(inc => inc.dateTime >= cutoff && inc.dateTime < horizonEnd);
+
+      const predictions = await this.predictFutureHotspots(training, { ...predictiveOptions, now: cutoff });
+      const predicted = new Map();
+      predictions.forEach(prediction => {
+        predicted.set(prediction.areaKey, {
+          areaKey: prediction.areaKey,
+          label: prediction.location,
+          areaKm2: areaSizes[prediction.areaKey] || cellKm * cellKm,
+          confidence: prediction.confidence,
+          hits: 0
+        });
+      });
+
+      const horizonKeys = horizon.map(areaKeyOf).filter(Boolean);
+      horizonKeys.forEach(key => {
+        if (predicted.has(key)) predicted.get(key).hits++;
+      });
+      const trainingKeys = training.map(areaKeyOf).filter(Boolean);
+
+      const predictedAreas = Array.from(predicted.values());
+      const hits = predictedAreas.reduce((sum, area) => sum + area.hits, 0);
+      const predictedAreaKm2 = predictedAreas.reduce((sum, area) => sum + area.areaKm2, 0);
+      // A run that flagged nothing has no hit rate rather than a zero one
+      const hitRate = predictedAreas.length > 0 && horizonKeys.length > 0 ? hits / horizonKeys.length : null;
+      const trainingShare = trainingKeys.length > 0
+        ? trainingKeys.filter(key => predicted.has(key)).length / trainingKeys.length
+        : 0;
+
+      runResults.push({
+        cutoff,
+        trainingStart,
+        horizonEnd,
+        trainingIncidents: training.length,
+        horizonIncidents: horizon.length,
+        predictedAreas,
+        predictedAreaKm2,
+        totalAreaKm2,
+        hits,
+        hitRate,
+        pai: hitRate !== null && predictedAreaKm2 > 0 && totalAreaKm2 > 0
+          ? hitRate / (predictedAreaKm2 / totalAreaKm2)
+          : null,
+        recaptureRate: hitRate !== null && trainingShare > 0 ? hitRate / trainingShare : null
+      });
+      await onProgress({ completedRuns: runResults.length, runs: cutoffDates.length });
+    }
+
+    const mean = field => {
+      const values = runResults.map(run => run[field]).filter(value => typeof value === 'number');
+      return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+    };
+
+    return await BacktestResult.create({
+      algorithm: predictiveDetector.algorithm,
+      version: predictiveDetector.version,
+      parameters: {
+        trainingDays,
+        horizonDays,
+        stepDays,
+        crimeTypes,
+        location,
+        areaCellKm: cellKm
+      },
+      runs: runResults,
+      summary: {
+        runCount: runResults.length,
+        predictedRunCount: runResults.filter(run => run.predictedAreas.length > 0).length,
+        meanHitRate: mean('hitRate'),
+        meanPai: mean('pai'),
+        meanRecaptureRate: mean('recaptureRate')
+      },
+      processingTime: Date.now() - startTime,
+      createdBy
+    });
+  }
+
+  /**
+   * Approximate size in km² of every analysis area: grid cells are cellKm
+   * square, districts use the convex hull of their located incidents
+   */
+  estimateAreaSizes(incidents, cellKm = config.AI_HOTSPOT_RADIUS_KM) {
+    const sizes = {};
+    Object.entries(this.groupByArea(incidents, cellKm)).forEach(([key, area]) => {
+      const located = area.incidents.filter(incident => incident.coordinates).map(incident => incident.coordinates);
+      const hullArea = key.startsWith('district:') && located.length >= 3
+        ? spatialClustering.calculatePolygonAreaKm2(spatialClustering.convexHull(located))
+        : 0;
+      sizes[key] = hullArea > 0 ? hullArea : cellKm * cellKm;
+    });
+    return sizes;
+  }
+
+  /**
+   * Knox test per crime type over located incidents. Returns one result per
+   * crime type with enough incidents, each with its band table and the
+   * near-repeat extent (null when there is no significant near-repeat effect).
+   * The test is quadratic in the incident count, so a crime type with more
+   * than maxIncidents is tested on its most recent ones (sampledFrom then
+   * records how many there were).
+   */
+  analyzeNearRepeats(incidents, options = {}) {
+    const {
+      spatialBandsKm = config.AI_NEAR_REPEAT_SPATIAL_BANDS_KM,
+      temporalBandsDays = config.AI_NEAR_REPEAT_TEMPORAL_BANDS_DAYS,
+      iterations = config.AI_NEAR_REPEAT_ITERATIONS,
+      minIncidents = config.AI_NEAR_REPEAT_MIN_INCIDENTS,
+      maxIncidents = config.AI_NEAR_REPEAT_MAX_INCIDENTS,
+      significanceLevel = 0.05
+    } = options;
+
+    // Band edges from detector options may arrive in any order
+    const ascending = bounds => [...new Set(bounds)].sort((a, b) => a - b);
+    const byType = {};
+    incidents.filter(incident => incident.coordinates).forEach(incident => {
+      (byType[incident.type] = byType[incident.type] || []).push(incident);
+    });
+
+    return Object.entries(byType)
+      .filter(([, typeIncidents]) => typeIncidents.length >= minIncidents)
+      .map(([crimeType, allIncidents]) => {
+        const typeIncidents = allIncidents.length > maxIncidents
+          ? [...allIncidents].sort((a, b) => b.dateTime - a.dateTime).slice(0, maxIncidents)
+          : allIncidents;
+        if (typeIncidents !== allIncidents) {
+          console.log(`Near-repeat test for ${crimeType} limited to the latest ${maxIncidents} of ${allIncidents.length} incidents`);
+        }
+
+        const result = nearRepeat.knoxTest(typeIncidents.map(incident => ({
+          lat: incident.coordinates.lat,
+          lng: incident.coordinates.lng,
+          time: incident.dateTime.getTime()
+        })), { spatialBandsKm: ascending(spatialBandsKm), temporalBandsDays: ascending(temporalBandsDays), iterations });
+
+        return {
+          crimeType,
+          incidents: typeIncidents,
+          ...result,
+          ...(typeIncidents !== allIncidents ? { sampledFrom: allIncidents.length } : {}),
+          extent: nearRepeat.findNearRepeatExtent(result, { significanceLevel })
+        };
+      });
+  }
+
+  /**
+   * Near-repeat risk zones: for crime types with a significant near-repeat
+   * effect, every incident recent enough that its risk window is still open
+   * gets a zone of the near-repeat distance that expires after the
+   * near-repeat time. Incidents inside a newer zone are folded into it.
+   */
+  async detectNearRepeatZones(incidents, options = {}) {
+    const now = options.now || new Date();
+    const zones = [];
+
+    this.analyzeNearRepeats(incidents, options).forEach(analysis => {
+      const { crimeType, extent } = analysis;
+      if (!extent) return;
+
+      const windowMs = extent.days * trendAnalysis.DAY_MS;
+      const recent = analysis.incidents
+        .filter(incident => incident.dateTime.getTime() + windowMs > now.getTime())
+        .sort((a, b) => b.dateTime - a.dateTime);
+      const typeZones = [];
+      const zoneIncidents = new Map();
+
+      recent.forEach(incident => {
+        const existing = typeZones.find(zone =>
+          spatialClustering.haversineDistance(zone.coordinates, incident.coordinates) <= extent.distanceKm);
+        if (existing) {
+          existing.relatedIncidents.push(incident._id);
+          zoneIncidents.get(existing).push(incident);
+          return;
+        }
+
+        const expiresAt = new Date(incident.dateTime.getTime() + windowMs);
+        const confidence = Math.min(0.95, 0.4 + (1 - extent.pValue) * (1 - 1 / extent.ratio));
+        const crimeLabel = crimeType.replace(/_/g, ' ');
+
+        typeZones.push({
+          type: 'near-repeat-zone',
+          subtype: crimeType,
+          description: `Elevated ${crimeLabel} risk within ${(extent.distanceKm * 1000).toFixed(0)}m of ` +
+            `${incident.address || 'a recent incident'} until ${expiresAt.toDateString()}: ` +
+            `${crimeLabel} pairs within this distance and ${extent.days} days occur ` +
+            `${extent.ratio.toFixed(1)}x more often than chance (Knox p=${extent.pValue.toFixed(3)})`,
+          confidence,
+          location: incident.address || incident.district || undefined,
+          coordinates: incident.coordinates,
+          predictionWindow: { start: incident.dateTime, end: expiresAt },
+          expiresAt,
+          statistics: {
+            radius: extent.distanceKm * 1000,
+            nearRepeatDays: extent.days,
+            ratio: extent.ratio,
+            pValue: extent.pValue
+          },
+          relatedIncidents: [incident._id],
+          analysisParameters: {
+            nearRepeat: {
+              crimeType,
+              distanceKm: extent.distanceKm,
+              days: extent.days,
+              ratio: extent.ratio,
+              pValue: extent.pValue,
+              iterations: analysis.iterations
+            }
+          },
+          recommendations: [
+            `Target patrols within ${(extent.distanceKm * 1000).toFixed(0)}m of the incident for the next ${extent.days} days`,
+            `Notify neighbouring residents and businesses of the elevated ${crimeLabel} risk`,
+            'Offer target-hardening advice to nearby properties'
+          ],
+          riskLevel: extent.ratio >= 2 ? 'high' : extent.ratio >= 1.5 ? 'medium' : 'low'
+        });
+        zoneIncidents.set(typeZones[typeZones.length - 1], [incident]);
+      });
+
+      typeZones.forEach(zone => {
+        zone.explanation = this.explainNearRepeatZone(zone, extent, zoneIncidents.get(zone), {
+          now,
+          significanceLevel: options.significanceLevel || 0.05
+        });
+      });
+      zones.push(...typeZones);
+    });
+
+    return zones;
+  }
+
+  explainNearRepeatZone(zone, extent, zoneIncidents, { now, significanceLevel }) {
+    const raw = 0.4 + (1 - extent.pValue) * (1 - 1 / extent.ratio);
+    const windowMs = extent.days * trendAnalysis.DAY_MS;
+
+    return confidenceExplanation.build({
+      method: 'statistical-test',
+      formula: 'min(95%, 40% + (1 − Knox p-value) × (1 − 1 / Knox ratio))',
+      score: zone.confidence,
+      summary: `Pairs of ${zone.subtype.replace(/_/g, ' ')} incidents within ${(extent.distanceKm * 1000).toFixed(0)}m ` +
+        `and ${extent.days} days occur ${extent.ratio.toFixed(1)}x more often than chance (Knox p=${extent.pValue.toFixed(3)})`,
+      factors: [
+        confidenceExplanation.factor('knoxSignificance', 'Knox test significance', {
+          value: extent.pValue,
+          normalized: 1 - extent.pValue,
+          description: 'One minus the Monte Carlo p-value of the Knox test for this crime type'
+        }),
+        confidenceExplanation.factor('knoxRatio', 'Knox ratio', {
+          value: extent.ratio,
+          normalized: 1 - 1 / extent.ratio,
+          description: 'Observed close pairs divided by the number expected by chance'
+        })
+      ],
+      thresholds: [
+        confidenceExplanation.threshold('Knox p-value', extent.pValue, significanceLevel, '<='),
+        confidenceExplanation.threshold('Knox ratio', extent.ratio, 1.2)
+      ],
+      adjustments: [
+        '40% baseline for a significant near-repeat effect',
+        confidenceExplanation.cap(raw, 0.95).adjustment
+      ],
+      evidence: [
+        { label: 'Near-repeat distance (m)', value: (extent.distanceKm * 1000).toFixed(0) },
+        { label: 'Near-repeat window (days)', value: extent.days },
+        { label: 'Incidents with the window still open', value: zoneIncidents.length }
+      ],
+      incidents: this.explainIncidents(zoneIncidents, {
+        // The risk decays as each incident's window closes
+        weightOf: inc => (inc.dateTime.getTime() + windowMs - now.getTime()) / windowMs
+      })
+    });
+  }
+
+  /**
+   * Emerging clusters from a prospective space-time permutation scan over the
+   * located incidents. Only clusters significant at AI_SCAN_SIGNIFICANCE are
+   * reported; the p-value comes from comparing each cluster's log-likelihood
+   * ratio with the maxima of randomly re-dated replicas.
+   */
+  async detectSpaceTimeClusters(incidents, options = {}) {
+    const {
+      endTime = Date.now(),
+      maxRadiusKm = config.AI_SCAN_MAX_RADIUS_KM,
+      maxWindowDays = config.AI_SCAN_MAX_WINDOW_DAYS,
+      iterations = config.AI_SCAN_ITERATIONS,
+      significanceLevel = config.AI_SCAN_SIGNIFICANCE,
+      minIncidents = 3,
+      maxIncidents = config.AI_SCAN_MAX_INCIDENTS
+    } = options;
+
+    // The scan is quadratic in locations; emerging clusters only need the latest incidents
+    let located = incidents.filter(incident => incident.coordinates);
+    if (located.length > maxIncidents) {
+      console.log(`Space-time scan limited to the latest ${maxIncidents} of ${located.length} located incidents`);
+      located = [...located].sort((a, b) => b.dateTime - a.dateTime).slice(0, maxIncidents);
+    }
+    const result = spaceTimeScan.scan(located.map(incident => ({
+      lat: incident.coordinates.lat,
+      lng: incident.coordinates.lng,
+      time: incident.dateTime.getTime()
+    })), { endTime, maxRadiusKm, maxWindowDays, iterations });
+
+    console.log(`Space-time scan: ${result.clusters.length} candidate clusters over ` +
+      `${result.total} incidents and ${result.studyDays} days`);
+
+    return result.clusters
+      .filter(cluster => cluster.pValue <= significanceLevel && cluster.observed >= minIncidents)
+      .map(cluster => {
+        const clusterIncidents = cluster.eventIndices.map(index => located[index]);
+        const location = this.getLocationLabel(clusterIncidents);
+        const radiusMeters = Math.max(cluster.radiusKm * 1000, 50);
+
+        return {
+          type: 'space-time-cluster',
+          subtype: this.classifyHotspotType(clusterIncidents),
+          description: `Emerging cluster of ${cluster.observed} incidents within ${radiusMeters.toFixed(0)}m of ` +
+            `${location} over the last ${cluster.windowDays} days, ${cluster.relativeRisk.toFixed(1)}x the ` +
+            `${cluster.expected.toFixed(1)} expected (LLR ${cluster.llr.toFixed(2)}, p=${cluster.pValue.toFixed(3)})`,
+          confidence: Math.min(0.95, 1 - cluster.pValue),
+          location,
+          coordinates: cluster.center,
+          dateRange: { start: cluster.startDate, end: cluster.endDate },
+          statistics: {
+            radius: radiusMeters,
+            observed: cluster.observed,
+            expected: cluster.expected,
+            relativeRisk: cluster.relativeRisk,
+            llr: cluster.llr,
+            pValue: cluster.pValue,
+            crimeTypes: this.getCrimeTypeDistribution(clusterIncidents)
+          },
+          analysisParameters: {
+            spaceTimeScan: {
+              llr: cluster.llr,
+              pValue: cluster.pValue,
+              observed: cluster.observed,
+              expected: cluster.expected,
+              relativeRisk: cluster.relativeRisk,
+              windowDays: cluster.windowDays,
+              radiusKm: cluster.radiusKm,
+              maxRadiusKm,
+              maxWindowDays,
+              iterations
+            }
+          },
+          timePattern: this.analyzeLocationTimePattern(clusterIncidents),
+          relatedIncidents: clusterIncidents.map(incident => incident._id),
+          explanation: confidenceExplanation.build({
+            method: 'statistical-test',
+            formula: 'min(95%, 1 − Monte Carlo p-value of the scan statistic)',
+            score: Math.min(0.95, 1 - cluster.pValue),
+            summary: `${cluster.observed} incidents against ${cluster.expected.toFixed(1)} expected if time and place ` +
+              `were independent; ${iterations} randomly re-dated replicas rarely produced a cluster this strong`,
+            factors: [
+              confidenceExplanation.factor('scanSignificance', 'Scan significance', {
+                value: cluster.pValue,
+                normalized: 1 - cluster.pValue,
+                description: 'One minus the share of replicas whose strongest cluster beat this one'
+              }),
+              confidenceExplanation.factor('relativeRisk', 'Relative risk', {
+                value: cluster.relativeRisk,
+                description: 'Observed incidents divided by expected incidents in the cylinder'
+              }),
+              confidenceExplanation.factor('llr', 'Log-likelihood ratio', {
+                value: cluster.llr,
+                description: 'Strength of the excess; the p-value ranks it against the replicas'
+              })
+            ],
+            thresholds: [
+              confidenceExplanation.threshold('Scan p-value', cluster.pValue, significanceLevel, '<='),
+              confidenceExplanation.threshold('Incidents in the cluster', cluster.observed, minIncidents)
+            ],
+            adjustments: [confidenceExplanation.cap(1 - cluster.pValue, 0.95).adjustment],
+            evidence: [
+              { label: 'Radius (m)', value: radiusMeters.toFixed(0) },
+              { label: 'Window (days)', value: cluster.windowDays },
+              { label: 'Expected incidents', value: cluster.expected.toFixed(1) }
+            ],
+            incidents: this.explainIncidents(clusterIncidents)
+          }),
+          recommendations: this.generateClusterRecommendations(cluster),
+          riskLevel: cluster.relativeRisk >= 3 ? 'high' : cluster.relativeRisk >= 2 ? 'medium' : 'low'
+        };
+      });
+  }
+
+  /**
+   * Kernel density surface over incident coordinates for the hotspot map.
+   * Incidents are weighted by severity (weighting 'severity') or counted
+   * equally (weighting 'count'); typeWeights further scales individual crime
+   * types, e.g. { assault: 2, vandalism: 0.5 }.
+   */
+  async computeDensitySurface(options = {}) {
+    const {
+      timeRange = '30days',
+      startDate = null,
+      endDate = null,
+      location = null,
+      crimeTypes = [],
+      cellSizeKm = config.AI_KDE_CELL_SIZE_KM,
+      bandwidthKm = config.AI_KDE_BANDWIDTH_KM,
+      weighting = 'severity',
+      typeWeights = {}
+    } = options;
+
+    const incidents = (await this.getFilteredIncidents({
+      timeRange,
+      startDate,
+      endDate,
+      location,
+      crimeTypes
+    })).map(incident => this.normalizeIncident(incident));
+
+    const points = incidents
+      .filter(incident => incident.coordinates)
+      .map(incident => ({
+        lat: incident.coordinates.lat,
+        lng: incident.coordinates.lng,
+        weight: (weighting === 'severity' ? SEVERITY_WEIGHTS[incident.severity] : 1) *
+          (typeof typeWeights[incident.type] === 'number' ? typeWeights[incident.type] : 1)
+      }))
+      .filter(point => point.weight > 0);
+
+    const surface = kernelDensity.estimateDensity(points, {
+      cellSizeKm,
+      bandwidthKm,
+      maxCells: config.AI_KDE_MAX_CELLS
+    });
+
+    console.log(`Density surface: ${points.length} of ${incidents.length} incidents located, ` +
+      `${surface ? surface.rows + 'x' + surface.cols : 'empty'} grid`);
+
+    return {
+      surface,
+      metadata: {
+        totalIncidents: incidents.length,
+        locatedIncidents: points.length,
+        timeRange: startDate || endDate ? { start: startDate, end: endDate } : timeRange,
+        crimeTypes,
+        weighting,
+        typeWeights
+      }
+    };
+  }
+
+  /**
+   * Fit a risk terrain model of one crime type (all types when null) against
+   * the uploaded environmental layers, or the layers listed in layerIds.
+   * Returns { result, metadata } where result is null when too few incidents
+   * are located or no layers are loaded.
+   */
+  async computeRiskTerrain(options = {}) {
+    const {
+      timeRange = '1year',
+      location = null,
+      crimeType = null,
+      layerIds = [],
+      cellSizeKm = config.AI_RTM_CELL_SIZE_KM,
+      distancesKm = config.AI_RTM_DISTANCES_KM
+    } = options;
+
+    const incidents = (await this.getFilteredIncidents({ timeRange, location }))
+      .map(incident => this.normalizeIncident(incident))
+      .filter(incident => incident.coordinates)
+      .map(incident => ({ lat: incident.coordinates.lat, lng: incident.coordinates.lng, type: incident.type }));
+
+    const layers = (await RiskLayer.find(layerIds.length > 0 ? { _id: { $in: layerIds } } : {}))
+      .map(layer => ({
+        id: String(layer._id),
+        name: layer.name,
+        category: layer.category,
+        features: layer.features.map(feature => ({
+          lat: feature.location.coordinates[1],
+          lng: feature.location.coordinates[0]
+        }))
+      }));
+
+    const result = riskTerrain.fitModel(incidents, layers, {
+      crimeType,
+      cellSizeKm,
+      distancesKm,
+      maxCells: config.AI_KDE_MAX_CELLS
+    });
+
+    console.log(`Risk terrain: ${incidents.length} located incidents, ${layers.length} layers, ` +
+      `${result ? result.model.factors.length + ' significant factors' : 'no model'}`);
+
+    return {
+      result,
+      metadata: {
+        locatedIncidents: incidents.length,
+        modeledIncidents: crimeType ? incidents.filter(incident => incident.type === crimeType).length : incidents.length,
+        layerCount: layers.length,
+        timeRange,
+        crimeType,
+        distancesKm
+      }
+    };
+  }
+
+  /**
+   * Daily incident counts over the last historyDays complete agency calendar
+   * days plus today (the last, still incomplete, entry): one series for all
+   * incidents matching the filters and, with perSeries, one per district and
+   * crime type. Incidents without a district only count towards the overall
+   * series.
+   */
+  async dailyCounts({ historyDays, district = null, crimeType = null, perSeries = true, now = new Date() }) {
+    const days = timeZone.recentDays(historyDays + 1, now);
+    const dayKey = ({ year, month, day }) => `${year}-${month}-${day}`;
+    const dayIndex = new Map(days.map((day, index) => [dayKey(day), index]));
+
+    const filter = { dateTime: { $gte: new Date(now.getTime() - (historyDays + 2) * trendAnalysis.DAY_MS) } };
+    if (crimeType) filter.incidentType = crimeType;
+    if (district) filter['location.district'] = new RegExp(`^${this.escapeRegex(district)}$`, 'i');
+    const incidents = await Incident.find(filter).select('dateTime incidentType location.district').lean();
+
+    const overall = new Array(days.length).fill(0);
+    const series = new Map();
+    incidents.forEach(incident => {
+      const parts = timeZone.getParts(incident.dateTime);
+      const index = dayIndex.get(dayKey({ year: parts.year, month: parts.month + 1, day: parts.day }));
+      if (index === undefined) return;
+
+      overall[index]++;
+      const incidentDistrict = incident.location && incident.location.district;
+      if (!perSeries || !incidentDistrict) return;
+
+      const key = `${incidentDistrict}|${incident.incidentType}`;
+      if (!series.has(key)) {
+        series.set(key, {
+          district: incidentDistrict,
+          crimeType: incident.incidentType,
+          counts: new Array(days.length).fill(0)
+        });
+      }
+      series.get(key).counts[index]++;
+    });
+
+    return {
+      days,
+      weekdays: days.map(day => new Date(Date.UTC(day.year, day.month - 1, day.day)).getUTCDay()),
+      incidentCount: incidents.length,
+      overall,
+      series: [...series.values()]
+    };
+  }
+
+  /**
+   * Forecast daily incident counts for today and the next horizonDays days
+   * (agency calendar days) from the last historyDays complete days: one
+   * series for every incident matching the filters and, with perSeries, one
+   * per district and crime type with at least minIncidents incidents.
+   * Totals cover the days after today, which is still incomplete.
+   */
+  async forecastCounts(options = {}) {
+    const {
+      historyDays = config.AI_FORECAST_HISTORY_DAYS,
+      horizonDays = config.AI_FORECAST_HORIZON_DAYS,
+      minIncidents = config.AI_FORECAST_MIN_INCIDENTS,
+      level = config.AI_FORECAST_INTERVAL,
+      district = null,
+      crimeType = null,
+      perSeries = true,
+      now = new Date()
+    } = options;
+
+    const counts = await this.dailyCounts({ historyDays, district, crimeType, perSeries, now });
+    const today = counts.days[counts.days.length - 1];
+    const forecastDates = Array.from({ length: horizonDays + 1 }, (value, h) => {
+      return new Date(Date.UTC(today.year, today.month - 1, today.day + h));
+    });
+
+    const forecastOf = dailyCounts => {
+      const history = dailyCounts.slice(0, -1);
+      const forecast = countForecast.forecastSeries(history, counts.weekdays.slice(0, -1), {
+        horizon: horizonDays,
+        skip: 1,
+        level
+      });
+      return {
+        historyTotal: history.reduce((sum, count) => sum + count, 0),
+        lastWeekTotal: history.slice(-7).reduce((sum, count) => sum + count, 0),
+        today: dailyCounts[dailyCounts.length - 1],
+        forecast
+      };
+    };
+
+    const series = counts.series
+      .filter(entry => entry.counts.reduce((sum, count) => sum + count, 0) >= minIncidents)
+      .map(entry => ({ district: entry.district, crimeType: entry.crimeType, ...forecastOf(entry.counts) }))
+      .filter(entry => entry.forecast)
+      .sort((a, b) => b.forecast.total.mean - a.forecast.total.mean);
+
+    console.log(`Count forecast: ${counts.incidentCount} incidents, ${series.length} district/crime type series`);
+
+    return {
+      timeZone: timeZone.describe(),
+      historyDays,
+      horizonDays,
+      level,
+      district,
+      crimeType,
+      forecastDates,
+      overall: forecastOf(counts.overall),
+      series
+    };
+  }
+
+  /**
+   * Compare today's incident count in every district, and for every crime
+   * type within a district, with a rolling median/MAD baseline of the
+   * baselineDays complete days before it. Today is still incomplete, so a
+   * count flagged before the day is over is already unusual for a whole day.
+   * Returns the agency date checked and the anomalies, largest score first.
+   */
+  async detectCountAnomalies(options = {}) {
+    const {
+      baselineDays = config.AI_ANOMALY_BASELINE_DAYS,
+      threshold = config.AI_ANOMALY_THRESHOLD,
+      minCount = config.AI_ANOMALY_MIN_COUNT,
+      now = new Date()
+    } = options;
+
+    const counts = await this.dailyCounts({ historyDays: baselineDays, now });
+    const today = counts.days[counts.days.length - 1];
+
+    // District totals are the sum of their crime type series
+    const districts = new Map();
+    counts.series.forEach(entry => {
+      if (!districts.has(entry.district)) {
+        districts.set(entry.district, { district: entry.district, crimeType: null, counts: new Array(entry.counts.length).fill(0) });
+      }
+      const total = districts.get(entry.district).counts;
+      entry.counts.forEach((count, index) => { total[index] += count; });
+    });
+
+    const checked = [...districts.values(), ...counts.series];
+    const anomalies = checked
+      .map(entry => {
+        const baseline = anomalyDetection.robustBaseline(entry.counts.slice(0, -1));
+        const result = anomalyDetection.scoreCount(entry.counts[entry.counts.length - 1], baseline, { threshold, minCount });
+        return { district: entry.district, crimeType: entry.crimeType, baseline, ...result };
+      })
+      .filter(entry => entry.isAnomaly)
+      .sort((a, b) => b.score - a.score);
+
+    console.log(`Count anomalies: ${anomalies.length} of ${checked.length} district/crime type series`);
+
+    return {
+      date: `${today.year}-${String(today.month).padStart(2, '0')}-${String(today.day).padStart(2, '0')}`,
+      baselineDays,
+      threshold,
+      minCount,
+      checked: checked.length,
+      anomalies
+    };
+  }
+
+  /**
+   * Top repeat places and repeat victims over a time range, optionally for
+   * one crime type and one area, with the time between repeats. Incidents
+   * are linked to places and victims when saved (see repeat-victimization).
+   */
+  async computeRepeatVictimization(options = {}) {
+    const { timeRange = '1year', location = null, crimeType = null, limit = 25 } = options;
+
+    const incidents = await this.getFilteredIncidents({
+      timeRange,
+      location,
+      crimeTypes: crimeType ? [crimeType] : []
+    });
+
+    const places = repeatVictimization.summarizeRepeats(incidents, incident => [incident.placeId], { limit });
+    const victims = repeatVictimization.summarizeRepeats(
+      incidents,
+      incident => (incident.victims || []).map(victim => victim.victimId),
+      { limit }
+    );
+
+    const placeDocs = await Place.find({ _id: { $in: places.top.map(entry => entry.id) } }).lean();
+    const victimDocs = await Victim.find({ _id: { $in: victims.top.map(entry => entry.id) } })
+      .select('name dateOfBirth')
+      .lean();
+    const byId = docs => new Map(docs.map(doc => [String(doc._id), doc]));
+    const placesById = byId(placeDocs);
+    const victimsById = byId(victimDocs);
+    places.top.forEach(entry => { entry.place = placesById.get(entry.id) || null; });
+    victims.top.forEach(entry => { entry.victim = victimsById.get(entry.id) || null; });
+
+    console.log(`Repeat victimization: ${incidents.length} incidents, ${places.repeatedCount} repeat places, ` +
+      `${victims.repeatedCount} repeat victims`);
+
+    return {
+      places,
+      victims,
+      metadata: {
+        incidentCount: incidents.length,
+        unlinkedPlaceIncidents: incidents.filter(incident => !incident.placeId).length,
+        timeRange,
+        crimeType,
+        location
+      }
+    };
+  }
+
+  /**
+   * Hour-of-week matrices and a decomposition of daily counts for the temporal
+   * view, optionally narrowed to one crime type and one area (a getArea key).
+   * Matrices are also broken down per crime type and per area.
+   */
+  async computeTemporalProfile(options = {}) {
+    const { timeRange = '1year', crimeType = null, area = null } = options;
+    const days = TIME_RANGE_DAYS[timeRange] || TIME_RANGE_DAYS['1year'];
+    const end = new Date();
+    const start = new Date(end.getTime() - days * trendAnalysis.DAY_MS);
+
+    const incidents = (await this.getFilteredIncidents({
+      startDate: start,
+      endDate: end,
+      crimeTypes: crimeType ? [crimeType] : []
+    })).map(incident => this.normalizeIncident(incident));
+
+    const areas = new Map();
+    const areaKeyOf = incident => {
+      const incidentArea = this.getArea(incident);
+      if (!incidentArea) return null;
+      areas.set(incidentArea.key, incidentArea.label);
+      return incidentArea.key;
+    };
+    const selected = incidents.filter(incident => {
+      const key = areaKeyOf(incident);
+      return !area || key === area;
+    });
+
+    const profile = aoristic.hourOfWeekProfile(selected);
+    console.log(`Temporal profile: ${selected.length} of ${incidents.length} incidents over ${days} days`);
+
+    return {
+      timeRange,
+      days,
+      crimeType,
+      area,
+      areaLabel: area ? areas.get(area) || area : null,
+      areas: [...areas.entries()]
+        .map(([key, label]) => ({ key, label }))
+        .sort((a, b) => a.label.localeCompare(b.label)),
+      timeZone: timeZone.describe(),
+      profile: { days, timeZone: timeZone.describe(), ...profile },
+      timePattern: temporalProfile.describeTimePattern(selected),
+      decomposition: temporalProfile.decompose(temporalProfile.dailyCounts(selected, { start, end })),
+      byType: temporalProfile.groupMatrices(selected, incident => incident.type),
+      byArea: temporalProfile.groupMatrices(selected, areaKeyOf)
+        .map(group => ({ ...group, label: areas.get(group.key) }))
+    };
+  }
+
   // Helper methods for data filtering and grouping
   async getFilteredIncidents(filters) {
     const filter = {};
     
-    if (filters.timeRange) {
-      const now = new Date();
-      let startDate;
-      
-      switch (filters.timeRange) {
-        case '7days':
-          startDate = new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000);
-          break;
-        case '30days':
-          startDate = new Date(now.getTime() - 30 * 24 * 60 * 60 * 1000);
-          break;
-        case '90days':
-          startDate = new Date(now.getTime() - 90 * 24 * 60 * 60 * 1000);
-          break;
-        case '1year':
-          startDate = new Date(now.getTime() - 365 * 24 * 60 * 60 * 1000);
-          break;
-        default:
-          startDate = new Date(now.getTime() - 30 * 24 * 60 * 60 * 1000);
-      }
-      
-      filter.dateTime = { $gte: startDate };
+    if (filters.startDate || filters.endDate) {
+      filter.dateTime = {};
+      if (filters.startDate) filter.dateTime.$gte = new Date(filters.startDate);
+      if (filters.endDate) filter.dateTime.$lte = new Date(filters.endDate);
+    } else if (filters.timeRange) {
+      const days = TIME_RANGE_DAYS[filters.timeRange] || 30;
+      filter.dateTime = { $gte: new Date(Date.now() - days * trendAnalysis.DAY_MS) };
     }
 
     if (filters.location) {
-      filter.location = { $regex: filters.location, $options: 'i' };
+      const regex = new RegExp(this.escapeRegex(filters.location), 'i');
+      filter.$or = [
+        { 'location.address': regex },
+        { 'location.district': regex },
+        { 'location.zipCode': regex },
+        { 'location.landmark': regex }
+      ];
     }
 
     if (filters.crimeTypes && filters.crimeTypes.length > 0) {
-      filter.type = { $in: filters.crimeTypes };
+      filter.incidentType = { $in: filters.crimeTypes };
     }
 
-    return await Incident.find(filter).sort({ dateTime: -1 });
+    return await Incident.find(filter).sort({ dateTime: -1 }).lean();
+  }
+
+  /**
+   * Build the flat incident view used by every detector from an Incident document
+   */
+  normalizeIncident(incident) {
+    const location = incident.location || {};
+    const coordinates = Array.isArray(location.coordinates) && location.coordinates.length === 2
+      ? { lng: location.coordinates[0], lat: location.coordinates[1] }
+      : null;
+
+    return {
+      _id: incident._id,
+      type: incident.incidentType || 'other',
+      title: incident.title || '',
+      description: incident.description || '',
+      dateTime: new Date(incident.dateTime),
+      severity: SEVERITY_WEIGHTS[incident.severity] ? incident.severity : 'moderate',
+      coordinates,
+      address: (location.address || '').trim(),
+      district: (location.district || '').trim(),
+      zipCode: (location.zipCode || '').trim(),
+      landmark: (location.landmark || '').trim(),
+      suspects: incident.suspects || [],
+      vehicles: incident.vehicles || [],
+      evidence: incident.evidence || [],
+      caseId: incident.caseId || null,
+      occurrenceWindow: aoristic.getWindow(incident)
+    };
+  }
+
+  escapeRegex(str) {
+    return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+
+  // Location key of a single incident, or null when it has no address, landmark or district
+  getLocationKey(incident) {
+    const key = incident.address || incident.landmark || incident.district;
+    return key ? key.toLowerCase() : null;
+  }
+
+  getLocationLabel(incidents) {
+    const first = incidents.find(inc => inc.address || inc.landmark || inc.district);
+    if (!first) return 'Unknown location';
+    return first.address || first.landmark || first.district;
   }
 
   groupByLocation(incidents) {
     return incidents.reduce((groups, incident) => {
-      const location = incident.location.toLowerCase().trim();
+      const location = this.getLocationKey(incident);
+      if (!location) return groups;
       if (!groups[location]) {
         groups[location] = [];
       }
@@ -363,6 +1739,18 @@ class AIAnalysisService {
     }, {});
   }
 
+  // Group incidents by escalation ladder so a series can move from one type to a more serious one
+  groupBySeriesLadder(incidents) {
+    return incidents.reduce((groups, incident) => {
+      const group = escalation.seriesGroupOf(incident.type);
+      if (!groups[group]) {
+        groups[group] = [];
+      }
+      groups[group].push(incident);
+      return groups;
+    }, {});
+  }
+
   groupByCrimeType(incidents) {
     return incidents.reduce((groups, incident) => {
       const type = incident.type;
@@ -382,8 +1770,7 @@ class AIAnalysisService {
   }
 
   calculateAverageSeverity(incidents) {
-    const severityMap = { 'low': 1, 'medium': 2, 'high': 3, 'critical': 4 };
-    const total = incidents.reduce((sum, inc) => sum + (severityMap[inc.severity] || 1), 0);
+    const total = incidents.reduce((sum, inc) => sum + (SEVERITY_WEIGHTS[inc.severity] || 2), 0);
     return total / incidents.length;
   }
 
@@ -394,50 +1781,108 @@ class AIAnalysisService {
   }
 
   calculateHotspotConfidence(factors) {
+    return this.explainHotspotConfidence(factors).score;
+  }
+
+  // Hotspot confidence as a weighted sum of normalized factors, with each factor itemised
+  explainHotspotConfidence(factors) {
     const { incidentCount, density, severity, timeSpread } = factors;
-    
-    // Normalize factors
-    const countScore = Math.min(1, incidentCount / 10);
-    const densityScore = Math.min(1, density / 2);
-    const severityScore = severity / 4;
-    const timeScore = timeSpread > 0 ? Math.min(1, timeSpread / (30 * 24 * 60 * 60 * 1000)) : 0;
-    
-    // Weighted combination
-    return (countScore * 0.4 + densityScore * 0.3 + severityScore * 0.2 + timeScore * 0.1);
+    const spreadDays = timeSpread / trendAnalysis.DAY_MS;
+
+    const scored = [
+      confidenceExplanation.factor('incidentCount', 'Incident count', {
+        value: incidentCount,
+        normalized: Math.min(1, incidentCount / 10),
+        weight: 0.4,
+        description: 'Incidents at the location; full marks at 10'
+      }),
+      confidenceExplanation.factor('density', 'Density', {
+        value: density,
+        normalized: Math.min(1, density / 2),
+        weight: 0.3,
+        description: 'Incidents per day between the first and last incident; full marks at 2 per day'
+      }),
+      confidenceExplanation.factor('severity', 'Severity', {
+        value: severity,
+        normalized: severity / 4,
+        weight: 0.2,
+        description: 'Average severity from minor (1) to critical (4)'
+      }),
+      confidenceExplanation.factor('timeSpread', 'Time spread', {
+        value: spreadDays,
+        normalized: timeSpread > 0 ? Math.min(1, spreadDays / 30) : 0,
+        weight: 0.1,
+        description: 'Days between the first and last incident; full marks at 30 days, so one-off bursts score lower'
+      })
+    ];
+
+    return { score: confidenceExplanation.weightedSum(scored), factors: scored };
+  }
+
+  // Contributing incidents for an explanation, described by type, severity and date
+  explainIncidents(incidents, { weightOf, reasonOf } = {}) {
+    return confidenceExplanation.contributingIncidents(incidents, {
+      weightOf,
+      reasonOf: reasonOf || (inc => `${inc.type.replace(/_/g, ' ')}, ${inc.severity}, ${inc.dateTime.toDateString()}` +
+        (inc.address ? ` at ${inc.address}` : ''))
+    });
   }
 
   // Pattern detection methods
-  detectHourlyPatterns(incidents) {
-    const patterns = [];
-    const hourCounts = {};
-    
-    incidents.forEach(inc => {
-      const hour = inc.dateTime.getHours();
-      hourCounts[hour] = (hourCounts[hour] || 0) + 1;
+  /**
+   * Aoristic counts per time bucket: an incident with an occurrence window adds
+   * a fraction to every bucket its window covers instead of a full count to the
+   * bucket of its recorded time. Buckets come back busiest first, each with
+   * the incidents contributing to it and their weights.
+   */
+  aoristicBuckets(incidents, weightsOf) {
+    const buckets = new Map();
+    incidents.forEach(incident => {
+      weightsOf(incident).forEach((weight, key) => {
+        if (!buckets.has(key)) {
+          buckets.set(key, { key, count: 0, members: new Map() });
+        }
+        const bucket = buckets.get(key);
+        bucket.count += weight;
+        bucket.members.set(incident, weight);
+      });
     });
 
+    return [...buckets.values()]
+      .map(bucket => ({ ...bucket, count: Math.round(bucket.count * 1e6) / 1e6 }))
+      .sort((a, b) => b.count - a.count);
+  }
+
+  detectHourlyPatterns(incidents, minCount = 3) {
+    const patterns = [];
+
     // Find peak hours
-    const sortedHours = Object.entries(hourCounts)
-      .sort(([,a], [,b]) => b - a)
-      .slice(0, 3);
+    const peakHours = this.aoristicBuckets(incidents, inc => aoristic.hourOfDayWeights(inc)).slice(0, 3);
 
-    for (const [hour, count] of sortedHours) {
-      if (count >= 3) {
-        const confidence = Math.min(0.9, count / incidents.length * 4);
+    for (const { key: hour, count, members } of peakHours) {
+      if (count >= minCount) {
+        const hourRange = `${hour}:00-${(hour + 1) % 24}:00`;
+        const scoring = this.explainTemporalPeak({
+          label: hourRange, members, count, total: incidents.length, multiplier: 4, maximum: 0.9, minCount
+        });
+        const confidence = scoring.score;
         patterns.push({
           type: 'temporal-pattern',
           subtype: 'hourly',
-          description: `Peak crime activity at ${hour}:00 hour`,
+          description: `Peak crime activity at ${hour}:00 hour (${config.AGENCY_TIMEZONE})`,
           confidence,
           location: 'Multiple locations',
           statistics: {
-            peakHour: parseInt(hour),
-            incidentCount: count,
-            percentage: (count / incidents.length * 100).toFixed(1)
+            peakHour: hour,
+            incidentCount: Math.round(count * 10) / 10,
+            percentage: (count / incidents.length * 100).toFixed(1),
+            uncertainIncidents: [...members.keys()].filter(inc => inc.occurrenceWindow).length
           },
-          timePattern: { peakHour: parseInt(hour), frequency: count },
-          relatedIncidents: incidents.filter(inc => inc.dateTime.getHours() === parseInt(hour)).map(inc => inc._id),
-          recommendations: [`Increase patrol presence during ${hour}:00-${(parseInt(hour) + 1) % 24}:00`],
+          timePattern: { peakHour: hour, hoursOfDay: [hour], frequency: 'daily', timeZone: config.AGENCY_TIMEZONE },
+          relatedIncidents: [...members.keys()].map(inc => inc._id),
+          relevanceScores: this.memberRelevance(members),
+          explanation: scoring.explanation,
+          recommendations: [`Increase patrol presence during ${hourRange}`],
           riskLevel: confidence > 0.7 ? 'high' : confidence > 0.5 ? 'medium' : 'low'
         });
       }
@@ -446,23 +1891,18 @@ class AIAnalysisService {
     return patterns;
   }
 
-  detectDailyPatterns(incidents) {
+  detectDailyPatterns(incidents, minCount = 3) {
     const patterns = [];
-    const dayCounts = {};
-    const dayNames = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
-    
-    incidents.forEach(inc => {
-      const day = inc.dateTime.getDay();
-      dayCounts[day] = (dayCounts[day] || 0) + 1;
-    });
+    const dayNames = aoristic.DAY_NAMES;
 
-    const sortedDays = Object.entries(dayCounts)
-      .sort(([,a], [,b]) => b - a)
-      .slice(0, 2);
+    const peakDays = this.aoristicBuckets(incidents, inc => aoristic.dayOfWeekWeights(inc)).slice(0, 2);
 
-    for (const [day, count] of sortedDays) {
-      if (count >= 3) {
-        const confidence = Math.min(0.85, count / incidents.length * 3);
+    for (const { key: day, count, members } of peakDays) {
+      if (count >= minCount) {
+        const scoring = this.explainTemporalPeak({
+          label: dayNames[day], members, count, total: incidents.length, multiplier: 3, maximum: 0.85, minCount
+        });
+        const confidence = scoring.score;
         patterns.push({
           type: 'temporal-pattern',
           subtype: 'daily',
@@ -471,11 +1911,14 @@ class AIAnalysisService {
           location: 'Multiple locations',
           statistics: {
             peakDay: dayNames[day],
-            incidentCount: count,
-            percentage: (count / incidents.length * 100).toFixed(1)
+            incidentCount: Math.round(count * 10) / 10,
+            percentage: (count / incidents.length * 100).toFixed(1),
+            uncertainIncidents: [...members.keys()].filter(inc => inc.occurrenceWindow).length
           },
-          timePattern: { peakDay: dayNames[day], frequency: count },
-          relatedIncidents: incidents.filter(inc => inc.dateTime.getDay() === parseInt(day)).map(inc => inc._id),
+          timePattern: { peakDay: dayNames[day], daysOfWeek: [day], frequency: 'weekly', timeZone: config.AGENCY_TIMEZONE },
+          relatedIncidents: [...members.keys()].map(inc => inc._id),
+          relevanceScores: this.memberRelevance(members),
+          explanation: scoring.explanation,
           recommendations: [`Focus resources on ${dayNames[day]} operations`],
           riskLevel: confidence > 0.7 ? 'high' : confidence > 0.5 ? 'medium' : 'low'
         });
@@ -485,62 +1928,137 @@ class AIAnalysisService {
     return patterns;
   }
 
-  detectSeasonalPatterns(incidents) {
-    // Simplified seasonal analysis
-    const patterns = [];
-    const monthCounts = {};
-    
-    incidents.forEach(inc => {
-      const month = inc.dateTime.getMonth();
-      monthCounts[month] = (monthCounts[month] || 0) + 1;
+  // Relevance of each incident to a time bucket: the share of its weight that falls there
+  memberRelevance(members) {
+    const scores = {};
+    members.forEach((weight, incident) => {
+      scores[incident._id.toString()] = Math.round(weight * 1000) / 1000;
     });
+    return scores;
+  }
 
-    const maxMonth = Object.entries(monthCounts).reduce((a, b) => monthCounts[a[0]] > monthCounts[b[0]] ? a : b);
-    
-    if (maxMonth[1] >= 4) {
-      const monthNames = ['January', 'February', 'March', 'April', 'May', 'June',
-                         'July', 'August', 'September', 'October', 'November', 'December'];
-      const confidence = Math.min(0.8, maxMonth[1] / incidents.length * 2);
-      
-      patterns.push({
-        type: 'temporal-pattern',
-        subtype: 'seasonal',
-        description: `Seasonal crime peak in ${monthNames[maxMonth[0]]}`,
-        confidence,
-        location: 'Multiple locations',
-        statistics: {
-          peakMonth: monthNames[maxMonth[0]],
-          incidentCount: maxMonth[1],
-          percentage: (maxMonth[1] / incidents.length * 100).toFixed(1)
-        },
-        timePattern: { peakMonth: monthNames[maxMonth[0]], frequency: maxMonth[1] },
-        relatedIncidents: incidents.filter(inc => inc.dateTime.getMonth() === parseInt(maxMonth[0])).map(inc => inc._id),
-        recommendations: [`Prepare enhanced security measures for ${monthNames[maxMonth[0]]}`],
-        riskLevel: confidence > 0.6 ? 'medium' : 'low'
-      });
+  /**
+   * Months in which incidents run significantly above what the trend and
+   * weekly cycle predict, from a decomposition of daily counts. Needs a year
+   * of data: over a shorter window a busy month cannot be told apart from a
+   * trend.
+   */
+  detectSeasonalPatterns(incidents, minCount = 4) {
+    const patterns = [];
+    if (incidents.length === 0) {
+      return patterns;
     }
 
+    const times = incidents.map(inc => inc.dateTime.getTime());
+    const decomposition = temporalProfile.decompose(temporalProfile.dailyCounts(incidents, {
+      start: new Date(times.reduce((min, time) => Math.min(min, time), Infinity)),
+      end: new Date(times.reduce((max, time) => Math.max(max, time), -Infinity))
+    }));
+    if (!decomposition || !decomposition.seasonal) {
+      return patterns;
+    }
+
+    const { peakMonth, elevatedMonths, monthTests, seasonality, amplitude } = decomposition.seasonal;
+    const monthNames = temporalProfile.MONTH_NAMES;
+    const monthIncidents = incidents.filter(inc => elevatedMonths.includes(timeZone.getMonth(inc.dateTime)));
+    if (elevatedMonths.length === 0 || monthIncidents.length < minCount) {
+      return patterns;
+    }
+
+    const label = elevatedMonths.map(month => monthNames[month]).join(', ');
+    const peakTest = monthTests[peakMonth];
+    const scoring = this.explainTemporalPeak({
+      label,
+      members: new Map(monthIncidents.map(inc => [inc, 1])),
+      count: monthIncidents.length,
+      total: incidents.length,
+      multiplier: 2,
+      maximum: 0.8,
+      minCount,
+      evidence: [
+        { label: `${monthNames[peakMonth]} incidents against trend and weekly cycle`, value: `${peakTest.observed} vs ${peakTest.expected.toFixed(1)} expected` },
+        { label: `${monthNames[peakMonth]} z-score`, value: peakTest.zScore.toFixed(2) },
+        { label: 'Annual swing in expected daily count', value: amplitude.toFixed(2) }
+      ]
+    });
+    const confidence = scoring.score;
+
+    patterns.push({
+      type: 'temporal-pattern',
+      subtype: 'seasonal',
+      description: `Seasonal crime peak in ${label}`,
+      confidence,
+      location: 'Multiple locations',
+      statistics: {
+        peakMonth: monthNames[peakMonth],
+        incidentCount: monthIncidents.length,
+        percentage: (monthIncidents.length / incidents.length * 100).toFixed(1),
+        peakMonthExpected: Math.round(peakTest.expected * 10) / 10,
+        peakMonthZScore: Math.round(peakTest.zScore * 100) / 100
+      },
+      timePattern: {
+        peakMonth: monthNames[peakMonth],
+        monthsOfYear: elevatedMonths.map(month => month + 1),
+        seasonality,
+        frequency: 'seasonal',
+        timeZone: config.AGENCY_TIMEZONE
+      },
+      relatedIncidents: monthIncidents.map(inc => inc._id),
+      explanation: scoring.explanation,
+      recommendations: [`Prepare enhanced security measures for ${label}`],
+      riskLevel: confidence > 0.6 ? 'medium' : 'low'
+    });
+
     return patterns;
   }
 
-  // Additional helper methods
-  estimateCoordinates(location) {
-    // Mock coordinate estimation - in real implementation, use geocoding service
-    const hash = this.simpleHash(location);
+  /**
+   * Temporal peaks score the peak's share of all incidents scaled by a
+   * multiplier and capped, so a peak holding 1/multiplier of the incidents
+   * reaches the cap. members maps each contributing incident to its
+   * (aoristic) weight in the peak and count is their sum.
+   */
+  explainTemporalPeak({ label, members, count, total, multiplier, maximum, minCount, evidence = [] }) {
+    const share = count / total;
+    const { score, adjustment } = confidenceExplanation.cap(share * multiplier, maximum);
+    const uncertain = [...members.keys()].filter(inc => inc.occurrenceWindow).length;
+
     return {
-      lat: 40.7128 + (hash % 1000) / 10000, // Mock NYC area
-      lng: -74.0060 + (hash % 1000) / 10000
+      score,
+      explanation: confidenceExplanation.build({
+        method: 'share',
+        formula: `min(${Math.round(maximum * 100)}%, ${multiplier} × share of incidents in the peak)`,
+        score,
+        summary: `${Math.round(count * 10) / 10} of ${total} incidents (${(share * 100).toFixed(1)}%) fall in the peak (${label})` +
+          (uncertain > 0 ? `, counting ${uncertain} with uncertain times in proportion to their occurrence windows` : ''),
+        factors: [
+          confidenceExplanation.factor('peakShare', 'Share of incidents', {
+            value: share,
+            normalized: Math.min(1, share * multiplier),
+            description: 'Incidents in the peak as a share of all incidents analysed'
+          })
+        ],
+        thresholds: [confidenceExplanation.threshold('Incidents in the peak', count, minCount)],
+        adjustments: [adjustment],
+        evidence: uncertain > 0
+          ? [...evidence, { label: 'Incidents with an occurrence window', value: uncertain }]
+          : evidence,
+        incidents: this.explainIncidents([...members.keys()], { weightOf: inc => members.get(inc) })
+      })
     };
   }
 
-  simpleHash(str) {
-    let hash = 0;
-    for (let i = 0; i < str.length; i++) {
-      const char = str.charCodeAt(i);
-      hash = ((hash << 5) - hash) + char;
-      hash = hash & hash; // Convert to 32-bit integer
+  // Additional helper methods
+  calculateCenterCoordinates(incidents) {
+    // Incidents the geocoder could not place carry no coordinates and are skipped
+    const located = incidents.filter(inc => inc.coordinates);
+    if (located.length === 0) {
+      return null;
     }
-    return Math.abs(hash);
+    return {
+      lat: located.reduce((sum, inc) => sum + inc.coordinates.lat, 0) / located.length,
+      lng: located.reduce((sum, inc) => sum + inc.coordinates.lng, 0) / located.length
+    };
   }
 
   generateBasicStats(incidents) {
@@ -558,16 +2076,13 @@ class AIAnalysisService {
   generateAdvancedStats(incidents, analysisResults) {
     return {
       ...this.generateBasicStats(incidents),
-      patternsDetected: {
-        hotspots: analysisResults.hotspots.length,
-        temporalPatterns: analysisResults.temporalPatterns.length,
-        crimeSeries: analysisResults.crimeSeries.length,
-        geographicClusters: analysisResults.geographicClusters.length,
-        predictiveHotspots: analysisResults.predictiveHotspots.length,
-        riskAssessments: analysisResults.riskAssessment.length
-      },
+      patternsDetected: Object.entries(analysisResults).reduce((counts, [name, results]) => {
+        counts[name] = results.length;
+        return counts;
+      }, {}),
       confidenceDistribution: this.calculateConfidenceDistribution(analysisResults),
-      riskLevelDistribution: this.calculateRiskDistribution(analysisResults)
+      riskLevelDistribution: this.calculateRiskDistribution(analysisResults),
+      hourOfWeek: aoristic.hourOfWeekProfile(incidents)
     };
   }
 
@@ -585,19 +2100,98 @@ class AIAnalysisService {
     }, {});
   }
 
-  // Placeholder methods for complex algorithms
-  findCrimeClusters(incidents) {
-    // Simplified clustering - group by similar time and location patterns
-    return [incidents]; // Return as single cluster for now
+  // Crime series linkage
+  findCrimeClusters(incidents, options = {}) {
+    return seriesLinkage.linkSeries(incidents, {
+      threshold: config.AI_SERIES_LINKAGE_THRESHOLD,
+      ...options
+    });
+  }
+
+  calculateSeriesConfidence(cluster, links = []) {
+    return this.explainSeriesConfidence(cluster, links).score;
   }
 
-  calculateSeriesConfidence(cluster) {
-    return Math.min(0.9, cluster.length / 5 * 0.8);
+  explainSeriesConfidence(cluster, links = []) {
+    const linkScore = links.length > 0
+      ? links.reduce((sum, link) => sum + link.score, 0) / links.length
+      : 0;
+    const scored = [
+      confidenceExplanation.factor('linkScore', 'Mean link score', {
+        value: linkScore,
+        normalized: linkScore,
+        weight: 0.6,
+        description: 'Average similarity of the linked incident pairs across location, timing, suspects, vehicles, evidence and narrative'
+      }),
+      confidenceExplanation.factor('seriesSize', 'Series size', {
+        value: cluster.length,
+        normalized: Math.min(1, cluster.length / 6),
+        weight: 0.4,
+        description: 'Incidents in the series; full marks at 6'
+      })
+    ];
+    const { score, adjustment } = confidenceExplanation.cap(confidenceExplanation.weightedSum(scored), 0.95);
+    return { score, factors: scored, adjustment };
   }
 
-  clusterByDistance(locationData, maxDistance) {
-    // Simplified distance clustering
-    return [locationData]; // Return as single cluster for now
+  describeLinkFactors(linkFactors) {
+    const labels = {
+      space: 'location proximity',
+      time: 'timing',
+      suspect: 'suspect descriptions',
+      vehicle: 'vehicles',
+      evidence: 'evidence types',
+      description: 'narrative similarity'
+    };
+    const strongest = Object.entries(linkFactors)
+      .filter(([, value]) => value >= 0.5)
+      .sort((a, b) => b[1] - a[1])
+      .map(([factor, value]) => `${labels[factor]} (${Math.round(value * 100)}%)`);
+
+    return strongest.length > 0 ? strongest.join(', ') : 'combined similarity';
+  }
+
+  describeSeriesBehavior(cluster, timePattern) {
+    const behaviors = [];
+    if (typeof timePattern.peakHour === 'number' && !isNaN(timePattern.peakHour)) {
+      behaviors.push(`Most active around ${timePattern.peakHour}:00`);
+    }
+    const spanDays = this.calculateTimeSpan(cluster) / (1000 * 60 * 60 * 24);
+    if (spanDays > 0) {
+      behaviors.push(`Offends roughly every ${Math.max(1, Math.round(spanDays / (cluster.length - 1)))} days`);
+    }
+    return behaviors;
+  }
+
+  clusterByDistance(locationData, epsKm, minPoints) {
+    return spatialClustering.dbscan(locationData, { epsKm, minPoints });
+  }
+
+  /**
+   * Reduce a cluster's core points to its local density peaks, keeping at most
+   * one peak per epsKm / 2 so neighbouring core points are not repeated
+   */
+  buildClusterHotspots(corePoints, epsKm, limit = 10) {
+    const maxNeighbours = corePoints.reduce((max, core) => Math.max(max, core.neighbourCount), 1);
+    const peaks = [];
+
+    [...corePoints]
+      .sort((a, b) => b.neighbourCount - a.neighbourCount)
+      .forEach(core => {
+        if (peaks.length >= limit) return;
+        const isDistinct = peaks.every(peak =>
+          spatialClustering.haversineDistance(peak.coordinates, core.point.coordinates) > epsKm / 2
+        );
+        if (isDistinct) {
+          peaks.push({
+            coordinates: core.point.coordinates,
+            intensity: core.neighbourCount / maxNeighbours,
+            incidentCount: core.neighbourCount
+          });
+        }
+      });
+
+    return peaks;
   }
 
   calculateTimeSpan(incidents) {
@@ -615,20 +2209,36 @@ class AIAnalysisService {
       recommendations.push('Coordinate with community watch programs');
     }
     
-    if (incidents.some(inc => inc.severity === 'high' || inc.severity === 'critical')) {
+    if (incidents.some(inc => inc.severity === 'serious' || inc.severity === 'critical')) {
       recommendations.push('Deploy specialized units for high-risk incidents');
     }
 
     return recommendations;
   }
 
-  generateSeriesRecommendations(cluster, crimeType) {
-    return [
+  generateSeriesRecommendations(cluster, crimeType, seriesEscalation = null, profile = null) {
+    const recommendations = [
       `Focus investigation resources on ${crimeType} cases`,
       'Look for common suspects or methods',
       'Increase preventive measures for this crime type',
       'Coordinate with detective units for pattern analysis'
     ];
+
+    if (seriesEscalation && seriesEscalation.trend === 'escalating') {
+      recommendations.unshift('Prioritise this series: offending is escalating and the next incident may be more serious');
+      if (seriesEscalation.timeline.some(step => step.weaponLevel > 0)) {
+        recommendations.push('Brief responding officers that suspects in this series may be armed');
+      }
+    }
+
+    if (profile) {
+      recommendations.push(
+        `Check known offenders' addresses in the top-ranked search area around ` +
+        `${profile.peak.lat.toFixed(5)}, ${profile.peak.lng.toFixed(5)} (${profile.searchArea.areaKm2.toFixed(2)} km²)`
+      );
+    }
+
+    return recommendations;
   }
 
   generateClusterRecommendations(cluster) {
@@ -673,11 +2283,33 @@ class AIAnalysisService {
   }
 
   calculateRiskScore(incidents) {
-    const severityScore = this.calculateAverageSeverity(incidents) / 4;
-    const frequencyScore = Math.min(1, incidents.length / 10);
+    return this.explainRiskScore(incidents).score;
+  }
+
+  explainRiskScore(incidents) {
+    const severity = this.calculateAverageSeverity(incidents);
     const recentActivityScore = this.getRecentActivityLevel(incidents);
-    
-    return (severityScore * 0.4 + frequencyScore * 0.4 + recentActivityScore * 0.2);
+    const scored = [
+      confidenceExplanation.factor('severity', 'Severity', {
+        value: severity,
+        normalized: severity / 4,
+        weight: 0.4,
+        description: 'Average severity from minor (1) to critical (4)'
+      }),
+      confidenceExplanation.factor('frequency', 'Frequency', {
+        value: incidents.length,
+        normalized: Math.min(1, incidents.length / 10),
+        weight: 0.4,
+        description: 'Incidents at the location; full marks at 10'
+      }),
+      confidenceExplanation.factor('recentActivity', 'Recent activity', {
+        value: recentActivityScore,
+        normalized: recentActivityScore,
+        weight: 0.2,
+        description: 'Twice the share of incidents in the last 7 days, capped at 1'
+      })
+    ];
+    return { score: confidenceExplanation.weightedSum(scored), factors: scored };
   }
 
   getRecentActivityLevel(incidents) {
@@ -700,7 +2332,7 @@ class AIAnalysisService {
   analyzeLocationTimePattern(incidents) {
     const hourCounts = {};
     incidents.forEach(inc => {
-      const hour = inc.dateTime.getHours();
+      const hour = timeZone.getHour(inc.dateTime);
       hourCounts[hour] = (hourCounts[hour] || 0) + 1;
     });
     
@@ -708,27 +2340,90 @@ class AIAnalysisService {
     return { peakHour: parseInt(peakHour[0]), distribution: hourCounts };
   }
 
-  analyzeTrends(incidents) {
-    // Simplified trend analysis
-    const locationGroups = this.groupByLocation(incidents);
+  /**
+   * Test each area's incident counts for a trend with a Poisson regression over
+   * weekly bins (daily bins when the analysis window is under four weeks)
+   * ending at options.end (now by default)
+   */
+  analyzeTrends(incidents, options = {}) {
+    const { significanceLevel = 0.05, minIncidents = 5, end = new Date() } = options;
     const trends = {};
-    
-    for (const [location, locationIncidents] of Object.entries(locationGroups)) {
-      if (locationIncidents.length >= 2) {
-        trends[location] = {
-          currentCount: locationIncidents.length,
-          isIncreasing: true, // Simplified
-          confidence: Math.min(0.8, locationIncidents.length / 5),
-          growthRate: 0.1, // Mock growth rate
-          timePattern: this.analyzeLocationTimePattern(locationIncidents),
-          incidents: locationIncidents
-        };
-      }
+    if (incidents.length === 0) return trends;
+
+    const start = new Date(incidents.reduce((min, inc) => Math.min(min, inc.dateTime.getTime()), Infinity));
+    const spanDays = (end - start) / trendAnalysis.DAY_MS;
+    const binDays = spanDays >= 28 ? 7 : 1;
+    const areaGroups = this.groupByArea(incidents);
+
+    for (const [areaKey, area] of Object.entries(areaGroups)) {
+      if (area.incidents.length < minIncidents) continue;
+
+      const { counts } = trendAnalysis.binCounts(area.incidents, { start, end, binDays });
+      const fit = trendAnalysis.poissonTrend(counts);
+      if (!fit) continue;
+
+      const isSignificant = fit.pValue < significanceLevel;
+      trends[areaKey] = {
+        label: area.label,
+        coordinates: area.center || this.calculateCenterCoordinates(area.incidents),
+        currentCount: area.incidents.length,
+        counts,
+        binDays,
+        isIncreasing: fit.slope > 0,
+        isSignificant,
+        pValue: fit.pValue,
+        dispersion: fit.dispersion,
+        confidence: Math.min(0.95, 1 - fit.pValue),
+        growthRate: fit.growthRate,
+        growthRateInterval: fit.growthRateInterval,
+        expectedNextCount: fit.expectedNext,
+        timePattern: this.analyzeLocationTimePattern(area.incidents),
+        incidents: area.incidents
+      };
     }
-    
+
     return trends;
   }
 
+  /**
+   * Group incidents into analysis areas: the recorded district when there is one,
+   * otherwise a square grid cell AI_HOTSPOT_RADIUS_KM wide around the coordinates
+   */
+  groupByArea(incidents, cellKm = config.AI_HOTSPOT_RADIUS_KM) {
+    const areas = {};
+
+    incidents.forEach(incident => {
+      const area = this.getArea(incident, cellKm);
+      if (!area) return;
+
+      if (!areas[area.key]) {
+        areas[area.key] = { label: area.label, center: area.center, incidents: [] };
+      }
+      areas[area.key].incidents.push(incident);
+    });
+
+    return areas;
+  }
+
+  // Analysis area of a single incident, or null when it has no district or coordinates
+  getArea(incident, cellKm = config.AI_HOTSPOT_RADIUS_KM) {
+    if (incident.district) {
+      return { key: `district:${incident.district.toLowerCase()}`, label: incident.district, center: null };
+    }
+    if (!incident.coordinates) return null;
+
+    const latStep = cellKm / 111.32;
+    const lngStep = latStep / Math.max(0.01, Math.cos(incident.coordinates.lat * Math.PI / 180));
+    const row = Math.floor(incident.coordinates.lat / latStep);
+    const col = Math.floor(incident.coordinates.lng / lngStep);
+    const center = { lat: (row + 0.5) * latStep, lng: (col + 0.5) * lngStep };
+    return {
+      key: `cell:${row}:${col}`,
+      label: `Grid cell near ${center.lat.toFixed(3)}, ${center.lng.toFixed(3)}`,
+      center
+    };
+  }
+
   calculateConfidenceDistribution(analysisResults) {
     const allPatterns = Object.values(analysisResults).flat();
     const distribution = { high: 0, medium: 0, low: 0 };
@@ -756,20 +2451,92 @@ class AIAnalysisService {
   }
 
   // Additional placeholder methods for complex calculations
-  calculateGeographicSpread(incidents) { return 1.0; }
-  detectEscalationPattern(incidents) { return 'stable'; }
+  calculateGeographicSpread(incidents) {
+    // Radius in kilometres of the series around its centroid
+    const coordinates = incidents.filter(inc => inc.coordinates).map(inc => inc.coordinates);
+    return spatialClustering.calculateRadius(coordinates);
+  }
+  detectEscalationPattern(incidents, options = {}) { return escalation.scoreEscalation(incidents, options).trend; }
   analyzeSeriesTimePattern(incidents) { return this.analyzeLocationTimePattern(incidents); }
-  assessSeriesRisk(incidents, confidence) { return this.categorizeRiskLevel(confidence); }
-  calculateClusterConfidence(cluster) { return Math.min(0.8, cluster.length / 8); }
-  calculateClusterCenter(cluster) { return 'Central Area'; }
-  calculateCenterCoordinates(cluster) { return { lat: 40.7128, lng: -74.0060 }; }
-  calculateClusterRadius(cluster) { return 500; }
-  calculateClusterDensity(cluster) { return cluster.length / 1000; }
-  getClusterCrimeTypes(cluster) { return {}; }
-  analyzeClusterTimePattern(cluster) { return {}; }
+  assessSeriesRisk(incidents, confidence, seriesEscalation = null) {
+    const levels = ['low', 'medium', 'high', 'critical'];
+    const risk = this.categorizeRiskLevel(confidence);
+    // An escalating series is prioritised by how dangerous it has become, not only by linkage confidence
+    if (seriesEscalation && levels.indexOf(seriesEscalation.risk) > Math.max(levels.indexOf(risk), 1)) {
+      return seriesEscalation.risk;
+    }
+    return risk;
+  }
   assessClusterRisk(cluster, confidence) { return this.categorizeRiskLevel(confidence); }
   assessPredictiveRisk(trend) { return this.categorizeRiskLevel(trend.confidence); }
+
+  // Geographic cluster measurements
+  calculateClusterConfidence(cluster, corePoints = []) {
+    return this.explainClusterConfidence(cluster, corePoints).score;
+  }
+
+  explainClusterConfidence(cluster, corePoints = []) {
+    const coreRatio = cluster.length > 0 ? corePoints.length / cluster.length : 0;
+    const scored = [
+      confidenceExplanation.factor('clusterSize', 'Cluster size', {
+        value: cluster.length,
+        normalized: Math.min(1, cluster.length / 10),
+        weight: 0.6,
+        description: 'Incidents in the cluster; full marks at 10'
+      }),
+      confidenceExplanation.factor('coreShare', 'Core share', {
+        value: coreRatio,
+        normalized: coreRatio,
+        weight: 0.4,
+        description: 'Share of incidents with enough close neighbours to be core points, i.e. how tight the cluster is'
+      })
+    ];
+    const { score, adjustment } = confidenceExplanation.cap(confidenceExplanation.weightedSum(scored), 0.95);
+    return { score, factors: scored, adjustment };
+  }
+
+  calculateClusterCenter(cluster) {
+    // Label the cluster by its most frequent district, falling back to address
+    const counts = {};
+    cluster.forEach(item => {
+      const label = item.district || item.address || item.landmark;
+      if (label) {
+        counts[label] = (counts[label] || 0) + 1;
+      }
+    });
+
+    const labels = Object.entries(counts);
+    if (labels.length === 0) {
+      const center = this.calculateCenterCoordinates(cluster);
+      return `${center.lat.toFixed(4)}, ${center.lng.toFixed(4)}`;
+    }
+    return labels.reduce((a, b) => b[1] > a[1] ? b : a)[0];
+  }
+
+  calculateClusterRadius(cluster) {
+    // Radius in metres from the cluster centroid to its furthest incident
+    const coordinates = cluster.map(item => item.coordinates);
+    return Math.round(spatialClustering.calculateRadius(coordinates) * 1000);
+  }
+
+  calculateClusterDensity(cluster) {
+    // Incidents per square kilometre of the convex hull, or of the bounding circle
+    // when the hull is degenerate (fewer than three distinct points)
+    const coordinates = cluster.map(item => item.coordinates);
+    const hullArea = spatialClustering.calculatePolygonAreaKm2(spatialClustering.convexHull(coordinates));
+    const radiusKm = spatialClustering.calculateRadius(coordinates);
+    const area = hullArea > 0.01 ? hullArea : Math.max(0.01, Math.PI * radiusKm * radiusKm);
+    return cluster.length / area;
+  }
+
+  getClusterCrimeTypes(cluster) { return this.getCrimeTypeDistribution(cluster); }
+  analyzeClusterTimePattern(cluster) { return this.analyzeLocationTimePattern(cluster); }
 }
 
-module.exports = new AIAnalysisService();
+const aiAnalysisService = new AIAnalysisService();
+
+builtinDetectors(aiAnalysisService).forEach(definition => detectorRegistry.register(definition));
+detectorRegistry.loadDirectory(config.AI_DETECTORS_DIR);
+
+module.exports = aiAnalysisService;
 
@@ -0,0 +1,112 @@
+const AnalysisJob = require('../models/AnalysisJob');
+const CrimePattern = require('../models/CrimePattern');
+const ScheduledAnalysis = require('../models/ScheduledAnalysis');
+const config = require('../config/config');
+const { diffPatternSets } = require('./pattern-matching');
+
+/**
+ * Analysis Scheduler
+ * Checks ScheduledAnalysis documents on a timer and queues an AnalysisJob for
+ * each schedule that is due; the analysis worker runs the job. Runs missed
+ * while no scheduler was up are collapsed into a single catch-up run. When a
+ * scheduled job finishes, its patterns are compared with the schedule's
+ * previous successful run so new and disappeared patterns can be flagged.
+ */
+class AnalysisScheduler {
+  constructor() {
+    this.running = false;
+    this.timer = null;
+  }
+
+  start(intervalMs = config.AI_SCHEDULER_INTERVAL_MS) {
+    if (this.running) return;
+    this.running = true;
+    this.intervalMs = intervalMs;
+    console.log('Analysis scheduler started');
+    this.schedule(0);
+  }
+
+  stop() {
+    this.running = false;
+    clearTimeout(this.timer);
+    console.log('Analysis scheduler stopped');
+  }
+
+  schedule(delay) {
+    this.timer = setTimeout(() => {
+      this.tick().finally(() => {
+        if (this.running) this.schedule(this.intervalMs);
+      });
+    }, delay);
+  }
+
+  async tick(now = new Date()) {
+    try {
+      const due = await ScheduledAnalysis.findDue(now);
+      for (const schedule of due) {
+        // Another process may have claimed this run already
+        if (await ScheduledAnalysis.claimRun(schedule, now)) {
+          await this.enqueueRun(schedule);
+        }
+      }
+    } catch (error) {
+      console.error('Analysis scheduler tick error:', error);
+    }
+  }
+
+  /**
+   * Queue a job for the schedule's saved parameters, on behalf of its creator
+   */
+  async enqueueRun(schedule, requestedBy = schedule.createdBy) {
+    const { parameters } = schedule.toObject ? schedule.toObject() : schedule;
+    const job = await AnalysisJob.enqueue(parameters, requestedBy, {
+      maxAttempts: config.AI_JOB_MAX_ATTEMPTS,
+      scheduledAnalysis: schedule._id
+    });
+
+    await ScheduledAnalysis.updateOne({ _id: schedule._id }, { $set: { lastJob: job._id } });
+    console.log(`Queued analysis job ${job._id} for schedule "${schedule.name}"`);
+    return job;
+  }
+
+  /**
+   * Compare a finished scheduled job's patterns with the previous successful
+   * run of the same schedule and tag the differences. Returns the changes
+   * summary stored on the job, or null for the first run.
+   */
+  async comparePreviousRun(job, savedPatterns) {
+    const previousJob = await AnalysisJob.findPreviousScheduledRun(job);
+    if (!previousJob) {
+      return null;
+    }
+
+    const previousPatterns = await CrimePattern.find({
+      _id: { $in: (previousJob.result && previousJob.result.patternIds) || [] }
+    });
+    const { appeared, disappeared, continuing } = diffPatternSets(previousPatterns, savedPatterns);
+
+    if (appeared.length > 0) {
+      await CrimePattern.updateMany(
+        { _id: { $in: appeared.map(pattern => pattern._id) } },
+        { $addToSet: { tags: 'new' } }
+      );
+    }
+    if (disappeared.length > 0) {
+      await CrimePattern.updateMany(
+        { _id: { $in: disappeared.map(pattern => pattern._id) } },
+        { $addToSet: { tags: 'disappeared' }, $set: { lastUpdated: new Date() } }
+      );
+    }
+
+    console.log(`Schedule run ${job._id}: ${appeared.length} new, ${disappeared.length} disappeared, ${continuing.length} continuing patterns`);
+
+    return {
+      previousJob: previousJob._id,
+      newPatternIds: appeared.map(pattern => pattern._id),
+      disappearedPatternIds: disappeared.map(pattern => pattern._id),
+      continuingCount: continuing.length
+    };
+  }
+}
+
+module.exports = new AnalysisScheduler();
@@ -0,0 +1,275 @@
+const os = require('os');
+const AnalysisJob = require('../models/AnalysisJob');
+const CrimePattern = require('../models/CrimePattern');
+const config = require('../config/config');
+const aiAnalysisService = require('./ai-analysis');
+const analysisScheduler = require('./analysis-scheduler');
+
+/**
+ * Analysis Job Worker
+ * Polls the AnalysisJob collection, claims queued jobs one at a time and runs
+ * them through AIAnalysisService, recording per-detector progress on the job.
+ * Backtest jobs replay predictive hotspots instead and record progress per
+ * cutoff date.
+ * Failed jobs are retried with exponential backoff until maxAttempts; jobs
+ * whose worker stops sending heartbeats are put back in the queue. Several
+ * scripts/analysis-worker.js processes can share one queue because claiming
+ * is a single atomic findOneAndUpdate. Heartbeats cannot be sent while a
+ * detector runs, so AI_JOB_STALE_MS must exceed the longest detector run.
+ */
+class AnalysisWorker {
+  constructor() {
+    this.workerId = `${os.hostname()}:${process.pid}`;
+    this.running = false;
+    this.timer = null;
+    this.currentPoll = null;
+  }
+
+  start(pollIntervalMs = config.AI_JOB_POLL_INTERVAL_MS) {
+    if (this.running) return;
+    this.running = true;
+    this.pollIntervalMs = pollIntervalMs;
+    console.log(`Analysis worker ${this.workerId} started`);
+    this.schedule(0);
+  }
+
+  // Stop polling; resolves once the job in progress (if any) has finished
+  async stop() {
+    this.running = false;
+    clearTimeout(this.timer);
+    if (this.currentPoll) {
+      await this.currentPoll;
+    }
+    console.log(`Analysis worker ${this.workerId} stopped`);
+  }
+
+  schedule(delay) {
+    this.timer = setTimeout(() => {
+      this.currentPoll = this.poll().finally(() => {
+        this.currentPoll = null;
+        if (this.running) this.schedule(this.pollIntervalMs);
+      });
+    }, delay);
+  }
+
+  async poll() {
+    try {
+      const stale = await AnalysisJob.requeueStale(config.AI_JOB_STALE_MS);
+      if (stale.requeued > 0) {
+        console.log(`Requeued ${stale.requeued} stale analysis jobs`);
+      }
+      if (stale.failed > 0) {
+        console.log(`Failed ${stale.failed} stale analysis jobs that were on their last attempt`);
+      }
+
+      let job;
+      while (this.running && (job = await AnalysisJob.claimNext(this.workerId))) {
+        await this.processJob(job);
+      }
+    } catch (error) {
+      console.error('Analysis worker poll error:', error);
+    }
+  }
+
+  async processJob(job) {
+    console.log(`Running ${job.jobType} job ${job._id} (attempt ${job.attempts} of ${job.maxAttempts})`);
+    const startTime = Date.now();
+    let detectors = [];
+
+    // Writes only succeed while this worker still holds the job; once it was
+    // requeued as stale and claimed elsewhere, processing stops
+    let lockLost = false;
+    const update = async (fields, extra = {}) => {
+      const result = await AnalysisJob.updateOne(
+        { _id: job._id, lockedBy: this.workerId },
+        { $set: { ...fields, heartbeatAt: new Date() }, ...extra }
+      );
+      if (result.matchedCount === 0) {
+        lockLost = true;
+        const error = new Error(`Analysis job ${job._id} is no longer held by worker ${this.workerId}`);
+        error.lockLost = true;
+        throw error;
+      }
+      return result;
+    };
+    const heartbeat = setInterval(() => {
+      update({}).catch(error => {
+        if (error.lockLost) clearInterval(heartbeat);
+        console.error('Analysis job heartbeat error:', error.message);
+      });
+    }, Math.max(1000, config.AI_JOB_STALE_MS / 3));
+
+    const onProgress = async (event) => {
+      if (event.runs) {
+        await update({
+          'progress.percent': Math.round(10 + 85 * event.completedRuns / event.runs),
+          'progress.currentStep': `Replayed ${event.completedRuns} of ${event.runs} cutoffs`
+        });
+        return;
+      }
+
+      if (event.detectors) {
+        detectors = event.detectors.map(name => ({ name, status: 'pending' }));
+        await update({
+          'progress.detectors': detectors,
+          'progress.percent': 10,
+          'progress.currentStep': 'Running detectors'
+        });
+        return;
+      }
+
+      const detector = detectors.find(d => d.name === event.detector);
+      if (!detector) return;
+      Object.assign(detector, {
+        status: event.status,
+        patternsFound: event.patternsFound,
+        durationMs: event.durationMs,
+        error: event.error
+      });
+
+      const done = detectors.filter(d => d.status === 'done' || d.status === 'failed').length;
+      await update({
+        'progress.detectors': detectors,
+        'progress.percent': Math.round(10 + 85 * done / detectors.length),
+        'progress.currentStep': event.status === 'running' ? `Running ${event.detector}` : `Finished ${event.detector}`
+      });
+    };
+
+    const isCancelled = async () => {
+      const current = await AnalysisJob.findById(job._id).select('cancelRequested lockedBy').lean();
+      if (!current || current.lockedBy !== this.workerId) lockLost = true;
+      return lockLost || current.cancelRequested;
+    };
+
+    try {
+      await update({
+        'progress.percent': 5,
+        'progress.currentStep': 'Loading incidents',
+        'progress.detectors': []
+      });
+
+      if (job.jobType === 'backtest') {
+        const backtest = await aiAnalysisService.runBacktest({
+          ...job.parameters,
+          createdBy: job.requestedBy,
+          onProgress,
+          isCancelled
+        });
+
+        await update({
+          status: 'succeeded',
+          finishedAt: new Date(),
+          error: null,
+          'progress.percent': 100,
+          'progress.currentStep': 'Complete',
+          result: {
+            message: `Backtest replayed ${backtest.summary.runCount} cutoffs`,
+            backtest: backtest._id,
+            processingTime: backtest.processingTime
+          }
+        }, { $unset: { lockedBy: 1, lockedAt: 1 } });
+
+        console.log(`Backtest job ${job._id} stored backtest ${backtest._id} in ${Date.now() - startTime}ms`);
+        return;
+      }
+
+      const result = await aiAnalysisService.runComprehensiveAnalysis({
+        ...job.parameters,
+        onProgress,
+        isCancelled
+      });
+
+      if (!result.success) {
+        // Not enough data is not worth retrying
+        await update({
+          status: 'failed',
+          finishedAt: new Date(),
+          error: result.message,
+          'result.message': result.message,
+          'result.statistics': result.statistics,
+          'progress.currentStep': 'Insufficient data'
+        }, { $unset: { lockedBy: 1, lockedAt: 1 } });
+        return;
+      }
+
+      await update({ 'progress.percent': 95, 'progress.currentStep': 'Saving patterns' });
+      await CrimePattern.expirePatterns();
+      const processingTime = Date.now() - startTime;
+      const savedPatterns = await aiAnalysisService.savePatterns(result.patterns, {
+        parameters: job.parameters,
+        processingTime
+      });
+      // Age out only after this run's matches are recorded, so re-detected
+      // patterns are not moved to monitoring first
+      const aged = await CrimePattern.ageOutPatterns(config.AI_PATTERN_MONITORING_DAYS, config.AI_PATTERN_RESOLVE_DAYS);
+      if (aged.monitoring > 0 || aged.resolved > 0) {
+        console.log(`Patterns no longer detected: ${aged.monitoring} moved to monitoring, ${aged.resolved} resolved`);
+      }
+      const changes = job.scheduledAnalysis
+        ? await analysisScheduler.comparePreviousRun(job, savedPatterns)
+        : null;
+
+      await update({
+        status: 'succeeded',
+        finishedAt: new Date(),
+        error: null,
+        'progress.percent': 100,
+        'progress.currentStep': 'Complete',
+        result: {
+          message: `Analysis found ${result.patterns.length} patterns`,
+          patternCount: result.patterns.length,
+          savedCount: savedPatterns.length,
+          patternIds: savedPatterns.map(pattern => pattern._id),
+          statistics: result.statistics,
+          metadata: result.metadata,
+          processingTime,
+          ...(changes ? { changes } : {})
+        }
+      }, { $unset: { lockedBy: 1, lockedAt: 1 } });
+
+      console.log(`Analysis job ${job._id} saved ${savedPatterns.length} patterns in ${Date.now() - startTime}ms`);
+    } catch (error) {
+      if (lockLost) {
+        console.warn(`Analysis job ${job._id} was taken over by another worker; stopped without saving`);
+        return;
+      }
+
+      detectors.forEach(detector => {
+        if (detector.status === 'running') detector.status = 'failed';
+      });
+
+      if (error.cancelled) {
+        console.log(`Analysis job ${job._id} cancelled`);
+        await update({
+          status: 'cancelled',
+          finishedAt: new Date(),
+          'progress.detectors': detectors,
+          'progress.currentStep': 'Cancelled'
+        }, { $unset: { lockedBy: 1, lockedAt: 1 } });
+      } else if (job.attempts < job.maxAttempts) {
+        const delay = config.AI_JOB_RETRY_DELAY_MS * Math.pow(2, job.attempts - 1);
+        console.error(`Analysis job ${job._id} failed, retrying in ${delay}ms:`, error);
+        await update({
+          status: 'queued',
+          runAfter: new Date(Date.now() + delay),
+          error: error.message,
+          'progress.detectors': detectors,
+          'progress.currentStep': `Retrying after error: ${error.message}`
+        }, { $unset: { lockedBy: 1, lockedAt: 1 } });
+      } else {
+        console.error(`Analysis job ${job._id} failed permanently:`, error);
+        await update({
+          status: 'failed',
+          finishedAt: new Date(),
+          error: error.message,
+          'progress.detectors': detectors,
+          'progress.currentStep': 'Failed'
+        }, { $unset: { lockedBy: 1, lockedAt: 1 } });
+      }
+    } finally {
+      clearInterval(heartbeat);
+    }
+  }
+}
+
+module.exports = new AnalysisWorker();
@@ -0,0 +1,56 @@
+/**
+ * Count Anomaly Detection
+ * Scores a day's incident count against a robust baseline of the days before
+ * it: the median and the median absolute deviation (MAD), scaled to estimate
+ * a standard deviation. Both resist the occasional spike in the baseline, so
+ * one bad day does not mask the next. Sparse series often have a MAD of zero,
+ * so the scale never drops below the Poisson standard deviation of the median
+ * (and never below one incident).
+ */
+
+// MAD of a normal distribution times this estimates its standard deviation
+const MAD_SCALE = 1.4826;
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+/**
+ * Median, MAD and the scale used for scores over baseline daily counts
+ */
+const robustBaseline = (counts) => {
+  if (counts.length === 0) return null;
+
+  const center = median(counts);
+  const mad = median(counts.map(count => Math.abs(count - center)));
+  return {
+    days: counts.length,
+    median: center,
+    mad,
+    scale: Math.max(MAD_SCALE * mad, Math.sqrt(center), 1)
+  };
+};
+
+/**
+ * Score an observed count against a baseline. It is an anomaly when the
+ * robust z-score reaches the threshold and at least minCount incidents were
+ * seen, so a jump from zero to two never alerts. Only increases are flagged.
+ */
+const scoreCount = (observed, baseline, { threshold = 3.5, minCount = 3 } = {}) => {
+  const score = (observed - baseline.median) / baseline.scale;
+  return {
+    observed,
+    expected: baseline.median,
+    score,
+    ratio: baseline.median > 0 ? observed / baseline.median : null,
+    isAnomaly: observed >= minCount && score >= threshold
+  };
+};
+
+module.exports = {
+  MAD_SCALE,
+  robustBaseline,
+  scoreCount
+};
@@ -0,0 +1,143 @@
+const http = require('http');
+const https = require('https');
+const AnomalyAlert = require('../models/AnomalyAlert');
+const User = require('../models/User');
+const config = require('../config/config');
+const aiAnalysisService = require('./ai-analysis');
+
+/**
+ * Anomaly Monitor
+ * Checks today's incident counts per district and crime type on a timer and
+ * records an AnomalyAlert for each series well above its recent baseline.
+ * The first time a series is flagged on a day, users subscribed to its
+ * district and crime type get an in-app notification on the dashboard, and
+ * the alert is posted to AI_ANOMALY_WEBHOOK_URL when one is configured.
+ * Several processes can run the monitor: alerts are upserted per series and
+ * day, so only the process that creates an alert notifies about it.
+ */
+class AnomalyMonitor {
+  constructor() {
+    this.running = false;
+    this.timer = null;
+  }
+
+  start(intervalMs = config.AI_ANOMALY_CHECK_INTERVAL_MS) {
+    if (this.running) return;
+    this.running = true;
+    this.intervalMs = intervalMs;
+    console.log('Anomaly monitor started');
+    this.schedule(0);
+  }
+
+  stop() {
+    this.running = false;
+    clearTimeout(this.timer);
+    console.log('Anomaly monitor stopped');
+  }
+
+  schedule(delay) {
+    this.timer = setTimeout(() => {
+      this.tick().finally(() => {
+        if (this.running) this.schedule(this.intervalMs);
+      });
+    }, delay);
+  }
+
+  async tick(now = new Date()) {
+    try {
+      return await this.check(now);
+    } catch (error) {
+      console.error('Anomaly monitor tick error:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Detect anomalies in today's counts and record them. Returns the
+   * detection result with the alerts created by this check.
+   */
+  async check(now = new Date()) {
+    const detection = await aiAnalysisService.detectCountAnomalies({ now });
+    const created = [];
+
+    for (const anomaly of detection.anomalies) {
+      const { alert, created: isNew } = await AnomalyAlert.recordDetection(detection.date, anomaly, {
+        baselineDays: detection.baselineDays,
+        threshold: detection.threshold,
+        now
+      });
+      if (isNew) {
+        created.push(alert);
+        await this.notify(alert, now);
+      }
+    }
+
+    if (created.length > 0) {
+      console.log(`Raised ${created.length} anomaly alerts for ${detection.date}`);
+    }
+    return { ...detection, created };
+  }
+
+  /**
+   * Notify subscribed users in-app and post the alert to the webhook.
+   * A failing webhook is logged and does not stop the other alerts.
+   */
+  async notify(alert, now = new Date()) {
+    const subscribers = await User.findAlertSubscribers(alert);
+    if (subscribers.length > 0) {
+      await AnomalyAlert.recordNotifications(alert._id, subscribers.map(user => user._id), now);
+    }
+    console.log(`Anomaly alert: ${alert.seriesLabel} at ${alert.observed} incidents ` +
+      `(expected ${alert.expected}), ${subscribers.length} subscribers notified`);
+
+    if (!config.AI_ANOMALY_WEBHOOK_URL) return;
+    try {
+      await postJson(config.AI_ANOMALY_WEBHOOK_URL, {
+        text: `Unusual number of incidents: ${alert.seriesLabel}, ${alert.observed} today against ` +
+          `a typical ${alert.expected} (score ${alert.score.toFixed(1)})`,
+        alert: {
+          id: alert._id,
+          date: alert.date,
+          district: alert.district,
+          crimeType: alert.crimeType,
+          observed: alert.observed,
+          expected: alert.expected,
+          score: alert.score
+        }
+      });
+      await AnomalyAlert.updateOne({ _id: alert._id }, { $set: { webhookSentAt: new Date() } });
+    } catch (error) {
+      console.error(`Anomaly alert webhook failed for ${alert._id}:`, error.message);
+    }
+  }
+}
+
+// POST a JSON body; rejects on network errors, timeouts and non-2xx responses
+function postJson(url, body, timeoutMs = 10000) {
+  return new Promise((resolve, reject) => {
+    const payload = JSON.stringify(body);
+    const client = url.startsWith('https:') ? https : http;
+    const request = client.request(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(payload)
+      },
+      timeout: timeoutMs
+    }, response => {
+      response.resume();
+      response.on('end', () => {
+        if (response.statusCode >= 200 && response.statusCode < 300) {
+          resolve(response.statusCode);
+        } else {
+          reject(new Error(`Webhook responded with status ${response.statusCode}`));
+        }
+      });
+    });
+    request.on('timeout', () => request.destroy(new Error('Webhook timed out')));
+    request.on('error', reject);
+    request.end(payload);
+  });
+}
+
+module.exports = new AnomalyMonitor();
@@ -0,0 +1,137 @@
+/**
+ * Aoristic Analysis
+ * Incidents such as burglaries are often discovered hours after they happen,
+ * so their recorded time is only the end of the window they could have
+ * occurred in. Aoristic analysis spreads each incident's single count evenly
+ * over its occurrence window: an incident that could have happened at any time
+ * over four hours adds 0.25 to each of those hours. Incidents without a window
+ * count fully at their recorded time.
+ *
+ * Hours of the week run 0-167 from Sunday 00:00 in the agency time zone
+ * (config.AGENCY_TIMEZONE), and windows are split at that zone's hour
+ * boundaries.
+ */
+
+const timeZone = require('./time-zone');
+
+const HOUR_MS = 60 * 60 * 1000;
+const HOURS_PER_WEEK = 168;
+const WEEK_MS = HOURS_PER_WEEK * HOUR_MS;
+
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+const hourOfWeek = (date) => {
+  const { weekday, hour } = timeZone.getParts(date);
+  return weekday * 24 + hour;
+};
+
+/**
+ * The incident's occurrence window as { earliest, latest } Dates, or null when
+ * its time is exact (no window, or a window that does not span any time)
+ */
+const getWindow = (incident) => {
+  const window = incident.occurrenceWindow;
+  if (!window || !window.earliest || !window.latest) {
+    return null;
+  }
+
+  const earliest = new Date(window.earliest);
+  const latest = new Date(window.latest);
+  if (isNaN(earliest) || isNaN(latest) || latest <= earliest) {
+    return null;
+  }
+  return { earliest, latest };
+};
+
+const isUncertain = (incident) => getWindow(incident) !== null;
+
+/**
+ * Hour-of-week weights for one incident as a Map of hour -> weight summing
+ * to 1. Whole weeks in the window are spread evenly over every hour; the
+ * remainder is split at the agency's hour boundaries in proportion to the
+ * time spent in each hour.
+ */
+const incidentWeights = (incident) => {
+  const window = getWindow(incident);
+  if (!window) {
+    return new Map([[hourOfWeek(new Date(incident.dateTime)), 1]]);
+  }
+
+  const span = window.latest - window.earliest;
+  const weights = new Map();
+  const fullWeeks = Math.floor(span / WEEK_MS);
+  if (fullWeeks > 0) {
+    const perHour = (fullWeeks * WEEK_MS / span) / HOURS_PER_WEEK;
+    for (let hour = 0; hour < HOURS_PER_WEEK; hour++) {
+      weights.set(hour, perHour);
+    }
+  }
+
+  let cursor = new Date(window.earliest.getTime() + fullWeeks * WEEK_MS);
+  while (cursor < window.latest) {
+    const hourEnd = timeZone.nextHourStart(cursor);
+    const end = hourEnd < window.latest ? hourEnd : window.latest;
+    const hour = hourOfWeek(cursor);
+    weights.set(hour, (weights.get(hour) || 0) + (end - cursor) / span);
+    cursor = end;
+  }
+
+  return weights;
+};
+
+// Fold hour-of-week weights into coarser keys, e.g. hour of day or day of week
+const collapse = (weights, keyOf) => {
+  const collapsed = new Map();
+  weights.forEach((weight, hour) => {
+    const key = keyOf(hour);
+    collapsed.set(key, (collapsed.get(key) || 0) + weight);
+  });
+  return collapsed;
+};
+
+const hourOfDayWeights = (incident) => collapse(incidentWeights(incident), hour => hour % 24);
+
+const dayOfWeekWeights = (incident) => collapse(incidentWeights(incident), hour => Math.floor(hour / 24));
+
+/**
+ * Fractional hour-of-week profile: values[hour] is the expected number of
+ * incidents in that hour of the week. `uncertain` counts incidents that were
+ * spread over a window.
+ */
+const hourOfWeekProfile = (incidents) => {
+  const values = new Array(HOURS_PER_WEEK).fill(0);
+  let uncertain = 0;
+
+  incidents.forEach(incident => {
+    if (isUncertain(incident)) uncertain++;
+    incidentWeights(incident).forEach((weight, hour) => {
+      values[hour] += weight;
+    });
+  });
+
+  return { values, total: incidents.length, uncertain };
+};
+
+// 7 x 24 matrix (day of week by hour of day) from a profile's values
+const toMatrix = (values) => DAY_NAMES.map((day, index) => values.slice(index * 24, index * 24 + 24));
+
+const hourTotals = (values) => Array.from({ length: 24 }, (value, hour) =>
+  DAY_NAMES.reduce((sum, day, index) => sum + values[index * 24 + hour], 0));
+
+const dayTotals = (values) => DAY_NAMES.map((day, index) =>
+  values.slice(index * 24, index * 24 + 24).reduce((sum, value) => sum + value, 0));
+
+module.exports = {
+  HOURS_PER_WEEK,
+  DAY_NAMES,
+  hourOfWeek,
+  getWindow,
+  isUncertain,
+  incidentWeights,
+  hourOfDayWeights,
+  dayOfWeekWeights,
+  hourOfWeekProfile,
+  toMatrix,
+  hourTotals,
+  dayTotals
+};
@@ -0,0 +1,274 @@
+const config = require('../config/config');
+
+/**
+ * Built-in Detectors
+ * Registry definitions for the detectors implemented by AIAnalysisService.
+ * Parameter and threshold defaults match the defaults of the service methods,
+ * so calling a method directly behaves like a registry run without overrides.
+ *
+ * Each detector's version is recorded in CrimePattern.analysisMetadata and on
+ * backtests; bump it whenever a change alters what that detector reports, so
+ * results before and after the change can be told apart.
+ */
+
+const confidenceThreshold = (value) => ({
+  type: 'number',
+  default: value,
+  min: 0,
+  max: 1,
+  description: 'Lowest confidence the detector reports'
+});
+
+module.exports = (service) => [
+  {
+    name: 'hotspots',
+    version: '1.2.0',
+    label: 'Location Hotspots',
+    description: 'Locations with repeated incidents, scored on count, density, severity and time spread',
+    algorithm: 'location-density-hotspot',
+    resultType: 'hotspot',
+    patternType: 'spatial',
+    analysisTypes: ['hotspot'],
+    thresholds: {
+      minIncidents: { type: 'integer', default: 3, min: 1, description: 'Incidents needed at a location' },
+      minConfidence: confidenceThreshold(0.4)
+    },
+    detect: (incidents, options) => service.detectCrimeHotspots(incidents, options)
+  },
+  {
+    name: 'temporalPatterns',
+    version: '1.3.0',
+    label: 'Temporal Peaks',
+    description: 'Peak hours and days of the week, and seasonal peaks from a decomposition of daily counts',
+    algorithm: 'temporal-frequency',
+    resultType: 'temporal-pattern',
+    patternType: 'temporal',
+    analysisTypes: ['temporal'],
+    thresholds: {
+      minHourlyCount: { type: 'integer', default: 3, min: 1, description: 'Incidents needed in a peak hour' },
+      minDailyCount: { type: 'integer', default: 3, min: 1, description: 'Incidents needed on a peak day' },
+      minMonthlyCount: { type: 'integer', default: 4, min: 1, description: 'Incidents needed in the seasonal peak months' }
+    },
+    detect: (incidents, options) => service.analyzeTemporalPatterns(incidents, options)
+  },
+  {
+    name: 'crimeSeries',
+    version: '1.4.0',
+    label: 'Crime Series',
+    description: 'Incidents of one type or escalation ladder (trespass to burglary to robbery) linked by location, timing, suspects, vehicles, evidence and narrative; scores escalation and profiles the offender anchor point',
+    algorithm: 'crime-series-linkage',
+    resultType: 'crime-series',
+    patternType: 'modus_operandi',
+    analysisTypes: ['series'],
+    parameters: {
+      linkageThreshold: {
+        type: 'number',
+        default: config.AI_SERIES_LINKAGE_THRESHOLD,
+        min: 0,
+        max: 1,
+        description: 'Pairwise similarity needed to link two incidents'
+      },
+      linkAcrossTypes: {
+        type: 'boolean',
+        default: true,
+        description: 'Link incidents of different types on the same escalation ladder'
+      },
+      profileBufferKm: {
+        type: 'number',
+        default: 0,
+        min: 0,
+        description: 'Geographic profile buffer zone radius in km (0 estimates it from the crime sites)'
+      },
+      profileDecay: {
+        type: 'number',
+        default: 1.2,
+        min: 0.1,
+        max: 5,
+        description: 'Geographic profile distance-decay exponent'
+      }
+    },
+    thresholds: {
+      minIncidents: { type: 'integer', default: 3, min: 2, description: 'Linked incidents needed for a series' },
+      minProfileIncidents: { type: 'integer', default: 5, min: 2, description: 'Located incidents needed for a geographic profile' },
+      minConfidence: confidenceThreshold(0.5)
+    },
+    detect: (incidents, options) => service.detectCrimeSeries(incidents, options)
+  },
+  {
+    name: 'geographicClusters',
+    version: '1.2.0',
+    label: 'Geographic Clusters',
+    description: 'Density-based (DBSCAN) clusters of located incidents',
+    algorithm: 'distance-clustering',
+    resultType: 'geographic-cluster',
+    patternType: 'spatial',
+    analysisTypes: ['hotspot'],
+    parameters: {
+      epsKm: {
+        type: 'number',
+        default: config.AI_HOTSPOT_RADIUS_KM,
+        min: 0.01,
+        description: 'Neighbourhood radius in kilometres'
+      },
+      minPoints: {
+        type: 'integer',
+        default: config.AI_CLUSTER_MIN_POINTS,
+        min: 2,
+        description: 'Neighbours needed for a core point, and the smallest cluster reported'
+      }
+    },
+    thresholds: {
+      minConfidence: confidenceThreshold(0.4)
+    },
+    detect: (incidents, options) => service.performGeographicClustering(incidents, options)
+  },
+  {
+    name: 'predictiveHotspots',
+    version: '1.2.0',
+    label: 'Predicted Hotspots',
+    description: 'Areas whose incident counts show a significant upward Poisson trend',
+    algorithm: 'trend-prediction',
+    resultType: 'predictive-hotspot',
+    patternType: 'spatial',
+    analysisTypes: ['predictive'],
+    parameters: {
+      minIncidents: { type: 'integer', default: 5, min: 2, description: 'Incidents needed in an area to fit a trend' }
+    },
+    thresholds: {
+      significanceLevel: {
+        type: 'number',
+        default: 0.05,
+        min: 0,
+        max: 1,
+        description: 'Largest trend p-value treated as significant'
+      },
+      minTrendConfidence: {
+        type: 'number',
+        default: 0.6,
+        min: 0,
+        max: 1,
+        description: 'Lowest trend confidence (1 - p) reported'
+      }
+    },
+    detect: (incidents, options) => service.predictFutureHotspots(incidents, options)
+  },
+  {
+    name: 'riskAssessment',
+    version: '1.2.0',
+    label: 'Area Risk',
+    description: 'Locations scored on severity, frequency and recent activity',
+    algorithm: 'area-risk-scoring',
+    resultType: 'risk-assessment',
+    patternType: 'mixed',
+    analysisTypes: ['predictive'],
+    thresholds: {
+      minRiskScore: {
+        type: 'number',
+        default: 0.5,
+        min: 0,
+        max: 1,
+        description: 'Lowest risk score reported'
+      }
+    },
+    detect: (incidents, options) => service.assessAreaRisk(incidents, options)
+  },
+  {
+    name: 'nearRepeat',
+    version: '1.1.0',
+    label: 'Near-Repeat Zones',
+    description: 'Risk zones around recent incidents for crime types with a significant Knox near-repeat effect',
+    algorithm: 'knox-near-repeat',
+    resultType: 'near-repeat-zone',
+    patternType: 'mixed',
+    analysisTypes: ['near-repeat'],
+    parameters: {
+      // Bounded because the Knox test keeps every pair closer than the
+      // widest band in memory and runs the permutations synchronously
+      spatialBandsKm: {
+        type: 'number[]',
+        default: config.AI_NEAR_REPEAT_SPATIAL_BANDS_KM,
+        min: 0.01,
+        max: 5,
+        maxItems: 10,
+        description: 'Upper edges of the Knox distance bands in kilometres'
+      },
+      temporalBandsDays: {
+        type: 'number[]',
+        default: config.AI_NEAR_REPEAT_TEMPORAL_BANDS_DAYS,
+        min: 0.1,
+        max: 365,
+        maxItems: 10,
+        description: 'Upper edges of the Knox time bands in days'
+      },
+      iterations: {
+        type: 'integer',
+        default: config.AI_NEAR_REPEAT_ITERATIONS,
+        min: 19,
+        max: 999,
+        description: 'Monte Carlo permutations for the p-values'
+      },
+      minIncidents: {
+        type: 'integer',
+        default: config.AI_NEAR_REPEAT_MIN_INCIDENTS,
+        min: 3,
+        description: 'Located incidents needed to test a crime type'
+      }
+    },
+    thresholds: {
+      significanceLevel: {
+        type: 'number',
+        default: 0.05,
+        min: 0,
+        max: 1,
+        description: 'Largest Knox p-value treated as significant'
+      }
+    },
+    detect: (incidents, options) => service.detectNearRepeatZones(incidents, options)
+  },
+  {
+    name: 'spaceTimeClusters',
+    version: '1.2.0',
+    label: 'Space-Time Clusters',
+    description: 'Emerging clusters from a prospective space-time permutation scan',
+    algorithm: 'space-time-permutation-scan',
+    resultType: 'space-time-cluster',
+    patternType: 'mixed',
+    analysisTypes: ['space-time'],
+    parameters: {
+      // Bounded because the scan compares every pair of locations within the
+      // radius and runs the replicas synchronously
+      maxRadiusKm: {
+        type: 'number',
+        default: config.AI_SCAN_MAX_RADIUS_KM,
+        min: 0.05,
+        max: 5,
+        description: 'Largest cylinder radius in kilometres'
+      },
+      maxWindowDays: {
+        type: 'integer',
+        default: config.AI_SCAN_MAX_WINDOW_DAYS,
+        min: 1,
+        max: 90,
+        description: 'Longest cylinder time window in days'
+      },
+      iterations: {
+        type: 'integer',
+        default: config.AI_SCAN_ITERATIONS,
+        min: 19,
+        max: 999,
+        description: 'Randomly re-dated replicas for the p-values'
+      }
+    },
+    thresholds: {
+      significanceLevel: {
+        type: 'number',
+        default: config.AI_SCAN_SIGNIFICANCE,
+        min: 0,
+        max: 1,
+        description: 'Largest scan p-value reported'
+      },
+      minIncidents: { type: 'integer', default: 3, min: 1, description: 'Incidents needed in a cluster' }
+    },
+    detect: (incidents, options) => service.detectSpaceTimeClusters(incidents, options)
+  }
+];
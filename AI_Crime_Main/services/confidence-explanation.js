@@ -0,0 +1,112 @@
+/**
+ * Confidence Explanations
+ * Builders for the structured explanation each detector attaches to a
+ * pattern: the factors behind its confidence score with their weights and
+ * contributions, the thresholds the pattern had to clear, any caps or
+ * discounts applied afterwards and the incidents that contributed most.
+ * Saved as CrimePattern.explanation and shown on the pattern detail page.
+ */
+
+// Contributing incidents kept per explanation, highest weight first
+const MAX_CONTRIBUTING_INCIDENTS = 25;
+
+const round = (value, digits = 4) => {
+  if (typeof value !== 'number' || !isFinite(value)) return value;
+  const scale = Math.pow(10, digits);
+  return Math.round(value * scale) / scale;
+};
+
+/**
+ * One input to a score. `normalized` is the factor on a 0-1 scale; factors
+ * with a weight contribute normalized * weight to a weighted sum, factors
+ * without one (statistical tests, multiplicative formulas) are listed for
+ * context only.
+ */
+const factor = (key, label, { value, normalized, weight = null, description }) => ({
+  key,
+  label,
+  value: round(value),
+  normalized: round(normalized),
+  weight,
+  contribution: weight === null || typeof normalized !== 'number' ? null : round(normalized * weight),
+  description
+});
+
+const weightedSum = (factors) => factors.reduce((sum, item) => sum + (item.contribution || 0), 0);
+
+const COMPARISONS = {
+  '>=': (value, limit) => value >= limit,
+  '>': (value, limit) => value > limit,
+  '<=': (value, limit) => value <= limit,
+  '<': (value, limit) => value < limit
+};
+
+// A rule the pattern had to satisfy to be reported, e.g. at least 3 incidents
+const threshold = (label, value, limit, operator = '>=') => ({
+  label,
+  value: round(value),
+  threshold: limit,
+  operator,
+  passed: COMPARISONS[operator](value, limit)
+});
+
+/**
+ * Pick the incidents that contributed most. weightOf returns a 0-1 weight
+ * for an incident and reasonOf a short sentence on why it counts.
+ */
+const contributingIncidents = (incidents, { weightOf = () => 1, reasonOf = () => undefined, limit = MAX_CONTRIBUTING_INCIDENTS } = {}) =>
+  incidents
+    .map(incident => ({
+      incidentId: incident._id,
+      weight: round(Math.max(0, Math.min(1, weightOf(incident))), 3),
+      reason: reasonOf(incident)
+    }))
+    .sort((a, b) => b.weight - a.weight)
+    .slice(0, limit);
+
+const formatPercent = value => `${Math.round(value * 100)}%`;
+
+/**
+ * Assemble the explanation. Without an explicit summary, weighted scores
+ * name their largest contributor.
+ */
+const build = ({ method, formula, score, summary, factors = [], thresholds = [], adjustments = [], evidence = [], incidents = [] }) => {
+  let text = summary;
+  if (!text) {
+    const top = factors
+      .filter(item => item.contribution !== null)
+      .sort((a, b) => b.contribution - a.contribution)[0];
+    text = top
+      ? `Confidence ${formatPercent(score)}; the largest contribution is ${top.label.toLowerCase()} ` +
+        `(${formatPercent(top.contribution)} of a possible ${formatPercent(top.weight)})`
+      : `Confidence ${formatPercent(score)}`;
+  }
+
+  return {
+    method,
+    formula,
+    score: round(score),
+    summary: text,
+    factors,
+    thresholds,
+    adjustments: adjustments.filter(Boolean),
+    evidence: evidence.map(item => ({ label: item.label, value: String(item.value) })),
+    contributingIncidents: incidents
+  };
+};
+
+// Cap a score, returning the adjustment note when the cap applied
+const cap = (score, maximum) => ({
+  score: Math.min(maximum, score),
+  adjustment: score > maximum ? `Capped at ${formatPercent(maximum)} (raw score ${formatPercent(score)})` : null
+});
+
+module.exports = {
+  MAX_CONTRIBUTING_INCIDENTS,
+  factor,
+  weightedSum,
+  threshold,
+  contributingIncidents,
+  cap,
+  build
+};
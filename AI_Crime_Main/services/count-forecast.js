@@ -0,0 +1,257 @@
+/**
+ * Count Forecasting
+ * Forecasts daily incident counts from a history of daily counts with three
+ * models: seasonal naive (the same weekday last week), simple exponential
+ * smoothing, and a quasi-Poisson regression with weekday effects and, when
+ * significant, a linear trend. Each model is scored by rolling-origin
+ * backtests over the last weeks of history, and the one with the lowest mean
+ * absolute error of horizon totals is selected.
+ *
+ * Prediction intervals assume normal errors clipped at zero. Interval widths
+ * for a horizon total add the daily variances, so they are too narrow when
+ * errors persist from day to day; the backtest coverage shows by how much.
+ */
+
+const { normalCdf, fitPoisson } = require('./trend-analysis');
+
+const SEASON_DAYS = 7;
+
+const MODELS = {
+  'seasonal-naive': 'Seasonal naive',
+  'exponential-smoothing': 'Exponential smoothing',
+  'poisson-weekday': 'Poisson regression with weekday effects'
+};
+
+// Standard normal quantile by bisection on normalCdf
+const normalQuantile = (p) => {
+  let low = -10;
+  let high = 10;
+  for (let i = 0; i < 60; i++) {
+    const middle = (low + high) / 2;
+    if (normalCdf(middle) < p) low = middle; else high = middle;
+  }
+  return (low + high) / 2;
+};
+
+const sum = (values) => values.reduce((total, value) => total + value, 0);
+
+/**
+ * Seasonal naive: each day repeats the same weekday of the last week. The
+ * error variance comes from the week-on-week differences of the history and
+ * grows with every further week ahead.
+ */
+const seasonalNaive = (counts, weekdays, horizon) => {
+  const n = counts.length;
+  if (n < 2 * SEASON_DAYS) return null;
+
+  const differences = counts.slice(SEASON_DAYS).map((count, i) => count - counts[i]);
+  const variance = sum(differences.map(d => d * d)) / differences.length;
+
+  return {
+    mean: Array.from({ length: horizon }, (value, h) => counts[n - SEASON_DAYS + (h % SEASON_DAYS)]),
+    variance: Array.from({ length: horizon }, (value, h) => variance * (Math.floor(h / SEASON_DAYS) + 1))
+  };
+};
+
+/**
+ * Simple exponential smoothing with the smoothing constant chosen from a
+ * grid by one-step-ahead squared error. Forecasts are flat at the last level.
+ */
+const exponentialSmoothing = (counts, weekdays, horizon) => {
+  const n = counts.length;
+  if (n < 2 * SEASON_DAYS) return null;
+
+  const initial = sum(counts.slice(0, SEASON_DAYS)) / SEASON_DAYS;
+  let best = null;
+  for (let alpha = 0.05; alpha < 0.96; alpha += 0.05) {
+    let level = initial;
+    let squaredError = 0;
+    for (let t = 0; t < n; t++) {
+      const error = counts[t] - level;
+      squaredError += error * error;
+      level += alpha * error;
+    }
+    if (!best || squaredError < best.squaredError) {
+      best = { alpha, level, squaredError };
+    }
+  }
+
+  const variance = best.squaredError / (n - 1);
+  return {
+    alpha: best.alpha,
+    mean: new Array(horizon).fill(best.level),
+    variance: Array.from({ length: horizon }, (value, h) => variance * (1 + h * best.alpha * best.alpha))
+  };
+};
+
+/**
+ * Quasi-Poisson regression of daily counts on weekday indicators (Sunday is
+ * the baseline) and a trend in days. The trend is dropped unless it is
+ * significant, so short-lived swings are not extrapolated; weekday effects
+ * are dropped when a weekday without any incidents makes them inestimable.
+ * Predictive variance adds the parameter uncertainty (delta method) to the
+ * over-dispersed Poisson variance.
+ */
+const poissonWeekday = (counts, weekdays, horizon, { significanceLevel = 0.05 } = {}) => {
+  const n = counts.length;
+  if (n < 2 * SEASON_DAYS || sum(counts) === 0) return null;
+
+  const center = (n - 1) / 2;
+  const row = (spec, weekday, t) => {
+    const values = [1];
+    if (spec.weekdays) {
+      for (let day = 1; day < SEASON_DAYS; day++) values.push(weekday === day ? 1 : 0);
+    }
+    if (spec.trend) values.push(t - center);
+    return values;
+  };
+  const fitSpec = (spec) => {
+    const rows = counts.map((count, t) => row(spec, weekdays[t], t));
+    const columns = rows[0].slice(1).map((value, j) => rows.map(values => values[j + 1]));
+    const fit = fitPoisson(counts, columns);
+    return fit ? { spec, fit } : null;
+  };
+
+  let model = fitSpec({ weekdays: true, trend: true });
+  if (!model || !(model.fit.pValues[SEASON_DAYS - 1] < significanceLevel)) {
+    model = fitSpec({ weekdays: true, trend: false });
+  }
+  if (!model) {
+    model = fitSpec({ weekdays: false, trend: true });
+    if (!model || !(model.fit.pValues[0] < significanceLevel)) {
+      model = fitSpec({ weekdays: false, trend: false });
+    }
+  }
+  if (!model) return null;
+
+  const { spec, fit } = model;
+  const beta = [fit.intercept, ...fit.coefficients];
+  const mean = [];
+  const variance = [];
+  for (let h = 0; h < horizon; h++) {
+    const x = row(spec, (weekdays[n - 1] + h + 1) % SEASON_DAYS, n + h);
+    const eta = x.reduce((total, value, j) => total + value * beta[j], 0);
+    const mu = Math.exp(eta);
+    let etaVariance = 0;
+    for (let j = 0; j < x.length; j++) {
+      for (let k = 0; k < x.length; k++) etaVariance += x[j] * fit.covariance[j][k] * x[k];
+    }
+    mean.push(mu);
+    variance.push(fit.dispersion * mu + mu * mu * etaVariance);
+  }
+
+  const trendIndex = fit.coefficients.length - 1;
+  return {
+    trend: spec.trend ? { perDay: fit.coefficients[trendIndex], pValue: fit.pValues[trendIndex] } : null,
+    weekdayEffects: spec.weekdays ? [1, ...fit.coefficients.slice(0, SEASON_DAYS - 1).map(Math.exp)] : null,
+    dispersion: fit.dispersion,
+    mean,
+    variance
+  };
+};
+
+const FITTERS = {
+  'seasonal-naive': seasonalNaive,
+  'exponential-smoothing': exponentialSmoothing,
+  'poisson-weekday': poissonWeekday
+};
+
+const interval = (mean, variance, z) => ({
+  mean,
+  lower: Math.max(0, mean - z * Math.sqrt(variance)),
+  upper: mean + z * Math.sqrt(variance)
+});
+
+/**
+ * Score a model by forecasting the `horizon` days after each of the last
+ * `origins` week-spaced origins from the history before it.
+ */
+const backtest = (fitter, counts, weekdays, { horizon, origins, z }) => {
+  const errors = [];
+  let covered = 0;
+  for (let k = origins; k >= 1; k--) {
+    const cutoff = counts.length - horizon - (k - 1) * SEASON_DAYS;
+    if (cutoff < 4 * SEASON_DAYS) continue;
+
+    const forecast = fitter(counts.slice(0, cutoff), weekdays.slice(0, cutoff), horizon);
+    if (!forecast) continue;
+
+    const actual = sum(counts.slice(cutoff, cutoff + horizon));
+    const total = interval(sum(forecast.mean), sum(forecast.variance), z);
+    errors.push(Math.abs(actual - total.mean));
+    if (actual >= total.lower && actual <= total.upper) covered++;
+  }
+
+  if (errors.length === 0) return null;
+  return {
+    origins: errors.length,
+    mae: sum(errors) / errors.length,
+    coverage: covered / errors.length
+  };
+};
+
+/**
+ * Forecast a daily count series.
+ * counts: daily counts, oldest first, ending with the last complete day;
+ * weekdays: weekday (0-6, Sunday first) of each of those days.
+ * Options: horizon (days forecast), skip (leading forecast days left out of
+ * the total, e.g. an incomplete today), level (interval coverage),
+ * backtestOrigins.
+ * Returns { selected, models, daily, total } or null when the history is
+ * too short for every model.
+ */
+const forecastSeries = (counts, weekdays, options = {}) => {
+  const { horizon = 7, skip = 0, level = 0.9, backtestOrigins = 4 } = options;
+  const z = normalQuantile(0.5 + level / 2);
+  const days = skip + horizon;
+
+  const models = Object.entries(FITTERS).map(([name, fitter]) => {
+    const forecast = fitter(counts, weekdays, days);
+    if (!forecast) return null;
+
+    const totalDays = { mean: forecast.mean.slice(skip), variance: forecast.variance.slice(skip) };
+    return {
+      name,
+      label: MODELS[name],
+      backtest: backtest(fitter, counts, weekdays, { horizon, origins: backtestOrigins, z }),
+      daily: forecast.mean.map((mean, h) => interval(mean, forecast.variance[h], z)),
+      total: interval(sum(totalDays.mean), sum(totalDays.variance), z),
+      trend: forecast.trend || null,
+      alpha: forecast.alpha
+    };
+  }).filter(Boolean);
+
+  if (models.length === 0) return null;
+
+  // Lowest backtest error wins; without backtests prefer the weekday regression
+  const scored = models.filter(model => model.backtest);
+  const selected = scored.length > 0
+    ? scored.reduce((best, model) => model.backtest.mae < best.backtest.mae ? model : best)
+    : models.find(model => model.name === 'poisson-weekday') || models[0];
+
+  return {
+    selected: selected.name,
+    label: selected.label,
+    level,
+    daily: selected.daily,
+    total: selected.total,
+    backtest: selected.backtest,
+    models: models.map(model => ({
+      name: model.name,
+      label: model.label,
+      total: model.total,
+      backtest: model.backtest,
+      trend: model.trend,
+      alpha: model.alpha
+    }))
+  };
+};
+
+module.exports = {
+  MODELS,
+  normalQuantile,
+  seasonalNaive,
+  exponentialSmoothing,
+  poissonWeekday,
+  forecastSeries
+};
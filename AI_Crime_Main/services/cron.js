@@ -0,0 +1,215 @@
+const config = require('../config/config');
+const timeZone = require('./time-zone');
+
+/**
+ * Cron Expressions
+ * Parser for standard five-field cron expressions (minute hour day-of-month
+ * month day-of-week) used by scheduled analyses. Supports '*', lists, ranges,
+ * steps, month and weekday names and the @hourly/@daily/@weekly/@monthly
+ * shortcuts. Times are evaluated on the agency's clock (AGENCY_TIMEZONE),
+ * whatever zone the server runs in. A time skipped when DST starts does not
+ * match that day, and one repeated when it ends runs once.
+ */
+
+const MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: MONTH_NAMES, nameOffset: 1 },
+  { name: 'day of week', min: 0, max: 7, names: DAY_NAMES, nameOffset: 0 }
+];
+
+const SHORTCUTS = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *',
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *'
+};
+
+// Give up looking for a matching time after this many years (e.g. "0 0 30 2 *")
+const MAX_SEARCH_YEARS = 5;
+
+const parseValue = (value, field) => {
+  const lower = value.toLowerCase();
+  if (field.names && field.names.includes(lower)) {
+    return field.names.indexOf(lower) + field.nameOffset;
+  }
+  if (!/^\d+$/.test(value)) {
+    throw new Error(`Invalid ${field.name} value "${value}"`);
+  }
+  const number = parseInt(value, 10);
+  if (number < field.min || number > field.max) {
+    throw new Error(`${field.name} value ${number} is outside ${field.min}-${field.max}`);
+  }
+  return number;
+};
+
+// Expand one field ("1-5", "*/15", "mon,wed,fri") into the set of allowed values
+const parseField = (text, field) => {
+  const values = new Set();
+
+  text.split(',').forEach(part => {
+    const [range, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : parseInt(stepText, 10);
+    if (stepText !== undefined && (!/^\d+$/.test(stepText) || step < 1)) {
+      throw new Error(`Invalid ${field.name} step "${stepText}"`);
+    }
+
+    let start;
+    let end;
+    if (range === '*') {
+      start = field.min;
+      end = field.max;
+    } else if (range.includes('-')) {
+      const [from, to] = range.split('-');
+      start = parseValue(from, field);
+      end = parseValue(to, field);
+      if (start > end) {
+        throw new Error(`Invalid ${field.name} range "${range}"`);
+      }
+    } else {
+      start = parseValue(range, field);
+      end = stepText === undefined ? start : field.max;
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  });
+
+  return values;
+};
+
+/**
+ * Parse an expression into { minutes, hours, daysOfMonth, months, daysOfWeek }
+ * value sets. Throws an Error describing the first invalid field.
+ */
+const parse = (expression) => {
+  if (typeof expression !== 'string' || !expression.trim()) {
+    throw new Error('Cron expression is required');
+  }
+
+  const trimmed = expression.trim().toLowerCase();
+  const parts = (SHORTCUTS[trimmed] || trimmed).split(/\s+/);
+  if (parts.length !== 5) {
+    throw new Error('Cron expression must have five fields: minute hour day-of-month month day-of-week');
+  }
+
+  const [minutes, hours, daysOfMonth, months, daysOfWeek] = parts.map((part, i) => parseField(part, FIELDS[i]));
+
+  // 7 is an alias for Sunday
+  if (daysOfWeek.has(7)) {
+    daysOfWeek.delete(7);
+    daysOfWeek.add(0);
+  }
+
+  return {
+    minutes,
+    hours,
+    daysOfMonth,
+    months,
+    daysOfWeek,
+    // Classic cron: when both day fields are restricted a day matches either one
+    restrictedDays: parts[2] !== '*' && parts[4] !== '*'
+  };
+};
+
+const isValid = (expression) => {
+  try {
+    parse(expression);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+const matchesDay = (schedule, wall) => {
+  const domMatch = schedule.daysOfMonth.has(wall.getUTCDate());
+  const dowMatch = schedule.daysOfWeek.has(wall.getUTCDay());
+  return schedule.restrictedDays ? domMatch || dowMatch : domMatch && dowMatch;
+};
+
+/**
+ * First time strictly after `from` that matches the expression on the zone's
+ * clock, or null when nothing matches within MAX_SEARCH_YEARS.
+ */
+const nextRun = (expression, from = new Date(), zone = config.AGENCY_TIMEZONE) => {
+  const schedule = typeof expression === 'string' ? parse(expression) : expression;
+
+  // Step through the zone's wall clock, held in UTC fields so no server
+  // time zone rules apply, and convert matches back to instants
+  const start = timeZone.getParts(from, zone);
+  const wall = new Date(Date.UTC(start.year, start.month, start.day, start.hour, start.minute + 1));
+
+  const limit = new Date(wall.getTime());
+  limit.setUTCFullYear(limit.getUTCFullYear() + MAX_SEARCH_YEARS);
+
+  while (wall <= limit) {
+    if (!schedule.months.has(wall.getUTCMonth() + 1)) {
+      wall.setUTCMonth(wall.getUTCMonth() + 1, 1);
+      wall.setUTCHours(0, 0, 0, 0);
+    } else if (!matchesDay(schedule, wall)) {
+      wall.setUTCDate(wall.getUTCDate() + 1);
+      wall.setUTCHours(0, 0, 0, 0);
+    } else if (!schedule.hours.has(wall.getUTCHours())) {
+      wall.setUTCHours(wall.getUTCHours() + 1, 0, 0, 0);
+    } else if (!schedule.minutes.has(wall.getUTCMinutes())) {
+      wall.setUTCMinutes(wall.getUTCMinutes() + 1, 0, 0);
+    } else {
+      const parts = {
+        year: wall.getUTCFullYear(),
+        month: wall.getUTCMonth(),
+        day: wall.getUTCDate(),
+        hour: wall.getUTCHours(),
+        minute: wall.getUTCMinutes()
+      };
+      const instant = timeZone.fromParts(parts, zone);
+      const shown = timeZone.getParts(instant, zone);
+      // Skip wall times that do not exist (DST start) or already passed
+      // (the second pass through an hour repeated at DST end)
+      if (instant > from && shown.hour === parts.hour && shown.minute === parts.minute) {
+        return instant;
+      }
+      wall.setUTCMinutes(wall.getUTCMinutes() + 1, 0, 0);
+    }
+  }
+
+  return null;
+};
+
+// Short human-readable summary for the common shapes, falling back to the expression
+const describe = (expression) => {
+  const trimmed = expression.trim().toLowerCase();
+  const parts = (SHORTCUTS[trimmed] || trimmed).split(/\s+/);
+  if (parts.length !== 5) return expression;
+
+  const [minute, hour, dom, month, dow] = parts;
+  const pad = value => String(value).padStart(2, '0');
+  const isNumber = value => /^\d+$/.test(value);
+  const time = isNumber(minute) && isNumber(hour) ? `at ${pad(hour)}:${pad(minute)}` : null;
+
+  if (minute === '0' && hour === '*' && dom === '*' && month === '*' && dow === '*') return 'Every hour';
+  if (/^\*\/\d+$/.test(minute) && hour === '*' && dom === '*' && month === '*' && dow === '*') {
+    return `Every ${minute.split('/')[1]} minutes`;
+  }
+  if (time && dom === '*' && month === '*' && dow === '*') return `Daily ${time}`;
+  if (time && dom === '*' && month === '*' && isNumber(dow)) {
+    const day = DAY_NAMES[parseInt(dow, 10) % 7];
+    return `Weekly on ${day.charAt(0).toUpperCase()}${day.slice(1)} ${time}`;
+  }
+  if (time && isNumber(dom) && month === '*' && dow === '*') return `Monthly on day ${dom} ${time}`;
+  return expression;
+};
+
+module.exports = {
+  parse,
+  isValid,
+  nextRun,
+  describe
+};
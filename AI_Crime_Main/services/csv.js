@@ -0,0 +1,59 @@
+/**
+ * CSV Parsing
+ * Minimal reader for the comma-separated files analysts load: gazetteers and
+ * risk terrain layers. Handles double-quoted fields with escaped quotes; one
+ * record per line.
+ */
+
+// Split one CSV line, honouring double-quoted fields
+const parseCsvLine = (line) => {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      fields.push(field);
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  fields.push(field);
+  return fields.map(value => value.trim());
+};
+
+/**
+ * Parse CSV content with a header row. Each alias list maps a field name to
+ * the header names accepted for it (case-insensitive).
+ * Returns { columns: { field: index or -1 }, rows: [[value]] }
+ */
+const readCsv = (content, aliases) => {
+  const lines = content.split(/\r?\n/).filter(line => line.trim());
+  if (lines.length === 0) return { columns: {}, rows: [] };
+
+  const header = parseCsvLine(lines[0]).map(name => name.toLowerCase());
+  const columns = {};
+  Object.entries(aliases).forEach(([field, names]) => {
+    columns[field] = header.findIndex(name => names.includes(name));
+  });
+
+  return { columns, rows: lines.slice(1).map(parseCsvLine) };
+};
+
+module.exports = {
+  parseCsvLine,
+  readCsv
+};
@@ -0,0 +1,283 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Detector Registry
+ * Pattern detectors run by AIAnalysisService. Each detector declares its
+ * name, version, the analysis types it belongs to, a parameter schema and
+ * default thresholds; runs resolve the detectors for their analysisType here
+ * and pass each one its options merged over those defaults.
+ *
+ * Third-party detectors are loaded from AI_DETECTORS_DIR. Each .js file there
+ * exports one definition (or an array of them):
+ *
+ *   module.exports = {
+ *     name: 'repeatAddresses',            // unique, used in job progress and analysisType
+ *     version: '1.0.0',                    // recorded on every pattern it finds
+ *     label: 'Repeat Addresses',
+ *     description: 'Addresses with three or more incidents in a week',
+ *     algorithm: 'repeat-address-count',   // CrimePattern.analysisMetadata.algorithm
+ *     resultType: 'repeat-address',        // `type` of the results it returns
+ *     patternType: 'spatial',              // CrimePattern.patternType for those results
+ *     analysisTypes: ['hotspot'],          // presets it joins besides comprehensive
+ *     parameters: { windowDays: { type: 'integer', default: 7, min: 1, max: 30, description: '...' } },
+ *     thresholds: { minIncidents: { type: 'integer', default: 3, min: 1 } },
+ *     async detect(incidents, options, service) { return [...results]; }
+ *   };
+ *
+ * Results use the same shape as the built-in detectors ({ type, description,
+ * confidence, relatedIncidents, ... }); `service` is the AIAnalysisService
+ * instance for its grouping and scoring helpers. `number[]` parameters apply
+ * min and max to every item and may cap the list length with maxItems.
+ * A third-party detector whose
+ * results lack a relatedIncidents array or a numeric confidence is reported
+ * as failed for that run.
+ */
+
+// Analysis types offered on the run and schedule forms
+const ANALYSIS_TYPES = {
+  comprehensive: 'Comprehensive Analysis',
+  hotspot: 'Hotspot Detection',
+  temporal: 'Temporal Patterns',
+  series: 'Crime Series Detection',
+  predictive: 'Predictive Analysis',
+  'near-repeat': 'Near-Repeat Analysis',
+  'space-time': 'Space-Time Cluster Scan'
+};
+
+const PATTERN_TYPES = ['temporal', 'spatial', 'modus_operandi', 'suspect_profile', 'victim_profile', 'mixed'];
+
+const PARAMETER_TYPES = ['number', 'integer', 'boolean', 'string', 'number[]'];
+
+const titleCase = (value) => value
+  .replace(/[-_]/g, ' ')
+  .replace(/\b\w/g, letter => letter.toUpperCase());
+
+// Coerce and check one parameter value against its schema entry
+const coerceParameter = (key, value, schema) => {
+  let coerced = value;
+
+  switch (schema.type) {
+    case 'number':
+    case 'integer':
+      coerced = typeof value === 'number' ? value : parseFloat(value);
+      if (!Number.isFinite(coerced)) throw new Error(`${key} must be a number`);
+      if (schema.type === 'integer' && !Number.isInteger(coerced)) throw new Error(`${key} must be a whole number`);
+      if (schema.min !== undefined && coerced < schema.min) throw new Error(`${key} must be at least ${schema.min}`);
+      if (schema.max !== undefined && coerced > schema.max) throw new Error(`${key} must be at most ${schema.max}`);
+      break;
+    case 'boolean':
+      coerced = value === true || value === 'true';
+      break;
+    case 'string':
+      coerced = String(value);
+      break;
+    case 'number[]':
+      coerced = (Array.isArray(value) ? value : String(value).split(',')).map(item => parseFloat(item));
+      if (coerced.length === 0 || coerced.some(item => !Number.isFinite(item))) {
+        throw new Error(`${key} must be a list of numbers`);
+      }
+      if (schema.maxItems !== undefined && coerced.length > schema.maxItems) {
+        throw new Error(`${key} must have at most ${schema.maxItems} values`);
+      }
+      if (schema.min !== undefined && coerced.some(item => item < schema.min)) {
+        throw new Error(`${key} values must be at least ${schema.min}`);
+      }
+      if (schema.max !== undefined && coerced.some(item => item > schema.max)) {
+        throw new Error(`${key} values must be at most ${schema.max}`);
+      }
+      break;
+  }
+
+  return coerced;
+};
+
+class DetectorRegistry {
+  constructor() {
+    this.detectors = new Map();
+  }
+
+  /**
+   * Add a detector. Throws when the definition is incomplete or its name is
+   * already taken.
+   */
+  register(definition, source = 'built-in') {
+    const { name, version, detect } = definition || {};
+
+    if (!name || typeof name !== 'string') {
+      throw new Error('Detector name is required');
+    }
+    if (this.detectors.has(name)) {
+      throw new Error(`Detector "${name}" is already registered`);
+    }
+    if (!version || typeof version !== 'string') {
+      throw new Error(`Detector "${name}" must declare a version`);
+    }
+    if (typeof detect !== 'function') {
+      throw new Error(`Detector "${name}" must provide a detect function`);
+    }
+    if (definition.patternType && !PATTERN_TYPES.includes(definition.patternType)) {
+      throw new Error(`Detector "${name}" has unknown pattern type "${definition.patternType}"`);
+    }
+
+    ['parameters', 'thresholds'].forEach(group => {
+      Object.entries(definition[group] || {}).forEach(([key, schema]) => {
+        if (!PARAMETER_TYPES.includes(schema.type)) {
+          throw new Error(`Detector "${name}" ${group}.${key} has unknown type "${schema.type}"`);
+        }
+        coerceParameter(`${name} ${group}.${key}`, schema.default, schema);
+      });
+    });
+
+    const detector = {
+      label: titleCase(name.replace(/([a-z])([A-Z])/g, '$1 $2')),
+      description: '',
+      algorithm: name,
+      resultType: name,
+      patternType: 'mixed',
+      analysisTypes: [],
+      comprehensive: true,
+      parameters: {},
+      thresholds: {},
+      ...definition,
+      source
+    };
+    this.detectors.set(name, detector);
+    return detector;
+  }
+
+  get(name) {
+    return this.detectors.get(name) || null;
+  }
+
+  list() {
+    return [...this.detectors.values()];
+  }
+
+  // Detector that produces results of the given `type`
+  findByResultType(resultType) {
+    return this.list().find(detector => detector.resultType === resultType) || null;
+  }
+
+  /**
+   * Detector names run for an analysis type, in registration order, or null
+   * when the type is unknown
+   */
+  resolve(analysisType) {
+    const names = this.list()
+      .filter(detector => analysisType === 'comprehensive'
+        ? detector.comprehensive !== false
+        : detector.analysisTypes.includes(analysisType))
+      .map(detector => detector.name);
+    return names.length > 0 ? names : null;
+  }
+
+  // Analysis types with at least one detector, for the run and schedule forms
+  listAnalysisTypes() {
+    const declared = this.list().reduce((types, detector) => types.concat(detector.analysisTypes), []);
+    return [...new Set([...Object.keys(ANALYSIS_TYPES), ...declared])]
+      .map(value => ({ value, label: ANALYSIS_TYPES[value] || titleCase(value), detectors: this.resolve(value) }))
+      .filter(type => type.detectors);
+  }
+
+  /**
+   * Options for one detector run: parameter and threshold defaults with the
+   * given overrides applied. Throws on unknown keys or invalid values.
+   */
+  resolveOptions(name, overrides = {}) {
+    const detector = this.get(name);
+    if (!detector) {
+      throw new Error(`Unknown detector "${name}"`);
+    }
+
+    const schema = { ...detector.parameters, ...detector.thresholds };
+    const options = {};
+    Object.entries(schema).forEach(([key, entry]) => {
+      options[key] = entry.default;
+    });
+    Object.entries(overrides).forEach(([key, value]) => {
+      if (!schema[key]) {
+        throw new Error(`Detector "${name}" has no parameter "${key}"`);
+      }
+      options[key] = coerceParameter(key, value, schema[key]);
+    });
+    return options;
+  }
+
+  /**
+   * Check per-detector overrides ({ detectorName: { key: value } }) for a run
+   * of analysisType and return them coerced to their schema types. Accepts
+   * the JSON text posted by the run and schedule forms. Throws on detectors
+   * the run does not include, unknown keys and invalid values.
+   */
+  validateDetectorOptions(analysisType, detectorOptions) {
+    let parsed = detectorOptions;
+    if (typeof parsed === 'string') {
+      if (!parsed.trim()) return {};
+      try {
+        parsed = JSON.parse(parsed);
+      } catch (error) {
+        throw new Error('Detector options must be valid JSON');
+      }
+    }
+    if (parsed === undefined || parsed === null) return {};
+    if (typeof parsed !== 'object' || Array.isArray(parsed)) {
+      throw new Error('Detector options must be an object keyed by detector name');
+    }
+
+    const detectors = this.resolve(analysisType) || [];
+    const validated = {};
+    Object.entries(parsed).forEach(([name, overrides]) => {
+      if (!detectors.includes(name)) {
+        throw new Error(`Detector "${name}" does not run for analysis type "${analysisType}"`);
+      }
+      if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) {
+        throw new Error(`Options for detector "${name}" must be an object`);
+      }
+      let resolved;
+      try {
+        resolved = this.resolveOptions(name, overrides);
+      } catch (error) {
+        throw new Error(`Detector "${name}": ${error.message}`);
+      }
+      validated[name] = Object.keys(overrides).reduce((options, key) => {
+        options[key] = resolved[key];
+        return options;
+      }, {});
+    });
+    return validated;
+  }
+
+  /**
+   * Register every detector module in a directory. A module that fails to load
+   * or register is logged and skipped so one broken plugin cannot stop the app.
+   */
+  loadDirectory(directory) {
+    if (!directory || !fs.existsSync(directory)) {
+      return [];
+    }
+
+    const loaded = [];
+    fs.readdirSync(directory)
+      .filter(file => file.endsWith('.js'))
+      .sort()
+      .forEach(file => {
+        const filePath = path.join(directory, file);
+        try {
+          const exported = require(filePath);
+          (Array.isArray(exported) ? exported : [exported]).forEach(definition => {
+            loaded.push(this.register(definition, filePath));
+          });
+        } catch (error) {
+          console.error(`Failed to load detector from ${filePath}:`, error.message);
+        }
+      });
+
+    if (loaded.length > 0) {
+      console.log(`Loaded ${loaded.length} detector(s) from ${directory}: ${loaded.map(d => d.name).join(', ')}`);
+    }
+    return loaded;
+  }
+}
+
+module.exports = new DetectorRegistry();
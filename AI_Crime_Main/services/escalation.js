@@ -0,0 +1,298 @@
+/**
+ * Series Escalation
+ * Scores whether a linked crime series is getting more dangerous over time.
+ * Each incident gets a harm score from its crime type's place on a seriousness
+ * ranking, its recorded severity and any weapon mentioned in its narrative,
+ * suspect descriptions or evidence, or carried by a weapon offense linked to
+ * it. The series escalates when harm in its later incidents is higher than in
+ * its earlier ones and rises consistently from one incident to the next.
+ */
+
+const { scorePair } = require('./series-linkage');
+
+// Seriousness of each Incident.incidentType on a 1-10 scale
+const TYPE_SEVERITY_RANK = {
+  trespassing: 1,
+  public_disturbance: 1,
+  traffic_violation: 1,
+  harassment: 2,
+  vandalism: 2,
+  fraud: 2,
+  cybercrime: 2,
+  theft: 3,
+  drug_offense: 3,
+  other: 3,
+  burglary: 4,
+  domestic_violence: 5,
+  assault: 5,
+  battery: 6,
+  weapon_offense: 6,
+  arson: 7,
+  robbery: 7,
+  sexual_assault: 8,
+  kidnapping: 9,
+  homicide: 10
+};
+
+// Crime types an offender commonly escalates through. Series linkage compares
+// incidents across types on the same ladder; every other type links only with itself.
+const ESCALATION_LADDERS = {
+  property: ['trespassing', 'vandalism', 'theft', 'burglary', 'robbery'],
+  interpersonal: ['harassment', 'domestic_violence', 'assault', 'battery', 'sexual_assault', 'kidnapping', 'homicide']
+};
+
+const SEVERITY_LEVELS = { minor: 1, moderate: 2, serious: 3, critical: 4 };
+
+// Weapon vocabulary by lethality, most dangerous first
+const WEAPON_CLASSES = [
+  { name: 'firearm', level: 1, terms: ['gun', 'firearm', 'handgun', 'pistol', 'revolver', 'rifle', 'shotgun', 'shots fired'] },
+  { name: 'blade', level: 0.75, terms: ['knife', 'blade', 'machete', 'stabbed', 'box cutter'] },
+  { name: 'blunt', level: 0.5, terms: ['bat', 'crowbar', 'hammer'] },
+  { name: 'weapon', level: 0.5, terms: ['weapon', 'armed'] }
+];
+
+const HARM_WEIGHTS = { type: 0.4, severity: 0.35, weapon: 0.25 };
+const SCORE_WEIGHTS = { rise: 0.5, consistency: 0.3, weapon: 0.2 };
+
+// Harm rise between the early and late halves that counts as full escalation
+const FULL_RISE = 0.3;
+
+const clamp01 = value => Math.max(0, Math.min(1, value));
+const mean = values => values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : 0;
+const escapeRegex = term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+const label = type => (type || 'other').replace(/_/g, ' ');
+
+const WEAPON_PATTERNS = WEAPON_CLASSES.map(weaponClass => ({
+  ...weaponClass,
+  patterns: weaponClass.terms.map(term => ({ term, regex: new RegExp(`\\b${escapeRegex(term)}s?\\b`, 'i') }))
+}));
+
+// Ladder name for a crime type, or the type itself when it is on no ladder
+const seriesGroupOf = (type) => {
+  const ladder = Object.keys(ESCALATION_LADDERS).find(name => ESCALATION_LADDERS[name].includes(type));
+  return ladder || type;
+};
+
+const typeRank = type => TYPE_SEVERITY_RANK[type] || TYPE_SEVERITY_RANK.other;
+
+/**
+ * Weapons mentioned in an incident's narrative, suspect descriptions and evidence.
+ * Returns { level, weapon, terms } where weapon names the most dangerous class found.
+ */
+const detectWeapons = (incident) => {
+  const texts = [
+    incident.title,
+    incident.description,
+    ...(incident.suspects || []).map(suspect => `${suspect.description || ''} ${suspect.distinguishingMarks || ''}`),
+    ...(incident.evidence || []).map(item => item.description)
+  ].filter(Boolean);
+
+  const found = { level: 0, weapon: null, terms: [] };
+  WEAPON_PATTERNS.forEach(weaponClass => {
+    weaponClass.patterns.forEach(({ term, regex }) => {
+      if (!texts.some(text => regex.test(text))) return;
+      found.terms.push(term);
+      if (weaponClass.level > found.level) {
+        found.level = weaponClass.level;
+        found.weapon = weaponClass.name;
+      }
+    });
+  });
+
+  return found;
+};
+
+// Harm of one incident in 0-1 from its type rank, severity and weapon level
+const harmScore = (incident, weaponLevel) =>
+  HARM_WEIGHTS.type * typeRank(incident.type) / 10 +
+  HARM_WEIGHTS.severity * ((SEVERITY_LEVELS[incident.severity] || 2) - 1) / 3 +
+  HARM_WEIGHTS.weapon * weaponLevel;
+
+// Kendall's tau-a of a sequence against its order: +1 always rising, -1 always falling
+const monotonicity = (values) => {
+  const pairs = values.length * (values.length - 1) / 2;
+  if (pairs === 0) return 0;
+
+  let concordance = 0;
+  for (let i = 0; i < values.length; i++) {
+    for (let j = i + 1; j < values.length; j++) {
+      concordance += Math.sign(values[j] - values[i]);
+    }
+  }
+  return concordance / pairs;
+};
+
+/**
+ * Attach weapon offenses to the series incident each is most strongly linked
+ * to. An offense is linked when it scores at least threshold against a member
+ * and is not itself part of the series.
+ */
+const linkWeaponOffenses = (series, weaponOffenses, options = {}) => {
+  const { threshold = 0.55, maxGapDays = 14 } = options;
+  const memberIds = new Set(series.map(incident => String(incident._id)));
+  const links = [];
+
+  weaponOffenses.forEach(offense => {
+    if (memberIds.has(String(offense._id))) return;
+
+    let best = null;
+    series.forEach(incident => {
+      if (Math.abs(offense.dateTime - incident.dateTime) / (24 * 60 * 60 * 1000) > maxGapDays) return;
+      const { score } = scorePair(offense, incident, options);
+      if (score >= threshold && (!best || score > best.score)) {
+        best = { incident, score };
+      }
+    });
+
+    if (best) {
+      links.push({ offense, linkedTo: best.incident._id, score: best.score });
+    }
+  });
+
+  return links;
+};
+
+/**
+ * Score escalation over a series of normalized incidents.
+ * Options: weaponOffenses (normalized weapon_offense incidents to link in),
+ * threshold and maxGapDays for that linking.
+ * Returns { trend, score, risk, latestHarm, signals, factors, timeline, weaponOffenses }
+ */
+const scoreEscalation = (incidents, options = {}) => {
+  const { weaponOffenses = [] } = options;
+  const series = incidents.slice().sort((a, b) => a.dateTime - b.dateTime);
+  const offenseLinks = linkWeaponOffenses(series, weaponOffenses, options);
+
+  const timeline = series.map(incident => {
+    const weapons = detectWeapons(incident);
+    const linked = offenseLinks.filter(link => String(link.linkedTo) === String(incident._id));
+    linked.forEach(link => {
+      const carried = detectWeapons(link.offense);
+      const level = Math.max(carried.level, 0.5);
+      if (level > weapons.level) {
+        weapons.level = level;
+        weapons.weapon = carried.weapon || 'weapon';
+      }
+      weapons.terms.push(...carried.terms.filter(term => !weapons.terms.includes(term)));
+    });
+
+    return {
+      incidentId: incident._id,
+      dateTime: incident.dateTime,
+      incidentType: incident.type,
+      severity: incident.severity,
+      typeRank: typeRank(incident.type),
+      weapon: weapons.weapon,
+      weaponLevel: weapons.level,
+      weaponTerms: weapons.terms,
+      suspectCount: (incident.suspects || []).length,
+      linkedWeaponOffenses: linked.length,
+      harmScore: harmScore(incident, weapons.level),
+      changes: []
+    };
+  });
+
+  // Step-by-step notes for the timeline
+  timeline.forEach((step, index) => {
+    if (index === 0) return;
+    const previous = timeline[index - 1];
+    if (step.typeRank > previous.typeRank) {
+      step.changes.push(`${label(previous.incidentType)} to ${label(step.incidentType)}`);
+    }
+    if ((SEVERITY_LEVELS[step.severity] || 0) > (SEVERITY_LEVELS[previous.severity] || 0)) {
+      step.changes.push(`severity ${previous.severity} to ${step.severity}`);
+    }
+    if (step.weaponLevel > previous.weaponLevel) {
+      step.changes.push(previous.weapon ? `${previous.weapon} to ${step.weapon}` : `${step.weapon} appears`);
+    }
+    if (step.suspectCount > previous.suspectCount && previous.suspectCount > 0) {
+      step.changes.push(`${step.suspectCount} suspects`);
+    }
+  });
+
+  const harms = timeline.map(step => step.harmScore);
+  const half = Math.floor(timeline.length / 2);
+  const early = timeline.slice(0, half);
+  const late = timeline.slice(timeline.length - half);
+  const rise = mean(late.map(step => step.harmScore)) - mean(early.map(step => step.harmScore));
+  const consistency = monotonicity(harms);
+  const weaponRise = Math.max(0, ...late.map(step => step.weaponLevel)) - Math.max(0, ...early.map(step => step.weaponLevel));
+
+  const factors = [
+    { key: 'rise', label: 'Harm rise, early to late incidents', value: rise, normalized: clamp01(rise / FULL_RISE), weight: SCORE_WEIGHTS.rise },
+    { key: 'consistency', label: 'Consistency of the rise', value: consistency, normalized: clamp01(consistency), weight: SCORE_WEIGHTS.consistency },
+    { key: 'weapon', label: 'Weapon level rise', value: weaponRise, normalized: clamp01(weaponRise), weight: SCORE_WEIGHTS.weapon }
+  ];
+  const score = half > 0 ? clamp01(factors.reduce((sum, factor) => sum + factor.weight * factor.normalized, 0)) : 0;
+
+  let trend = 'stable';
+  if (score >= 0.4 && rise > 0) {
+    trend = 'escalating';
+  } else if (rise <= -0.1 && consistency <= -0.3) {
+    trend = 'de-escalating';
+  }
+
+  const latestHarm = timeline.length > 0 ? timeline[timeline.length - 1].harmScore : 0;
+  let risk = 'low';
+  if (trend === 'escalating' && latestHarm >= 0.7) {
+    risk = 'critical';
+  } else if (trend === 'escalating' && (score >= 0.6 || latestHarm >= 0.5)) {
+    risk = 'high';
+  } else if (trend === 'escalating' || latestHarm >= 0.5) {
+    risk = 'medium';
+  }
+
+  const signals = [];
+  if (timeline.length > 1) {
+    const first = timeline[0];
+    const last = timeline[timeline.length - 1];
+    const worst = timeline.reduce((top, step) => step.typeRank > top.typeRank ? step : top, first);
+    if (worst.typeRank > first.typeRank) {
+      signals.push(`Crime type rose from ${label(first.incidentType)} to ${label(worst.incidentType)}`);
+    }
+    if ((SEVERITY_LEVELS[last.severity] || 0) > (SEVERITY_LEVELS[first.severity] || 0)) {
+      signals.push(`Severity rose from ${first.severity} to ${last.severity}`);
+    }
+    const firstArmed = timeline.find(step => step.weaponLevel > 0);
+    if (weaponRise > 0 && firstArmed) {
+      const armed = timeline.reduce((top, step) => step.weaponLevel > top.weaponLevel ? step : top, firstArmed);
+      signals.push(armed === firstArmed
+        ? `Weapon use began with incident ${timeline.indexOf(firstArmed) + 1} (${firstArmed.weapon})`
+        : `Weapon use rose from ${firstArmed.weapon} to ${armed.weapon}`);
+    }
+    if (last.suspectCount > first.suspectCount && first.suspectCount > 0) {
+      signals.push(`Suspects involved rose from ${first.suspectCount} to ${last.suspectCount}`);
+    }
+  }
+  if (offenseLinks.length > 0) {
+    signals.push(`${offenseLinks.length} linked weapon offense${offenseLinks.length === 1 ? '' : 's'}`);
+  }
+
+  return {
+    trend,
+    score,
+    risk,
+    latestHarm,
+    signals,
+    factors,
+    timeline,
+    weaponOffenses: offenseLinks.map(link => ({
+      incidentId: link.offense._id,
+      dateTime: link.offense.dateTime,
+      linkedTo: link.linkedTo,
+      score: link.score
+    }))
+  };
+};
+
+module.exports = {
+  TYPE_SEVERITY_RANK,
+  ESCALATION_LADDERS,
+  WEAPON_CLASSES,
+  seriesGroupOf,
+  typeRank,
+  detectWeapons,
+  harmScore,
+  linkWeaponOffenses,
+  scoreEscalation
+};
@@ -0,0 +1,246 @@
+const AddressPoint = require('../models/AddressPoint');
+
+/**
+ * Offline Geocoding Service
+ * Resolves free-text addresses to coordinates (and back) without any network
+ * service. Lookups are delegated to pluggable providers tried in order; the
+ * default provider matches against the local gazetteer loaded into the
+ * AddressPoint collection by scripts/load-gazetteer.js.
+ */
+
+// Quality of a geocode, from most to least precise
+const GEOCODE_QUALITY = ['manual', 'exact', 'interpolated', 'street', 'zip', 'district', 'unmatched'];
+
+const STREET_ABBREVIATIONS = {
+  st: 'street', str: 'street', ave: 'avenue', av: 'avenue', rd: 'road',
+  blvd: 'boulevard', dr: 'drive', ln: 'lane', ct: 'court', pl: 'place',
+  sq: 'square', ter: 'terrace', pkwy: 'parkway', hwy: 'highway', cir: 'circle',
+  n: 'north', s: 'south', e: 'east', w: 'west',
+  ne: 'northeast', nw: 'northwest', se: 'southeast', sw: 'southwest'
+};
+
+/**
+ * Provider backed by the AddressPoint gazetteer collection
+ */
+class GazetteerProvider {
+  constructor() {
+    this.name = 'gazetteer';
+  }
+
+  async geocode(parsed, context = {}) {
+    if (parsed.normalizedAddress) {
+      const exact = await AddressPoint.findOne({ normalizedAddress: parsed.normalizedAddress });
+      if (exact) {
+        return this.fromPoint(exact, 'exact');
+      }
+    }
+
+    if (parsed.street && typeof parsed.houseNumber === 'number') {
+      const interpolated = await this.interpolate(parsed.street, parsed.houseNumber);
+      if (interpolated) return interpolated;
+    }
+
+    if (parsed.street) {
+      const streetCenter = await AddressPoint.getCentroid({ street: parsed.street });
+      if (streetCenter) {
+        return { coordinates: [streetCenter.lng, streetCenter.lat], quality: 'street' };
+      }
+    }
+
+    const zipCode = parsed.zipCode || context.zipCode;
+    if (zipCode) {
+      const zipCenter = await AddressPoint.getCentroid({ zipCode });
+      if (zipCenter) {
+        return { coordinates: [zipCenter.lng, zipCenter.lat], quality: 'zip', zipCode };
+      }
+    }
+
+    if (context.district) {
+      const districtCenter = await AddressPoint.getCentroid({
+        district: new RegExp(`^${escapeRegex(context.district)}$`, 'i')
+      });
+      if (districtCenter) {
+        return { coordinates: [districtCenter.lng, districtCenter.lat], quality: 'district' };
+      }
+    }
+
+    return null;
+  }
+
+  // Linear interpolation between the nearest known house numbers on the street
+  async interpolate(street, houseNumber) {
+    const [below] = await AddressPoint.find({ street, houseNumber: { $lte: houseNumber } })
+      .sort({ houseNumber: -1 })
+      .limit(1);
+    const [above] = await AddressPoint.find({ street, houseNumber: { $gte: houseNumber } })
+      .sort({ houseNumber: 1 })
+      .limit(1);
+
+    if (below && above && above.houseNumber !== below.houseNumber) {
+      const ratio = (houseNumber - below.houseNumber) / (above.houseNumber - below.houseNumber);
+      const [lng1, lat1] = below.location.coordinates;
+      const [lng2, lat2] = above.location.coordinates;
+      return {
+        coordinates: [lng1 + (lng2 - lng1) * ratio, lat1 + (lat2 - lat1) * ratio],
+        quality: 'interpolated',
+        district: below.district === above.district ? below.district : undefined,
+        zipCode: below.zipCode === above.zipCode ? below.zipCode : undefined
+      };
+    }
+
+    const nearest = below || above;
+    return nearest ? this.fromPoint(nearest, 'street') : null;
+  }
+
+  async reverseGeocode(coordinates, maxDistanceMeters) {
+    const point = await AddressPoint.findNearest(coordinates, maxDistanceMeters);
+    return point ? this.fromPoint(point, 'exact') : null;
+  }
+
+  fromPoint(point, quality) {
+    return {
+      coordinates: point.location.coordinates,
+      quality,
+      address: point.address,
+      district: point.district,
+      zipCode: point.zipCode
+    };
+  }
+}
+
+class Geocoder {
+  constructor() {
+    this.providers = [];
+  }
+
+  /**
+   * Register a provider. Providers implement geocode(parsed, context) and
+   * optionally reverseGeocode(coordinates, maxDistanceMeters), resolving to
+   * null when they have no match.
+   */
+  use(provider) {
+    this.providers.push(provider);
+    return this;
+  }
+
+  normalizeAddress(address) {
+    return (address || '')
+      .toLowerCase()
+      .replace(/\b(apt|apartment|unit|suite|ste|fl|floor)\b\.?\s*#?\s*[a-z0-9-]+/g, ' ')
+      .replace(/#\s*[a-z0-9-]+/g, ' ')
+      .replace(/[^a-z0-9\s]/g, ' ')
+      .split(/\s+/)
+      .filter(Boolean)
+      .map(token => STREET_ABBREVIATIONS[token] || token)
+      .join(' ');
+  }
+
+  /**
+   * Split an address into house number, street and zip code. Anything after the
+   * first comma other than a zip code (city, state) is ignored.
+   */
+  parseAddress(address) {
+    const text = (address || '').trim();
+    const zipMatch = text.match(/\b(\d{5})(?:-\d{4})?\s*$/);
+    const streetLine = this.normalizeAddress(text.split(',')[0]);
+    const numberMatch = streetLine.match(/^(\d+)[a-z]?\s+(.+)$/);
+
+    return {
+      normalizedAddress: streetLine,
+      houseNumber: numberMatch ? parseInt(numberMatch[1]) : undefined,
+      street: numberMatch ? numberMatch[2] : streetLine,
+      zipCode: zipMatch && text.includes(',') ? zipMatch[1] : undefined
+    };
+  }
+
+  /**
+   * Geocode an address. Context may carry a known district or zip code used as
+   * a coarse fallback. Resolves to { coordinates: [lng, lat], quality, ... }
+   * or null when no provider can place the address.
+   */
+  async geocode(address, context = {}) {
+    const parsed = this.parseAddress(address);
+    if (!parsed.normalizedAddress && !context.district && !context.zipCode) {
+      return null;
+    }
+
+    for (const provider of this.providers) {
+      const result = await provider.geocode(parsed, context);
+      if (result) {
+        return { ...result, provider: provider.name };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Find the nearest known address to [lng, lat] within maxDistanceMeters
+   */
+  async reverseGeocode(coordinates, maxDistanceMeters = 250) {
+    for (const provider of this.providers) {
+      if (typeof provider.reverseGeocode !== 'function') continue;
+      const result = await provider.reverseGeocode(coordinates, maxDistanceMeters);
+      if (result) {
+        return { ...result, provider: provider.name };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Fill in location.coordinates and location.geocodeQuality on an Incident or
+   * Case document before it is saved. Manually entered coordinates are kept and
+   * reverse geocoded to fill a missing address, district or zip code.
+   */
+  async geocodeDocument(doc) {
+    const location = doc.location;
+    if (!location) return;
+
+    const hasCoordinates = Array.isArray(location.coordinates) && location.coordinates.length === 2;
+
+    if (location.geocodeQuality === 'manual') {
+      if (hasCoordinates && (!location.address || !location.district || !location.zipCode)) {
+        const nearest = await this.reverseGeocode(location.coordinates);
+        if (nearest) {
+          location.address = location.address || nearest.address;
+          location.district = location.district || nearest.district;
+          location.zipCode = location.zipCode || nearest.zipCode;
+        }
+      }
+      return;
+    }
+
+    const addressChanged = doc.isNew || doc.isModified('location.address') || doc.isModified('location');
+    if (!addressChanged && hasCoordinates) return;
+
+    const result = await this.geocode(location.address, {
+      district: location.district,
+      zipCode: location.zipCode
+    });
+
+    if (!result) {
+      location.coordinates = undefined;
+      location.geocodeQuality = 'unmatched';
+      location.geocodedAt = new Date();
+      return;
+    }
+
+    location.coordinates = result.coordinates;
+    location.geocodeQuality = result.quality;
+    location.geocodedAt = new Date();
+    location.district = location.district || result.district;
+    location.zipCode = location.zipCode || result.zipCode;
+  }
+}
+
+function escapeRegex(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+const geocoder = new Geocoder();
+geocoder.use(new GazetteerProvider());
+
+module.exports = geocoder;
+module.exports.Geocoder = Geocoder;
+module.exports.GazetteerProvider = GazetteerProvider;
+module.exports.GEOCODE_QUALITY = GEOCODE_QUALITY;
@@ -0,0 +1,208 @@
+/**
+ * Geographic Profiling
+ * Estimates where a serial offender is likely anchored (home, work) from the
+ * locations of a linked crime series. Follows Rossmo's criminal geographic
+ * targeting: each crime site adds a distance-decay score to every cell of a
+ * grid over the hunting area, except inside a buffer zone around the site where
+ * offenders tend not to offend close to home. Cells are ranked by score, so the
+ * search can start from the top-ranked area. The center of minimum distance is
+ * reported alongside as the simpler centrographic estimate.
+ *
+ * Assumes a single anchor point and an offender who travels out from it
+ * (a "marauder"); commuter offenders are not well described.
+ */
+
+const { EARTH_RADIUS_KM } = require('./spatial-clustering');
+
+const KM_PER_DEGREE_LAT = Math.PI * EARTH_RADIUS_KM / 180;
+
+// Rossmo's usual decay exponents outside (f) and inside (g) the buffer zone
+const DEFAULT_DECAY = 1.2;
+
+const toRadians = (degrees) => degrees * Math.PI / 180;
+
+// Local equirectangular projection in kilometres around the points' mean latitude
+const createProjection = (coordinates) => {
+  const meanLat = coordinates.reduce((sum, c) => sum + c.lat, 0) / coordinates.length;
+  const kmPerDegreeLng = KM_PER_DEGREE_LAT * Math.cos(toRadians(meanLat));
+  const origin = {
+    lat: Math.min(...coordinates.map(c => c.lat)),
+    lng: Math.min(...coordinates.map(c => c.lng))
+  };
+
+  return {
+    kmPerDegreeLng,
+    toXY: c => ({ x: (c.lng - origin.lng) * kmPerDegreeLng, y: (c.lat - origin.lat) * KM_PER_DEGREE_LAT }),
+    toLatLng: p => ({ lat: origin.lat + p.y / KM_PER_DEGREE_LAT, lng: origin.lng + p.x / kmPerDegreeLng })
+  };
+};
+
+// Half the mean nearest-neighbour distance between crime sites, Rossmo's usual buffer radius
+const estimateBufferKm = (points) => {
+  if (points.length < 2) return 0;
+
+  const nearest = points.map((point, i) => points.reduce((min, other, j) => {
+    if (i === j) return min;
+    return Math.min(min, Math.abs(point.x - other.x) + Math.abs(point.y - other.y));
+  }, Infinity));
+
+  return nearest.reduce((sum, distance) => sum + distance, 0) / nearest.length / 2;
+};
+
+/**
+ * Center of minimum distance: the point minimising the summed Euclidean
+ * distance to every site (Weiszfeld's algorithm, starting from the mean).
+ */
+const centerOfMinimumDistance = (points, { iterations = 200, toleranceKm = 1e-6 } = {}) => {
+  let current = {
+    x: points.reduce((sum, p) => sum + p.x, 0) / points.length,
+    y: points.reduce((sum, p) => sum + p.y, 0) / points.length
+  };
+
+  for (let i = 0; i < iterations; i++) {
+    let weightSum = 0;
+    let x = 0;
+    let y = 0;
+    for (const point of points) {
+      const distance = Math.hypot(point.x - current.x, point.y - current.y);
+      // Sitting on a site: stop there rather than divide by zero
+      if (distance < toleranceKm) return current;
+      weightSum += 1 / distance;
+      x += point.x / distance;
+      y += point.y / distance;
+    }
+
+    const next = { x: x / weightSum, y: y / weightSum };
+    const moved = Math.hypot(next.x - current.x, next.y - current.y);
+    current = next;
+    if (moved < toleranceKm) break;
+  }
+
+  return current;
+};
+
+// Rossmo score a cell receives from one site at Manhattan distance d
+const rossmoTerm = (distance, bufferKm, f, g) => {
+  if (distance > bufferKm) {
+    return 1 / Math.pow(distance, f);
+  }
+  return Math.pow(bufferKm, g - f) / Math.pow(2 * bufferKm - distance, g);
+};
+
+/**
+ * Build a geographic profile from coordinates [{ lat, lng }].
+ * Options: bufferKm (estimated from the sites when not positive),
+ * decayExponent (f = g), gridSize (cells along the longer side),
+ * searchAreaShare (share of the hunting area in the top-ranked search area).
+ * Returns null when fewer than two distinct sites are given.
+ */
+const buildProfile = (coordinates, options = {}) => {
+  const {
+    decayExponent = DEFAULT_DECAY,
+    gridSize = 60,
+    searchAreaShare = 0.1
+  } = options;
+
+  const distinct = new Set(coordinates.map(c => `${c.lat}:${c.lng}`));
+  if (distinct.size < 2) return null;
+
+  const projection = createProjection(coordinates);
+  const points = coordinates.map(projection.toXY);
+  const bufferKm = options.bufferKm > 0 ? options.bufferKm : estimateBufferKm(points);
+  const f = decayExponent;
+  const g = decayExponent;
+
+  // Hunting area: the sites' bounding box padded by a quarter of its longer side
+  const minX = Math.min(...points.map(p => p.x));
+  const maxX = Math.max(...points.map(p => p.x));
+  const minY = Math.min(...points.map(p => p.y));
+  const maxY = Math.max(...points.map(p => p.y));
+  const pad = Math.max(0.5, (Math.max(maxX - minX, maxY - minY)) / 4);
+  const west = minX - pad;
+  const south = minY - pad;
+  const widthKm = maxX - minX + 2 * pad;
+  const heightKm = maxY - minY + 2 * pad;
+  const cellKm = Math.max(widthKm, heightKm) / gridSize;
+  const cols = Math.max(1, Math.ceil(widthKm / cellKm));
+  const rows = Math.max(1, Math.ceil(heightKm / cellKm));
+
+  const scores = new Float64Array(rows * cols);
+  for (let row = 0; row < rows; row++) {
+    const y = south + (row + 0.5) * cellKm;
+    for (let col = 0; col < cols; col++) {
+      const x = west + (col + 0.5) * cellKm;
+      let score = 0;
+      for (const point of points) {
+        // Keep cell centres that land on a site finite when there is no buffer
+        const distance = Math.max(Math.abs(x - point.x) + Math.abs(y - point.y), cellKm / 2);
+        score += rossmoTerm(distance, bufferKm, f, g);
+      }
+      scores[row * cols + col] = score;
+    }
+  }
+
+  const total = scores.reduce((sum, score) => sum + score, 0);
+  const ranked = Array.from(scores.keys()).sort((a, b) => scores[b] - scores[a]);
+  const maxScore = scores[ranked[0]];
+  const cellLatLng = index => projection.toLatLng({
+    x: west + (index % cols + 0.5) * cellKm,
+    y: south + (Math.floor(index / cols) + 0.5) * cellKm
+  });
+
+  // Top-ranked search area: the highest-scoring cells covering searchAreaShare of the hunting area
+  const searchCells = Math.max(1, Math.round(ranked.length * searchAreaShare));
+  const searchProbability = ranked.slice(0, searchCells).reduce((sum, index) => sum + scores[index], 0) / total;
+
+  const cmd = centerOfMinimumDistance(points);
+  const meanDistanceKm = points.reduce((sum, p) => sum + Math.hypot(p.x - cmd.x, p.y - cmd.y), 0) / points.length;
+  const peak = cellLatLng(ranked[0]);
+  const origin = projection.toLatLng({ x: west, y: south });
+
+  return {
+    method: 'rossmo-cgt',
+    incidentCount: coordinates.length,
+    bufferKm,
+    decayExponent,
+    cellSizeKm: cellKm,
+    huntingAreaKm2: rows * cols * cellKm * cellKm,
+    peak: { ...peak, probability: maxScore / total },
+    centerOfMinimumDistance: { ...projection.toLatLng(cmd), meanDistanceKm },
+    searchArea: {
+      areaShare: searchCells / ranked.length,
+      areaKm2: searchCells * cellKm * cellKm,
+      probability: searchProbability,
+      minIntensity: scores[ranked[searchCells - 1]] / maxScore
+    },
+    // Relative score (0-1 of the peak) of every cell, row by row from the south-west corner
+    surface: {
+      origin,
+      cellSize: { lat: cellKm / KM_PER_DEGREE_LAT, lng: cellKm / projection.kmPerDegreeLng },
+      rows,
+      cols,
+      values: Array.from(scores, score => Math.round(score / maxScore * 1000) / 1000)
+    }
+  };
+};
+
+/**
+ * Hit score: share of the hunting area searched, best cells first, before
+ * reaching the cell holding a known anchor point. Lower is better; used to
+ * check a profile against a solved series.
+ */
+const hitScore = (profile, anchor) => {
+  const { origin, cellSize, rows, cols, values } = profile.surface;
+  const row = Math.floor((anchor.lat - origin.lat) / cellSize.lat);
+  const col = Math.floor((anchor.lng - origin.lng) / cellSize.lng);
+  if (row < 0 || row >= rows || col < 0 || col >= cols) return null;
+
+  const value = values[row * cols + col];
+  return values.filter(other => other >= value).length / values.length;
+};
+
+module.exports = {
+  DEFAULT_DECAY,
+  estimateBufferKm,
+  centerOfMinimumDistance,
+  buildProfile,
+  hitScore
+};
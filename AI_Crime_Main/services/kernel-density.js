@@ -0,0 +1,157 @@
+/**
+ * Kernel Density Estimation
+ * Spreads weighted incident points over a regular grid with a quartic
+ * (biweight) kernel, the usual hotspot surface in crime mapping tools.
+ * Density is expressed in weighted incidents per square kilometre.
+ */
+
+const { EARTH_RADIUS_KM } = require('./spatial-clustering');
+
+const KM_PER_DEGREE_LAT = Math.PI * EARTH_RADIUS_KM / 180;
+
+// Quartic kernel K(d) = 3 / (pi h^2) * (1 - d^2 / h^2)^2 for d < h
+const quarticKernel = (distanceSquared, bandwidthKm) => {
+  const ratio = distanceSquared / (bandwidthKm * bandwidthKm);
+  if (ratio >= 1) return 0;
+  return 3 / (Math.PI * bandwidthKm * bandwidthKm) * (1 - ratio) * (1 - ratio);
+};
+
+/**
+ * Estimate a density surface from points [{ lat, lng, weight }].
+ * The grid covers the points padded by one bandwidth on every side; when it
+ * would exceed maxCells the cell size is enlarged to fit.
+ * Returns null when there are no points.
+ */
+const estimateDensity = (points, { cellSizeKm, bandwidthKm, maxCells = 40000 }) => {
+  if (points.length === 0) return null;
+
+  const lats = points.map(point => point.lat);
+  const lngs = points.map(point => point.lng);
+  const meanLat = lats.reduce((sum, lat) => sum + lat, 0) / lats.length;
+
+  // Local equirectangular projection, accurate at city scale
+  const kmPerDegreeLng = KM_PER_DEGREE_LAT * Math.cos(meanLat * Math.PI / 180);
+  const padLat = bandwidthKm / KM_PER_DEGREE_LAT;
+  const padLng = bandwidthKm / kmPerDegreeLng;
+  const south = lats.reduce((min, lat) => Math.min(min, lat), Infinity) - padLat;
+  const west = lngs.reduce((min, lng) => Math.min(min, lng), Infinity) - padLng;
+  const north = lats.reduce((max, lat) => Math.max(max, lat), -Infinity) + padLat;
+  const east = lngs.reduce((max, lng) => Math.max(max, lng), -Infinity) + padLng;
+  const heightKm = (north - south) * KM_PER_DEGREE_LAT;
+  const widthKm = (east - west) * kmPerDegreeLng;
+
+  let cellKm = cellSizeKm;
+  if ((heightKm / cellKm) * (widthKm / cellKm) > maxCells) {
+    cellKm = Math.sqrt(heightKm * widthKm / maxCells);
+  }
+
+  const rows = Math.max(1, Math.ceil(heightKm / cellKm));
+  const cols = Math.max(1, Math.ceil(widthKm / cellKm));
+  const grid = new Float64Array(rows * cols);
+  const reach = Math.ceil(bandwidthKm / cellKm);
+
+  // Each point only touches the cells within one bandwidth of it
+  points.forEach(point => {
+    const x = (point.lng - west) * kmPerDegreeLng;
+    const y = (point.lat - south) * KM_PER_DEGREE_LAT;
+    const pointCol = Math.floor(x / cellKm);
+    const pointRow = Math.floor(y / cellKm);
+    const weight = point.weight === undefined ? 1 : point.weight;
+
+    for (let row = Math.max(0, pointRow - reach); row <= Math.min(rows - 1, pointRow + reach); row++) {
+      const dy = (row + 0.5) * cellKm - y;
+      for (let col = Math.max(0, pointCol - reach); col <= Math.min(cols - 1, pointCol + reach); col++) {
+        const dx = (col + 0.5) * cellKm - x;
+        const value = quarticKernel(dx * dx + dy * dy, bandwidthKm);
+        if (value > 0) {
+          grid[row * cols + col] += weight * value;
+        }
+      }
+    }
+  });
+
+  const cellLat = cellKm / KM_PER_DEGREE_LAT;
+  const cellLng = cellKm / kmPerDegreeLng;
+  const cells = [];
+  let maxDensity = 0;
+
+  for (let row = 0; row < rows; row++) {
+    for (let col = 0; col < cols; col++) {
+      const density = grid[row * cols + col];
+      if (density <= 0) continue;
+      maxDensity = Math.max(maxDensity, density);
+      cells.push({
+        row,
+        col,
+        center: {
+          lat: south + (row + 0.5) * cellLat,
+          lng: west + (col + 0.5) * cellLng
+        },
+        bounds: {
+          south: south + row * cellLat,
+          west: west + col * cellLng,
+          north: south + (row + 1) * cellLat,
+          east: west + (col + 1) * cellLng
+        },
+        density
+      });
+    }
+  }
+
+  return {
+    rows,
+    cols,
+    cellSizeKm: cellKm,
+    bandwidthKm,
+    origin: { lat: south, lng: west },
+    cellSize: { lat: cellLat, lng: cellLng },
+    totalWeight: points.reduce((sum, point) => sum + (point.weight === undefined ? 1 : point.weight), 0),
+    maxDensity,
+    cells
+  };
+};
+
+/**
+ * Convert a surface into a GeoJSON FeatureCollection of cell polygons. Cells
+ * below minRelativeDensity of the peak are dropped to keep the payload small.
+ */
+const toGeoJSON = (surface, { minRelativeDensity = 0 } = {}) => {
+  const features = surface.cells
+    .filter(cell => surface.maxDensity > 0 && cell.density / surface.maxDensity >= minRelativeDensity)
+    .map(cell => ({
+      type: 'Feature',
+      geometry: {
+        type: 'Polygon',
+        coordinates: [[
+          [cell.bounds.west, cell.bounds.south],
+          [cell.bounds.east, cell.bounds.south],
+          [cell.bounds.east, cell.bounds.north],
+          [cell.bounds.west, cell.bounds.north],
+          [cell.bounds.west, cell.bounds.south]
+        ]]
+      },
+      properties: {
+        row: cell.row,
+        col: cell.col,
+        density: cell.density,
+        intensity: cell.density / surface.maxDensity
+      }
+    }));
+
+  return {
+    type: 'FeatureCollection',
+    features,
+    properties: {
+      cellSizeKm: surface.cellSizeKm,
+      bandwidthKm: surface.bandwidthKm,
+      maxDensity: surface.maxDensity,
+      totalWeight: surface.totalWeight
+    }
+  };
+};
+
+module.exports = {
+  quarticKernel,
+  estimateDensity,
+  toGeoJSON
+};
@@ -0,0 +1,148 @@
+/**
+ * Near-Repeat Analysis
+ * Knox test for space-time interaction between incidents, in the style of the
+ * Near Repeat Calculator: incident pairs are counted into distance x time
+ * bands and compared with the counts expected when dates are shuffled across
+ * locations (Monte Carlo permutation).
+ */
+
+const { haversineDistance } = require('./spatial-clustering');
+const { DAY_MS } = require('./trend-analysis');
+
+// Small seeded PRNG (mulberry32) so repeated runs over the same data agree
+const seededRandom = (seed) => () => {
+  seed |= 0;
+  seed = seed + 0x6D2B79F5 | 0;
+  let t = Math.imul(seed ^ seed >>> 15, 1 | seed);
+  t = t + Math.imul(t ^ t >>> 7, 61 | t) ^ t;
+  return ((t ^ t >>> 14) >>> 0) / 4294967296;
+};
+
+// Index of the first band whose upper bound covers value, or -1 when beyond all bands
+const bandIndex = (value, bounds) => {
+  for (let i = 0; i < bounds.length; i++) {
+    if (value <= bounds[i]) return i;
+  }
+  return -1;
+};
+
+/**
+ * Run the Knox test over events [{ lat, lng, time }] (time in ms).
+ * spatialBandsKm and temporalBandsDays are ascending upper bounds; the first
+ * band starts at zero, so a 0 km first band isolates repeats at the same spot.
+ * Pairs beyond the last band in either dimension are not counted.
+ */
+const knoxTest = (events, {
+  spatialBandsKm = [0.1, 0.2, 0.4, 0.8],
+  temporalBandsDays = [7, 14, 21, 28],
+  iterations = 99,
+  seed = 1
+} = {}) => {
+  const spatialCount = spatialBandsKm.length;
+  const temporalCount = temporalBandsDays.length;
+  const cellCount = spatialCount * temporalCount;
+  const maxDistance = spatialBandsKm[spatialCount - 1];
+
+  // Distances never change under permutation, so keep only close pairs once
+  const pairI = [];
+  const pairJ = [];
+  const pairBand = [];
+  for (let i = 0; i < events.length; i++) {
+    for (let j = i + 1; j < events.length; j++) {
+      const distance = haversineDistance(events[i], events[j]);
+      if (distance > maxDistance) continue;
+      pairI.push(i);
+      pairJ.push(j);
+      pairBand.push(bandIndex(distance, spatialBandsKm));
+    }
+  }
+
+  const countPairs = (times) => {
+    const counts = new Array(cellCount).fill(0);
+    for (let k = 0; k < pairI.length; k++) {
+      const days = Math.abs(times[pairI[k]] - times[pairJ[k]]) / DAY_MS;
+      const temporal = bandIndex(days, temporalBandsDays);
+      if (temporal >= 0) {
+        counts[pairBand[k] * temporalCount + temporal]++;
+      }
+    }
+    return counts;
+  };
+
+  const times = events.map(event => event.time);
+  const observed = countPairs(times);
+  const simulatedTotal = new Array(cellCount).fill(0);
+  const atLeastObserved = new Array(cellCount).fill(0);
+  const random = seededRandom(seed);
+  const shuffled = times.slice();
+
+  for (let iteration = 0; iteration < iterations; iteration++) {
+    for (let i = shuffled.length - 1; i > 0; i--) {
+      const j = Math.floor(random() * (i + 1));
+      [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+    }
+    const simulated = countPairs(shuffled);
+    for (let cell = 0; cell < cellCount; cell++) {
+      simulatedTotal[cell] += simulated[cell];
+      if (simulated[cell] >= observed[cell]) atLeastObserved[cell]++;
+    }
+  }
+
+  const bands = [];
+  for (let s = 0; s < spatialCount; s++) {
+    for (let t = 0; t < temporalCount; t++) {
+      const cell = s * temporalCount + t;
+      const expected = simulatedTotal[cell] / iterations;
+      bands.push({
+        spatialBand: { minKm: s === 0 ? 0 : spatialBandsKm[s - 1], maxKm: spatialBandsKm[s] },
+        temporalBand: { minDays: t === 0 ? 0 : temporalBandsDays[t - 1], maxDays: temporalBandsDays[t] },
+        observed: observed[cell],
+        expected,
+        ratio: expected > 0 ? observed[cell] / expected : null,
+        pValue: (atLeastObserved[cell] + 1) / (iterations + 1)
+      });
+    }
+  }
+
+  return {
+    eventCount: events.length,
+    pairCount: pairI.length,
+    iterations,
+    spatialBandsKm,
+    temporalBandsDays,
+    bands
+  };
+};
+
+/**
+ * Distance and time over which risk is elevated: the furthest contiguous
+ * significant band along each axis from the closest, soonest cell.
+ * Returns null when the closest, soonest cell is not itself significant.
+ */
+const findNearRepeatExtent = (result, { significanceLevel = 0.05, minRatio = 1.2 } = {}) => {
+  const temporalCount = result.temporalBandsDays.length;
+  const isElevated = (s, t) => {
+    const band = result.bands[s * temporalCount + t];
+    return band.pValue <= significanceLevel && band.ratio !== null && band.ratio >= minRatio;
+  };
+
+  if (!isElevated(0, 0)) return null;
+
+  let s = 0;
+  while (s + 1 < result.spatialBandsKm.length && isElevated(s + 1, 0)) s++;
+  let t = 0;
+  while (t + 1 < temporalCount && isElevated(0, t + 1)) t++;
+
+  return {
+    distanceKm: result.spatialBandsKm[s],
+    days: result.temporalBandsDays[t],
+    ratio: result.bands[0].ratio,
+    pValue: result.bands[0].pValue
+  };
+};
+
+module.exports = {
+  seededRandom,
+  knoxTest,
+  findNearRepeatExtent
+};
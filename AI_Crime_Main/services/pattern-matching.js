@@ -0,0 +1,122 @@
+/**
+ * Pattern Matching
+ * Decides whether two CrimePattern documents describe the same underlying
+ * pattern: same detector algorithm and patternType plus either overlapping
+ * incidents or overlapping location clusters. Used to update patterns in
+ * place when a run re-detects them and to compare scheduled runs.
+ */
+
+const { haversineDistance } = require('./spatial-clustering');
+
+// Share of incidents two patterns must have in common to count as the same
+const MIN_INCIDENT_JACCARD = 0.3;
+// Small clusters are treated as at least this wide when testing overlap
+const MIN_OVERLAP_RADIUS_KM = 0.25;
+
+const incidentIds = (pattern) => new Set((pattern.incidents || [])
+  .map(incident => (incident.incidentId && incident.incidentId._id ? incident.incidentId._id : incident.incidentId))
+  .filter(Boolean)
+  .map(id => id.toString()));
+
+// Jaccard similarity of the two patterns' incident sets (0 when either is empty)
+const incidentJaccard = (a, b) => {
+  const setA = incidentIds(a);
+  const setB = incidentIds(b);
+  if (setA.size === 0 || setB.size === 0) return 0;
+
+  let shared = 0;
+  setA.forEach(id => {
+    if (setB.has(id)) shared++;
+  });
+  return shared / (setA.size + setB.size - shared);
+};
+
+// True when the location cluster circles of both patterns intersect
+const clustersOverlap = (a, b) => {
+  const clusterA = a.locationCluster;
+  const clusterB = b.locationCluster;
+  if (!clusterA || !clusterB || !clusterA.center || !clusterB.center ||
+      clusterA.center.length !== 2 || clusterB.center.length !== 2) {
+    return false;
+  }
+
+  const distance = haversineDistance(
+    { lat: clusterA.center[1], lng: clusterA.center[0] },
+    { lat: clusterB.center[1], lng: clusterB.center[0] }
+  );
+  const radiusA = Math.max(clusterA.radiusKm || 0, MIN_OVERLAP_RADIUS_KM);
+  const radiusB = Math.max(clusterB.radiusKm || 0, MIN_OVERLAP_RADIUS_KM);
+  return distance <= radiusA + radiusB;
+};
+
+const algorithmOf = (pattern) => (pattern.analysisMetadata ? pattern.analysisMetadata.algorithm : null);
+
+const hasLocation = (pattern) => Boolean(pattern.locationCluster &&
+  pattern.locationCluster.center && pattern.locationCluster.center.length === 2);
+
+/**
+ * Similarity score in [0, 2] for two patterns from the same algorithm, or 0
+ * when they should not be considered the same pattern.
+ */
+const matchScore = (a, b) => {
+  if (algorithmOf(a) !== algorithmOf(b) || a.patternType !== b.patternType) return 0;
+
+  const jaccard = incidentJaccard(a, b);
+  const overlap = clustersOverlap(a, b);
+
+  if (jaccard >= MIN_INCIDENT_JACCARD || overlap) {
+    return jaccard + (overlap ? 1 : 0);
+  }
+
+  // Purely temporal patterns have no location; fall back to the generated name
+  if (!hasLocation(a) && !hasLocation(b) && a.patternName === b.patternName) {
+    return 0.5;
+  }
+
+  return 0;
+};
+
+/**
+ * Compare the patterns of two runs. Each current pattern is paired with its
+ * best-scoring unmatched previous pattern. Returns { appeared, disappeared,
+ * continuing: [{ previous, current, score }] }.
+ */
+const diffPatternSets = (previous, current) => {
+  const candidates = [];
+  current.forEach((currentPattern, currentIndex) => {
+    previous.forEach((previousPattern, previousIndex) => {
+      const score = matchScore(previousPattern, currentPattern);
+      if (score > 0) {
+        candidates.push({ currentIndex, previousIndex, score });
+      }
+    });
+  });
+  candidates.sort((a, b) => b.score - a.score);
+
+  const matchedCurrent = new Set();
+  const matchedPrevious = new Set();
+  const continuing = [];
+  candidates.forEach(candidate => {
+    if (matchedCurrent.has(candidate.currentIndex) || matchedPrevious.has(candidate.previousIndex)) return;
+    matchedCurrent.add(candidate.currentIndex);
+    matchedPrevious.add(candidate.previousIndex);
+    continuing.push({
+      previous: previous[candidate.previousIndex],
+      current: current[candidate.currentIndex],
+      score: candidate.score
+    });
+  });
+
+  return {
+    appeared: current.filter((pattern, i) => !matchedCurrent.has(i)),
+    disappeared: previous.filter((pattern, i) => !matchedPrevious.has(i)),
+    continuing
+  };
+};
+
+module.exports = {
+  incidentJaccard,
+  clustersOverlap,
+  matchScore,
+  diffPatternSets
+};
@@ -0,0 +1,234 @@
+const Place = require('../models/Place');
+const Victim = require('../models/Victim');
+const geocoder = require('./geocoder');
+
+/**
+ * Repeat Victimization
+ * Links incidents to canonical places and victims, and summarizes how often
+ * the same place or person is victimized again and how soon. A place is the
+ * normalized street address when it has a house number, qualified by its zip
+ * code or district so the same street line in two towns stays two places,
+ * otherwise the incident's coordinates snapped to about 10 m when they were
+ * geocoded precisely; street, zip and district centroids are never treated as
+ * places.
+ * Victims are matched on their normalized name plus a date of birth, phone
+ * number or email address, so a name alone never links two reports.
+ */
+
+// Geocode qualities precise enough to identify a place by its coordinates
+const PRECISE_QUALITIES = ['manual', 'exact', 'interpolated'];
+
+// Buckets for the time from one incident to the next at the same place or victim
+const REPEAT_INTERVALS = [
+  { label: 'Same day', maxDays: 1 },
+  { label: 'Within a week', maxDays: 7 },
+  { label: 'Within a month', maxDays: 30 },
+  { label: 'Within 3 months', maxDays: 91 },
+  { label: 'Within a year', maxDays: 365 },
+  { label: 'Over a year', maxDays: Infinity }
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Zip code or district that tells apart the same street line in different
+// towns, e.g. "zip:62704" or "district:north side"
+const addressArea = (location, parsed) => {
+  const zip = String(parsed.zipCode || location.zipCode || '').match(/\d{5}/);
+  if (zip) return `zip:${zip[0]}`;
+
+  const district = (location.district || '').trim().toLowerCase().replace(/\s+/g, ' ');
+  return district ? `district:${district}` : null;
+};
+
+/**
+ * Canonical key and stored details of an incident location, or null when the
+ * location is too vague to be a place. A street address with neither a zip
+ * code nor a district falls back to precise coordinates.
+ */
+const placeFor = (location) => {
+  if (!location) return null;
+
+  const coordinates = Array.isArray(location.coordinates) && location.coordinates.length === 2
+    ? location.coordinates
+    : null;
+  const parsed = geocoder.parseAddress(location.address);
+  const details = {
+    address: location.address,
+    district: location.district,
+    zipCode: location.zipCode || parsed.zipCode
+  };
+  if (coordinates) {
+    details.location = { type: 'Point', coordinates };
+  }
+
+  const area = addressArea(location, parsed);
+  if (parsed.normalizedAddress && typeof parsed.houseNumber === 'number' && area) {
+    return {
+      key: `address:${parsed.normalizedAddress}|${area}`,
+      details: { ...details, normalizedAddress: parsed.normalizedAddress }
+    };
+  }
+
+  if (coordinates && PRECISE_QUALITIES.includes(location.geocodeQuality)) {
+    return { key: `point:${coordinates[1].toFixed(4)},${coordinates[0].toFixed(4)}`, details };
+  }
+
+  return null;
+};
+
+const normalizeName = (name) => (name || '')
+  .toLowerCase()
+  .replace(/[^a-z0-9\s]/g, ' ')
+  .split(/\s+/)
+  .filter(Boolean)
+  .join(' ');
+
+// Digits only; numbers too short to identify anyone are dropped
+const normalizePhone = (phone) => {
+  const digits = (phone || '').replace(/\D/g, '');
+  return digits.length >= 7 ? digits : null;
+};
+
+const normalizeEmail = (email) => {
+  const value = (email || '').trim().toLowerCase();
+  return value.includes('@') ? value : null;
+};
+
+// Match an incident victim to a known Victim, creating one when it carries an identifier
+const linkVictim = async (victim) => {
+  const normalizedName = normalizeName(victim.name);
+  const contact = victim.contact || {};
+  const identifiers = {
+    dateOfBirth: victim.dateOfBirth || null,
+    phone: normalizePhone(contact.phone),
+    email: normalizeEmail(contact.email)
+  };
+  if (!normalizedName || (!identifiers.dateOfBirth && !identifiers.phone && !identifiers.email)) {
+    return null;
+  }
+
+  const existing = await Victim.findMatch(normalizedName, identifiers);
+  if (!existing) {
+    const created = await Victim.create({
+      name: victim.name,
+      normalizedName,
+      dateOfBirth: identifiers.dateOfBirth || undefined,
+      phones: identifiers.phone ? [identifiers.phone] : [],
+      emails: identifiers.email ? [identifiers.email] : []
+    });
+    return created._id;
+  }
+
+  // Remember new identifiers so later reports can match on them too
+  const additions = {};
+  if (identifiers.phone) additions.phones = identifiers.phone;
+  if (identifiers.email) additions.emails = identifiers.email;
+  const update = Object.keys(additions).length > 0 ? { $addToSet: additions } : {};
+  if (identifiers.dateOfBirth && !existing.dateOfBirth) update.$set = { dateOfBirth: identifiers.dateOfBirth };
+  if (Object.keys(update).length > 0) {
+    await Victim.updateOne({ _id: existing._id }, update);
+  }
+  return existing._id;
+};
+
+/**
+ * Set placeId and each victim's victimId on an Incident document before it
+ * is saved. Run after geocoding so precise coordinates can identify a place.
+ */
+const linkIncident = async (doc) => {
+  const place = placeFor(doc.location);
+  doc.placeId = place ? (await Place.findOrCreateByKey(place.key, place.details))._id : null;
+
+  for (const victim of doc.victims || []) {
+    victim.victimId = await linkVictim(victim);
+  }
+};
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+/**
+ * Summarize repeats over incidents [{ _id, dateTime, incidentType, ... }].
+ * idsOf returns the place or victim ids an incident belongs to.
+ * Returns the number of places/victims seen and repeated, the share of
+ * incidents that were repeats, the distribution of time between repeats
+ * and the `limit` most repeated places/victims.
+ */
+const summarizeRepeats = (incidents, idsOf, { limit = 25 } = {}) => {
+  const groups = new Map();
+  incidents.forEach(incident => {
+    new Set(idsOf(incident).filter(Boolean).map(String)).forEach(id => {
+      if (!groups.has(id)) groups.set(id, []);
+      groups.get(id).push(incident);
+    });
+  });
+
+  const intervals = REPEAT_INTERVALS.map(interval => ({ ...interval, count: 0 }));
+  const repeated = [];
+  let linkedIncidents = 0;
+  let repeatIncidents = 0;
+
+  groups.forEach((group, id) => {
+    linkedIncidents += group.length;
+    if (group.length < 2) return;
+
+    group.sort((a, b) => new Date(a.dateTime) - new Date(b.dateTime));
+    const gaps = group.slice(1).map((incident, i) => (new Date(incident.dateTime) - new Date(group[i].dateTime)) / DAY_MS);
+    gaps.forEach(days => {
+      intervals.find(interval => days < interval.maxDays).count++;
+    });
+    repeatIncidents += gaps.length;
+
+    const crimeTypes = {};
+    group.forEach(incident => {
+      crimeTypes[incident.incidentType] = (crimeTypes[incident.incidentType] || 0) + 1;
+    });
+
+    repeated.push({
+      id,
+      count: group.length,
+      firstAt: new Date(group[0].dateTime),
+      lastAt: new Date(group[group.length - 1].dateTime),
+      medianDaysBetween: median(gaps),
+      minDaysBetween: Math.min(...gaps),
+      crimeTypes: Object.entries(crimeTypes)
+        .map(([type, count]) => ({ type, count }))
+        .sort((a, b) => b.count - a.count),
+      incidents: group.map(incident => ({
+        _id: incident._id,
+        incidentNumber: incident.incidentNumber,
+        title: incident.title,
+        incidentType: incident.incidentType,
+        dateTime: incident.dateTime
+      })).reverse()
+    });
+  });
+
+  repeated.sort((a, b) => b.count - a.count || b.lastAt - a.lastAt);
+
+  return {
+    total: groups.size,
+    repeatedCount: repeated.length,
+    linkedIncidents,
+    repeatIncidents,
+    repeatShare: linkedIncidents > 0 ? repeatIncidents / linkedIncidents : 0,
+    intervals: intervals.map(interval => ({
+      label: interval.label,
+      count: interval.count,
+      share: repeatIncidents > 0 ? interval.count / repeatIncidents : 0
+    })),
+    top: repeated.slice(0, limit)
+  };
+};
+
+module.exports = {
+  PRECISE_QUALITIES,
+  REPEAT_INTERVALS,
+  placeFor,
+  normalizeName,
+  linkIncident,
+  summarizeRepeats
+};
@@ -0,0 +1,453 @@
+/**
+ * Risk Terrain Modeling
+ * Tests which features of the environment (bars, ATMs, transit stops, vacant
+ * lots...) make crime more likely nearby, in the style of Caplan and Kennedy's
+ * RTM. The study area is divided into block-sized cells. Each layer's spatial
+ * influence is operationalised as proximity (a cell within d of a feature) or
+ * density (a cell with unusually many features within d) at several distances.
+ * For each layer, the operationalisation most strongly associated with crime
+ * is chosen by a likelihood-ratio test. The chosen factors then enter a
+ * quasi-Poisson regression of incident counts per cell. Backward elimination
+ * keeps the factors that raise risk significantly.
+ *
+ * Each kept factor's relative risk value is exp(coefficient). A cell's
+ * relative risk score is the product of the values of the factors present in
+ * it, so 1 means no risk factors and 6 means six times the incidents expected
+ * there.
+ */
+
+const { EARTH_RADIUS_KM } = require('./spatial-clustering');
+const { normalCdf, fitPoisson } = require('./trend-analysis');
+const { readCsv } = require('./csv');
+
+const KM_PER_DEGREE_LAT = Math.PI * EARTH_RADIUS_KM / 180;
+
+const CSV_COLUMNS = {
+  name: ['name', 'label', 'title', 'address'],
+  lat: ['lat', 'latitude', 'y'],
+  lng: ['lng', 'lon', 'long', 'longitude', 'x']
+};
+
+// Two-sided p-value of a z statistic, and of a 1-degree-of-freedom chi-square
+const pValueOfZ = (z) => 2 * (1 - normalCdf(Math.abs(z)));
+const pValueOfChiSquare1 = (statistic) => pValueOfZ(Math.sqrt(Math.max(0, statistic)));
+
+const isValidPoint = (lat, lng) => isFinite(lat) && isFinite(lng) && Math.abs(lat) <= 90 && Math.abs(lng) <= 180;
+
+// Every [lng, lat] position in a GeoJSON geometry
+const positionsOf = (geometry) => {
+  const flatten = coordinates => typeof coordinates[0] === 'number' ? [coordinates] : coordinates.flatMap(flatten);
+  return geometry && Array.isArray(geometry.coordinates) ? flatten(geometry.coordinates) : [];
+};
+
+/**
+ * Read an uploaded layer file. GeoJSON FeatureCollections may hold any
+ * geometry: points are kept (each point of a MultiPoint separately), other
+ * shapes become the centroid of their vertices. CSV files need latitude and
+ * longitude columns and may name each feature.
+ * Returns { features: [{ name, location }], skipped }
+ */
+const parseLayer = (content, format) => {
+  const records = [];
+  let skipped = 0;
+
+  if (format === 'geojson') {
+    const collection = typeof content === 'string' ? JSON.parse(content) : content;
+    if (!collection || collection.type !== 'FeatureCollection' || !Array.isArray(collection.features)) {
+      throw new Error('GeoJSON must be a FeatureCollection');
+    }
+
+    collection.features.forEach(feature => {
+      const geometry = feature && feature.geometry;
+      const props = (feature && feature.properties) || {};
+      const name = props.name || props.NAME || props.label || props.title || undefined;
+      const positions = positionsOf(geometry);
+      if (positions.length === 0) {
+        skipped++;
+      } else if (geometry.type === 'Point' || geometry.type === 'MultiPoint') {
+        positions.forEach(([lng, lat]) => records.push({ name, lat, lng }));
+      } else {
+        records.push({
+          name,
+          lng: positions.reduce((sum, position) => sum + position[0], 0) / positions.length,
+          lat: positions.reduce((sum, position) => sum + position[1], 0) / positions.length
+        });
+      }
+    });
+  } else {
+    const { columns, rows } = readCsv(content, CSV_COLUMNS);
+    if (columns.lat < 0 || columns.lng < 0) {
+      throw new Error('CSV must have latitude and longitude columns');
+    }
+    rows.forEach(values => records.push({
+      name: columns.name >= 0 ? values[columns.name] : undefined,
+      lat: parseFloat(values[columns.lat]),
+      lng: parseFloat(values[columns.lng])
+    }));
+  }
+
+  const features = [];
+  records.forEach(record => {
+    if (!isValidPoint(record.lat, record.lng)) {
+      skipped++;
+      return;
+    }
+    features.push({
+      name: record.name ? String(record.name).substring(0, 200) : undefined,
+      location: { type: 'Point', coordinates: [record.lng, record.lat] }
+    });
+  });
+
+  return { features, skipped };
+};
+
+// Grid of cellSizeKm cells over the points, padded by padKm, enlarged to stay within maxCells
+const buildGrid = (points, { cellSizeKm, padKm, maxCells }) => {
+  const meanLat = points.reduce((sum, point) => sum + point.lat, 0) / points.length;
+  const kmPerDegreeLng = KM_PER_DEGREE_LAT * Math.cos(meanLat * Math.PI / 180);
+  const south = points.reduce((min, point) => Math.min(min, point.lat), Infinity) - padKm / KM_PER_DEGREE_LAT;
+  const west = points.reduce((min, point) => Math.min(min, point.lng), Infinity) - padKm / kmPerDegreeLng;
+  const north = points.reduce((max, point) => Math.max(max, point.lat), -Infinity);
+  const east = points.reduce((max, point) => Math.max(max, point.lng), -Infinity);
+  const heightKm = (north - south) * KM_PER_DEGREE_LAT + padKm;
+  const widthKm = (east - west) * kmPerDegreeLng + padKm;
+
+  let cellKm = cellSizeKm;
+  if ((heightKm / cellKm) * (widthKm / cellKm) > maxCells) {
+    cellKm = Math.sqrt(heightKm * widthKm / maxCells);
+  }
+
+  const rows = Math.max(1, Math.ceil(heightKm / cellKm));
+  const cols = Math.max(1, Math.ceil(widthKm / cellKm));
+  return {
+    rows,
+    cols,
+    cellKm,
+    origin: { lat: south, lng: west },
+    cellSize: { lat: cellKm / KM_PER_DEGREE_LAT, lng: cellKm / kmPerDegreeLng },
+    toXY: point => ({ x: (point.lng - west) * kmPerDegreeLng, y: (point.lat - south) * KM_PER_DEGREE_LAT }),
+    cellOf(point) {
+      const { x, y } = this.toXY(point);
+      const row = Math.floor(y / cellKm);
+      const col = Math.floor(x / cellKm);
+      return row >= 0 && row < rows && col >= 0 && col < cols ? row * cols + col : -1;
+    }
+  };
+};
+
+// Features within each distance of every cell centre: one count array per distance
+const countFeaturesNear = (grid, features, distancesKm) => {
+  const counts = distancesKm.map(() => new Int32Array(grid.rows * grid.cols));
+  const maxDistance = Math.max(...distancesKm);
+  const reach = Math.ceil(maxDistance / grid.cellKm);
+
+  features.forEach(feature => {
+    const { x, y } = grid.toXY(feature);
+    const featureRow = Math.floor(y / grid.cellKm);
+    const featureCol = Math.floor(x / grid.cellKm);
+
+    for (let row = Math.max(0, featureRow - reach); row <= Math.min(grid.rows - 1, featureRow + reach); row++) {
+      const dy = (row + 0.5) * grid.cellKm - y;
+      for (let col = Math.max(0, featureCol - reach); col <= Math.min(grid.cols - 1, featureCol + reach); col++) {
+        const dx = (col + 0.5) * grid.cellKm - x;
+        const distance = Math.sqrt(dx * dx + dy * dy);
+        distancesKm.forEach((limit, index) => {
+          if (distance <= limit) counts[index][row * grid.cols + col]++;
+        });
+      }
+    }
+  });
+
+  return counts;
+};
+
+/**
+ * Binary risk factors for one layer: proximity and density at each distance.
+ * Density marks cells whose feature count is at least two standard deviations
+ * above the mean (and at least two features).
+ */
+const operationalize = (counts, distancesKm) => {
+  const factors = [];
+  counts.forEach((cellCounts, index) => {
+    const n = cellCounts.length;
+    const mean = cellCounts.reduce((sum, count) => sum + count, 0) / n;
+    const sd = Math.sqrt(cellCounts.reduce((sum, count) => sum + (count - mean) ** 2, 0) / n);
+    const densityThreshold = Math.max(2, mean + 2 * sd);
+
+    factors.push({
+      operationalization: 'proximity',
+      distanceKm: distancesKm[index],
+      present: Uint8Array.from(cellCounts, count => count > 0 ? 1 : 0)
+    });
+    factors.push({
+      operationalization: 'density',
+      distanceKm: distancesKm[index],
+      present: Uint8Array.from(cellCounts, count => count >= densityThreshold ? 1 : 0)
+    });
+  });
+  return factors;
+};
+
+/**
+ * Likelihood-ratio test of one binary factor against incident counts: Poisson
+ * rates inside and outside the factor's cells. Returns null when the factor
+ * covers no cells or every cell.
+ */
+const testFactor = (present, counts) => {
+  let cellsIn = 0, incidentsIn = 0, incidentsOut = 0;
+  for (let i = 0; i < counts.length; i++) {
+    if (present[i]) {
+      cellsIn++;
+      incidentsIn += counts[i];
+    } else {
+      incidentsOut += counts[i];
+    }
+  }
+  const cellsOut = counts.length - cellsIn;
+  if (cellsIn === 0 || cellsOut === 0) return null;
+
+  const total = incidentsIn + incidentsOut;
+  const logLik = (incidents, cells) => incidents > 0 ? incidents * Math.log(incidents / cells) - incidents : 0;
+  const statistic = 2 * (logLik(incidentsIn, cellsIn) + logLik(incidentsOut, cellsOut) - logLik(total, counts.length));
+
+  // Half an incident added to each side keeps the ratio finite when one side is empty
+  const relativeRisk = ((incidentsIn + 0.5) / cellsIn) / ((incidentsOut + 0.5) / cellsOut);
+
+  return {
+    cellsPresent: cellsIn,
+    incidentsPresent: incidentsIn,
+    relativeRisk,
+    statistic,
+    pValue: pValueOfChiSquare1(statistic)
+  };
+};
+
+/**
+ * Fit a risk terrain model.
+ * incidents: [{ lat, lng, type }] located incidents of every type; the model
+ * is fitted to crimeType (all types when null), and each layer's best
+ * univariate influence is also reported per crime type with at least
+ * minTypeIncidents incidents.
+ * layers: [{ id, name, category, features: [{ lat, lng }] }]
+ * Returns null when fewer than minIncidents incidents are located.
+ */
+const fitModel = (incidents, layers, options = {}) => {
+  const {
+    crimeType = null,
+    cellSizeKm = 0.1,
+    distancesKm = [0.1, 0.2, 0.3],
+    maxCells = 40000,
+    significanceLevel = 0.05,
+    minIncidents = 10,
+    minTypeIncidents = 10
+  } = options;
+
+  const modeled = crimeType ? incidents.filter(incident => incident.type === crimeType) : incidents;
+  if (modeled.length < minIncidents || layers.length === 0) return null;
+
+  const grid = buildGrid(incidents, { cellSizeKm, padKm: Math.max(...distancesKm), maxCells });
+  const cellCount = grid.rows * grid.cols;
+  const countCells = list => {
+    const counts = new Float64Array(cellCount);
+    list.forEach(incident => {
+      const cell = grid.cellOf(incident);
+      if (cell >= 0) counts[cell]++;
+    });
+    return counts;
+  };
+  const counts = countCells(modeled);
+
+  // Best risk-raising operationalisation of each layer
+  const candidates = layers.map(layer => {
+    const factors = operationalize(countFeaturesNear(grid, layer.features, distancesKm), distancesKm);
+    const best = (list, cellCounts) => list.reduce((top, factor) => {
+      const test = testFactor(factor.present, cellCounts);
+      if (!test || test.relativeRisk <= 1) return top;
+      return !top || test.statistic > top.test.statistic ? { factor, test } : top;
+    }, null);
+
+    return { layer, factors, best: best(factors, counts), bestOf: cellCounts => best(factors, cellCounts) };
+  });
+
+  // Backward elimination from every layer with a risk-raising operationalisation
+  let selected = candidates.filter(candidate => candidate.best && candidate.best.test.pValue < significanceLevel);
+  let fit = null;
+  while (selected.length > 0) {
+    fit = fitPoisson(counts, selected.map(candidate => candidate.best.factor.present));
+    if (!fit) {
+      // Collinear factors (layers covering the same cells): drop the weakest univariate one
+      const weakest = selected.reduce((low, candidate) => candidate.best.test.statistic < low.best.test.statistic ? candidate : low);
+      selected = selected.filter(candidate => candidate !== weakest);
+      continue;
+    }
+
+    // Drop risk-lowering factors first, then the least significant
+    const weak = fit.coefficients
+      .map((coefficient, index) => ({ index, lowers: coefficient <= 0, pValue: fit.pValues[index] }))
+      .filter(factor => factor.lowers || !(factor.pValue < significanceLevel))
+      .sort((a, b) => (b.lowers - a.lowers) || (b.pValue - a.pValue));
+    if (weak.length === 0) break;
+    selected = selected.filter((candidate, index) => index !== weak[0].index);
+    fit = null;
+  }
+
+  const factors = selected.map((candidate, index) => ({
+    layerId: candidate.layer.id,
+    name: candidate.layer.name,
+    category: candidate.layer.category,
+    operationalization: candidate.best.factor.operationalization,
+    distanceKm: candidate.best.factor.distanceKm,
+    coefficient: fit.coefficients[index],
+    standardError: fit.standardErrors[index],
+    pValue: fit.pValues[index],
+    relativeRisk: Math.exp(fit.coefficients[index]),
+    present: candidate.best.factor.present
+  }));
+
+  // Relative risk score of each cell: product of the risk values of the factors present
+  const scores = new Float64Array(cellCount).fill(1);
+  factors.forEach(factor => {
+    for (let i = 0; i < cellCount; i++) {
+      if (factor.present[i]) scores[i] *= factor.relativeRisk;
+    }
+  });
+
+  // Highest-risk places: cells two standard deviations above the mean score
+  const meanScore = scores.reduce((sum, score) => sum + score, 0) / cellCount;
+  const sdScore = Math.sqrt(scores.reduce((sum, score) => sum + (score - meanScore) ** 2, 0) / cellCount);
+  const threshold = meanScore + 2 * sdScore;
+  let highRiskCells = 0;
+  let highRiskIncidents = 0;
+  if (sdScore > 0) {
+    for (let i = 0; i < cellCount; i++) {
+      if (scores[i] >= threshold) {
+        highRiskCells++;
+        highRiskIncidents += counts[i];
+      }
+    }
+  }
+  const located = counts.reduce((sum, count) => sum + count, 0);
+  const areaShare = highRiskCells / cellCount;
+  const incidentShare = located > 0 ? highRiskIncidents / located : 0;
+
+  const crimeTypes = [...new Set(incidents.map(incident => incident.type))].sort();
+  const byCrimeType = crimeTypes
+    .map(type => ({ type, list: incidents.filter(incident => incident.type === type) }))
+    .filter(({ list }) => list.length >= minTypeIncidents)
+    .map(({ type, list }) => {
+      const typeCounts = countCells(list);
+      return {
+        crimeType: type,
+        incidentCount: list.length,
+        layers: candidates.map(candidate => {
+          const best = candidate.bestOf(typeCounts);
+          return best ? {
+            layerId: candidate.layer.id,
+            operationalization: best.factor.operationalization,
+            distanceKm: best.factor.distanceKm,
+            relativeRisk: best.test.relativeRisk,
+            pValue: best.test.pValue
+          } : { layerId: candidate.layer.id, relativeRisk: null, pValue: null };
+        })
+      };
+    });
+
+  return {
+    crimeType,
+    incidentCount: located,
+    grid: {
+      rows: grid.rows,
+      cols: grid.cols,
+      cellSizeKm: grid.cellKm,
+      origin: grid.origin,
+      cellSize: grid.cellSize,
+      studyAreaKm2: cellCount * grid.cellKm * grid.cellKm
+    },
+    layers: candidates.map(candidate => {
+      const factor = factors.find(item => item.layerId === candidate.layer.id);
+      return {
+        layerId: candidate.layer.id,
+        name: candidate.layer.name,
+        category: candidate.layer.category,
+        featureCount: candidate.layer.features.length,
+        tested: candidate.best ? {
+          operationalization: candidate.best.factor.operationalization,
+          distanceKm: candidate.best.factor.distanceKm,
+          ...candidate.best.test
+        } : null,
+        selected: !!factor
+      };
+    }),
+    model: {
+      intercept: fit ? fit.intercept : Math.log(Math.max(located, 0.5) / cellCount),
+      dispersion: fit ? fit.dispersion : null,
+      significanceLevel,
+      factors: factors.map(({ present, ...factor }) => ({
+        ...factor,
+        cellsPresent: present.reduce((sum, value) => sum + value, 0)
+      }))
+    },
+    surface: {
+      values: Array.from(scores, score => Math.round(score * 1000) / 1000),
+      maxScore: Math.max(...scores)
+    },
+    highRisk: {
+      threshold: sdScore > 0 ? threshold : null,
+      cells: highRiskCells,
+      areaShare,
+      incidentShare,
+      // Predictive accuracy index: share of incidents over share of area
+      pai: areaShare > 0 ? incidentShare / areaShare : null
+    },
+    byCrimeType
+  };
+};
+
+/**
+ * Risk surface as a GeoJSON FeatureCollection of cells with a score above 1
+ */
+const toGeoJSON = (result) => {
+  const { rows, cols, origin, cellSize } = result.grid;
+  const { values, maxScore } = result.surface;
+  const features = [];
+
+  for (let row = 0; row < rows; row++) {
+    for (let col = 0; col < cols; col++) {
+      const score = values[row * cols + col];
+      if (score <= 1) continue;
+      const south = origin.lat + row * cellSize.lat;
+      const west = origin.lng + col * cellSize.lng;
+      const north = south + cellSize.lat;
+      const east = west + cellSize.lng;
+      features.push({
+        type: 'Feature',
+        geometry: {
+          type: 'Polygon',
+          coordinates: [[[west, south], [east, south], [east, north], [west, north], [west, south]]]
+        },
+        properties: {
+          riskScore: score,
+          intensity: maxScore > 1 ? Math.log(score) / Math.log(maxScore) : 0,
+          highRisk: result.highRisk.threshold !== null && score >= result.highRisk.threshold
+        }
+      });
+    }
+  }
+
+  return {
+    type: 'FeatureCollection',
+    features,
+    properties: {
+      cellSizeKm: result.grid.cellSizeKm,
+      maxScore,
+      highRiskThreshold: result.highRisk.threshold
+    }
+  };
+};
+
+module.exports = {
+  parseLayer,
+  testFactor,
+  fitModel,
+  toGeoJSON
+};
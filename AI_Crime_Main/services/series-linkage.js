@@ -0,0 +1,367 @@
+/**
+ * Crime Series Linkage
+ * Scores pairwise similarity between normalized incidents from space-time
+ * proximity and modus operandi details, then links incidents into series
+ * as connected components of the similarity graph.
+ */
+
+const { haversineDistance } = require('./spatial-clustering');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Relative weight of each similarity factor; factors that cannot be compared
+// for a pair (e.g. neither incident has suspects) are left out and the
+// remaining weights are renormalized
+const FACTOR_WEIGHTS = {
+  space: 0.25,
+  time: 0.15,
+  suspect: 0.2,
+  vehicle: 0.15,
+  evidence: 0.05,
+  description: 0.2
+};
+
+const STOP_WORDS = new Set([
+  'the', 'and', 'was', 'were', 'with', 'from', 'that', 'this', 'they', 'their',
+  'into', 'onto', 'for', 'had', 'has', 'have', 'but', 'not', 'his', 'her',
+  'him', 'she', 'who', 'which', 'when', 'then', 'than', 'there', 'been', 'are',
+  'incident', 'reported', 'victim', 'approximately', 'around', 'about', 'after'
+]);
+
+// Vocabulary used to summarise modus operandi from free-text descriptions
+const ENTRY_METHODS = [
+  'forced entry', 'pried', 'crowbar', 'broken window', 'window', 'rear door',
+  'back door', 'front door', 'garage', 'lock', 'unlocked', 'kicked', 'climbed', 'roof'
+];
+const WEAPON_TERMS = [
+  'gun', 'firearm', 'handgun', 'pistol', 'rifle', 'shotgun', 'knife', 'blade',
+  'bat', 'crowbar', 'hammer', 'weapon'
+];
+const TARGET_TERMS = [
+  'residence', 'house', 'apartment', 'store', 'shop', 'business', 'vehicle', 'car',
+  'atm', 'bank', 'pedestrian', 'school', 'office', 'warehouse', 'restaurant'
+];
+
+const tokenize = (text) => (text || '')
+  .toLowerCase()
+  .replace(/[^a-z0-9\s]/g, ' ')
+  .split(/\s+/)
+  .filter(token => token.length >= 3 && !STOP_WORDS.has(token));
+
+const jaccard = (a, b) => {
+  const setA = a instanceof Set ? a : new Set(a);
+  const setB = b instanceof Set ? b : new Set(b);
+  if (setA.size === 0 && setB.size === 0) return 0;
+  let intersection = 0;
+  setA.forEach(item => {
+    if (setB.has(item)) intersection++;
+  });
+  return intersection / (setA.size + setB.size - intersection);
+};
+
+const normalizeText = (value) => (value || '').toString().toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// Parse heights such as 6ft, 5'10", 178cm into centimetres
+const parseHeightCm = (height) => {
+  if (!height) return null;
+  const text = height.toString().toLowerCase();
+  const cm = text.match(/(\d+(?:\.\d+)?)\s*cm/);
+  if (cm) return parseFloat(cm[1]);
+  const feet = text.match(/(\d+)\s*(?:ft|feet|foot|')\s*(\d+)?/);
+  if (feet) return (parseInt(feet[1]) * 12 + (parseInt(feet[2]) || 0)) * 2.54;
+  return null;
+};
+
+// Similarity between two suspect descriptions (0-1), or null if nothing comparable
+const compareSuspects = (a, b) => {
+  const scores = [];
+
+  if (a.gender && b.gender && a.gender !== 'unknown' && b.gender !== 'unknown') {
+    scores.push(a.gender === b.gender ? 1 : 0);
+  }
+  if (typeof a.age === 'number' && typeof b.age === 'number') {
+    scores.push(Math.max(0, 1 - Math.abs(a.age - b.age) / 10));
+  }
+  const heightA = parseHeightCm(a.height);
+  const heightB = parseHeightCm(b.height);
+  if (heightA && heightB) {
+    scores.push(Math.max(0, 1 - Math.abs(heightA - heightB) / 15));
+  }
+  if (a.distinguishingMarks && b.distinguishingMarks) {
+    scores.push(jaccard(tokenize(a.distinguishingMarks), tokenize(b.distinguishingMarks)));
+  }
+
+  if (scores.length === 0) return null;
+  return scores.reduce((sum, score) => sum + score, 0) / scores.length;
+};
+
+// Similarity between two vehicle descriptions (0-1), or null if nothing comparable
+const compareVehicles = (a, b) => {
+  const plateA = normalizeText(a.licensePlate);
+  const plateB = normalizeText(b.licensePlate);
+  if (plateA && plateB && plateA === plateB) return 1;
+
+  const scores = [];
+  if (a.color && b.color) scores.push(normalizeText(a.color) === normalizeText(b.color) ? 1 : 0);
+  if (a.make && b.make) scores.push(normalizeText(a.make) === normalizeText(b.make) ? 1 : 0);
+  if (plateA && plateB) scores.push(0);
+
+  if (scores.length === 0) return null;
+  return scores.reduce((sum, score) => sum + score, 0) / scores.length;
+};
+
+// Best match across every pairing of two lists, or null if no pair is comparable
+const bestMatch = (listA, listB, compare) => {
+  let best = null;
+  listA.forEach(a => {
+    listB.forEach(b => {
+      const score = compare(a, b);
+      if (score !== null && (best === null || score > best)) {
+        best = score;
+      }
+    });
+  });
+  return best;
+};
+
+/**
+ * Score the similarity of two normalized incidents.
+ * Returns { score, factors } where factors holds each comparable factor's value.
+ */
+const scorePair = (a, b, options = {}) => {
+  const { spaceScaleKm = 1, timeScaleDays = 14 } = options;
+  const factors = {};
+
+  if (a.coordinates && b.coordinates) {
+    factors.space = Math.exp(-haversineDistance(a.coordinates, b.coordinates) / spaceScaleKm);
+  } else if (a.address && b.address) {
+    factors.space = a.address.toLowerCase() === b.address.toLowerCase() ? 1 : 0;
+  }
+
+  factors.time = Math.exp(-Math.abs(a.dateTime - b.dateTime) / DAY_MS / timeScaleDays);
+
+  const suspect = bestMatch(a.suspects, b.suspects, compareSuspects);
+  if (suspect !== null) factors.suspect = suspect;
+
+  const vehicle = bestMatch(
+    a.vehicles.filter(v => v.involvement !== 'victim_vehicle'),
+    b.vehicles.filter(v => v.involvement !== 'victim_vehicle'),
+    compareVehicles
+  );
+  if (vehicle !== null) factors.vehicle = vehicle;
+
+  const evidenceA = a.evidence.map(e => e.type).filter(Boolean);
+  const evidenceB = b.evidence.map(e => e.type).filter(Boolean);
+  if (evidenceA.length > 0 && evidenceB.length > 0) {
+    factors.evidence = jaccard(evidenceA, evidenceB);
+  }
+
+  const tokensA = a.tokens || new Set(tokenize(`${a.title} ${a.description}`));
+  const tokensB = b.tokens || new Set(tokenize(`${b.title} ${b.description}`));
+  if (tokensA.size > 0 && tokensB.size > 0) {
+    factors.description = jaccard(tokensA, tokensB);
+  }
+
+  let weightSum = 0;
+  let score = 0;
+  Object.entries(factors).forEach(([factor, value]) => {
+    weightSum += FACTOR_WEIGHTS[factor];
+    score += FACTOR_WEIGHTS[factor] * value;
+  });
+
+  return { score: weightSum > 0 ? score / weightSum : 0, factors };
+};
+
+/**
+ * Link incidents into series: every pair scoring at or above threshold becomes
+ * an edge, and each connected component with at least minSeriesSize incidents
+ * is a series. Pairs further apart than maxGapDays are never linked.
+ * Returns [{ incidents, links, memberScores }]
+ */
+const linkSeries = (incidents, options = {}) => {
+  const {
+    threshold = 0.55,
+    minSeriesSize = 3,
+    maxGapDays = 60
+  } = options;
+
+  const sorted = incidents
+    .map(incident => ({
+      ...incident,
+      tokens: new Set(tokenize(`${incident.title} ${incident.description}`))
+    }))
+    .sort((a, b) => a.dateTime - b.dateTime);
+
+  // Union-find over incident indexes
+  const parent = sorted.map((incident, index) => index);
+  const find = (i) => {
+    while (parent[i] !== i) {
+      parent[i] = parent[parent[i]];
+      i = parent[i];
+    }
+    return i;
+  };
+
+  const links = [];
+  for (let i = 0; i < sorted.length; i++) {
+    for (let j = i + 1; j < sorted.length; j++) {
+      if ((sorted[j].dateTime - sorted[i].dateTime) / DAY_MS > maxGapDays) break;
+
+      const { score, factors } = scorePair(sorted[i], sorted[j], options);
+      if (score >= threshold) {
+        links.push({ from: i, to: j, score, factors });
+        parent[find(i)] = find(j);
+      }
+    }
+  }
+
+  const components = new Map();
+  sorted.forEach((incident, index) => {
+    const root = find(index);
+    if (!components.has(root)) {
+      components.set(root, []);
+    }
+    components.get(root).push(index);
+  });
+
+  const series = [];
+  components.forEach(memberIndexes => {
+    if (memberIndexes.length < minSeriesSize) return;
+
+    const members = new Set(memberIndexes);
+    const seriesLinks = links.filter(link => members.has(link.from));
+
+    // Each incident's relevance is the mean strength of its links within the series
+    const linkTotals = new Map();
+    seriesLinks.forEach(link => {
+      [link.from, link.to].forEach(index => {
+        const total = linkTotals.get(index) || { sum: 0, count: 0 };
+        total.sum += link.score;
+        total.count++;
+        linkTotals.set(index, total);
+      });
+    });
+
+    series.push({
+      incidents: memberIndexes.map(index => {
+        const { tokens, ...incident } = sorted[index];
+        return incident;
+      }),
+      links: seriesLinks.map(link => ({
+        from: sorted[link.from]._id,
+        to: sorted[link.to]._id,
+        score: link.score,
+        factors: link.factors
+      })),
+      memberScores: memberIndexes.reduce((scores, index) => {
+        const total = linkTotals.get(index);
+        scores[sorted[index]._id.toString()] = total ? total.sum / total.count : 0;
+        return scores;
+      }, {})
+    });
+  });
+
+  return series;
+};
+
+// Average each similarity factor across a series' links
+const summarizeLinkFactors = (links) => {
+  const totals = {};
+  links.forEach(link => {
+    Object.entries(link.factors).forEach(([factor, value]) => {
+      totals[factor] = totals[factor] || { sum: 0, count: 0 };
+      totals[factor].sum += value;
+      totals[factor].count++;
+    });
+  });
+
+  return Object.entries(totals).reduce((summary, [factor, total]) => {
+    summary[factor] = total.sum / total.count;
+    return summary;
+  }, {});
+};
+
+// Terms occurring in at least minShare of the given texts
+const findSharedTerms = (texts, vocabulary, minShare = 0.5) => {
+  const lowered = texts.map(text => (text || '').toLowerCase());
+  return vocabulary.filter(term => {
+    const hits = lowered.filter(text => text.includes(term)).length;
+    return hits > 0 && hits / lowered.length >= minShare;
+  });
+};
+
+/**
+ * Summarise a series' modus operandi in the CrimePattern.modusOperandi shape
+ */
+const buildModusOperandi = (incidents) => {
+  const texts = incidents.map(inc => `${inc.title} ${inc.description}`);
+
+  const termCounts = {};
+  texts.forEach(text => {
+    new Set(tokenize(text)).forEach(token => {
+      termCounts[token] = (termCounts[token] || 0) + 1;
+    });
+  });
+  const commonMethods = Object.entries(termCounts)
+    .filter(([, count]) => count / incidents.length >= 0.6)
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, 8)
+    .map(([term]) => term);
+
+  const evidenceCounts = {};
+  incidents.forEach(inc => {
+    new Set(inc.evidence.map(e => e.type).filter(Boolean)).forEach(type => {
+      evidenceCounts[type] = (evidenceCounts[type] || 0) + 1;
+    });
+  });
+
+  return {
+    commonMethods,
+    targetTypes: findSharedTerms(texts, TARGET_TERMS, 0.3),
+    entryMethods: findSharedTerms(texts, ENTRY_METHODS, 0.3),
+    weaponsUsed: findSharedTerms(texts, WEAPON_TERMS, 0.2),
+    evidencePatterns: Object.entries(evidenceCounts)
+      .filter(([, count]) => count / incidents.length >= 0.5)
+      .map(([type, count]) => `${type} evidence in ${count} of ${incidents.length} incidents`)
+  };
+};
+
+/**
+ * Summarise suspects and vehicles across a series in the
+ * CrimePattern.suspectProfile shape
+ */
+const buildSuspectProfile = (incidents) => {
+  const suspects = incidents.flatMap(inc => inc.suspects);
+  const vehicles = incidents.flatMap(inc => inc.vehicles.filter(v => v.involvement !== 'victim_vehicle'));
+
+  const ages = suspects.map(s => s.age).filter(age => typeof age === 'number');
+  const genders = [...new Set(suspects.map(s => s.gender).filter(g => g && g !== 'unknown' && g !== 'other'))];
+
+  const physicalDescription = [...new Set(suspects.flatMap(s => [
+    s.height ? `height ${s.height}` : null,
+    s.weight ? `weight ${s.weight}` : null,
+    s.distinguishingMarks || null
+  ]).filter(Boolean))];
+
+  const vehicleDescriptions = [...new Set(vehicles.map(v =>
+    [v.color, v.make, v.model, v.licensePlate ? `plate ${v.licensePlate}` : null].filter(Boolean).join(' ')
+  ).filter(Boolean))];
+
+  return {
+    ageRange: ages.length > 0 ? { min: Math.min(...ages), max: Math.max(...ages) } : undefined,
+    gender: genders.length === 0 ? 'unknown' : genders.length === 1 ? genders[0] : 'mixed',
+    physicalDescription,
+    behaviorPatterns: [],
+    vehicleDescriptions
+  };
+};
+
+module.exports = {
+  FACTOR_WEIGHTS,
+  tokenize,
+  scorePair,
+  linkSeries,
+  summarizeLinkFactors,
+  buildModusOperandi,
+  buildSuspectProfile
+};
@@ -0,0 +1,172 @@
+/**
+ * Space-Time Permutation Scan
+ * Prospective space-time permutation scan statistic (Kulldorff et al. 2005),
+ * as in SaTScan. Cylinders are circles around each incident location with a
+ * time window ending on the last day of the study period; the expected count
+ * in a cylinder comes from the location and day totals alone, so no
+ * population data is needed. Significance is assessed by shuffling dates
+ * across incidents and comparing with the maximum log-likelihood ratio of
+ * each replica.
+ */
+
+const { haversineDistance } = require('./spatial-clustering');
+const { DAY_MS } = require('./trend-analysis');
+const { seededRandom } = require('./near-repeat');
+
+// Poisson log-likelihood ratio for c observed against mu expected out of total
+const logLikelihoodRatio = (c, mu, total) => {
+  if (c <= mu || mu <= 0) return 0;
+  const inside = c * Math.log(c / mu);
+  const outside = total - c > 0 ? (total - c) * Math.log((total - c) / (total - mu)) : 0;
+  return inside + outside;
+};
+
+/**
+ * Scan events [{ lat, lng, time }] for space-time clusters ending at endTime.
+ * Returns non-overlapping clusters ordered by log-likelihood ratio, each with
+ * the indices of the events it contains and a Monte Carlo p-value.
+ */
+const scan = (events, {
+  endTime = Date.now(),
+  maxRadiusKm = 1,
+  maxWindowDays = 14,
+  maxLocationFraction = 0.5,
+  iterations = 99,
+  seed = 1
+} = {}) => {
+  // Collapse events at effectively the same spot (about 10 m) into one location
+  const locationIndex = new Map();
+  const locations = [];
+  const eventLocation = [];
+  const eventDay = [];
+
+  events.forEach(event => {
+    const key = `${event.lat.toFixed(4)},${event.lng.toFixed(4)}`;
+    if (!locationIndex.has(key)) {
+      locationIndex.set(key, locations.length);
+      locations.push({ lat: event.lat, lng: event.lng, events: [] });
+    }
+    const location = locationIndex.get(key);
+    locations[location].events.push(eventLocation.length);
+    eventLocation.push(location);
+    eventDay.push(Math.max(0, Math.floor((endTime - event.time) / DAY_MS)));
+  });
+
+  const total = events.length;
+  const studyDays = eventDay.reduce((max, day) => Math.max(max, day), 0) + 1;
+  const windowCount = Math.max(1, Math.min(maxWindowDays, Math.floor(studyDays / 2)));
+  if (total < 2 || locations.length < 2) return { clusters: [], total, studyDays, windowCount, iterations };
+
+  // Day totals and location totals are the same in every permutation
+  const dayTotals = new Array(studyDays).fill(0);
+  eventDay.forEach(day => dayTotals[day]++);
+  const windowTotals = [];
+  for (let w = 0, running = 0; w < windowCount; w++) {
+    running += dayTotals[w];
+    windowTotals.push(running);
+  }
+  const locationTotals = locations.map(location => location.events.length);
+  const maxCircleTotal = maxLocationFraction * total;
+
+  // Neighbours of each location within maxRadiusKm, nearest first
+  const neighbours = locations.map(center => locations
+    .map((location, index) => ({ index, distance: haversineDistance(center, location) }))
+    .filter(neighbour => neighbour.distance <= maxRadiusKm)
+    .sort((a, b) => a.distance - b.distance));
+
+  // windowCounts[location * windowCount + w] = events at location in the last w + 1 days
+  const buildWindowCounts = (days) => {
+    const counts = new Float64Array(locations.length * windowCount);
+    days.forEach((day, event) => {
+      const base = eventLocation[event] * windowCount;
+      for (let w = day; w < windowCount; w++) counts[base + w]++;
+    });
+    return counts;
+  };
+
+  // Best cylinder for every center; only the overall maximum when collect is false
+  const evaluate = (windowCounts, collect) => {
+    const sums = new Float64Array(windowCount);
+    const best = [];
+    let maxLlr = 0;
+
+    neighbours.forEach((neighbourList, center) => {
+      sums.fill(0);
+      let circleTotal = 0;
+      let centerBest = null;
+
+      for (let k = 0; k < neighbourList.length; k++) {
+        const location = neighbourList[k].index;
+        circleTotal += locationTotals[location];
+        if (circleTotal > maxCircleTotal) break;
+
+        const base = location * windowCount;
+        for (let w = 0; w < windowCount; w++) {
+          sums[w] += windowCounts[base + w];
+          const expected = circleTotal * windowTotals[w] / total;
+          const llr = logLikelihoodRatio(sums[w], expected, total);
+          if (llr > maxLlr) maxLlr = llr;
+          if (collect && llr > 0 && (!centerBest || llr > centerBest.llr)) {
+            centerBest = { center, size: k + 1, window: w, observed: sums[w], expected, llr };
+          }
+        }
+      }
+
+      if (centerBest) best.push(centerBest);
+    });
+
+    return { maxLlr, best };
+  };
+
+  const observed = evaluate(buildWindowCounts(eventDay), true);
+
+  const random = seededRandom(seed);
+  const shuffled = eventDay.slice();
+  const replicaMax = [];
+  for (let iteration = 0; iteration < iterations; iteration++) {
+    for (let i = shuffled.length - 1; i > 0; i--) {
+      const j = Math.floor(random() * (i + 1));
+      [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+    }
+    replicaMax.push(evaluate(buildWindowCounts(shuffled), false).maxLlr);
+  }
+
+  // Most likely cluster first, then secondary clusters sharing no location
+  const used = new Set();
+  const clusters = [];
+  observed.best.sort((a, b) => b.llr - a.llr).forEach(candidate => {
+    const members = neighbours[candidate.center].slice(0, candidate.size);
+    if (members.some(member => used.has(member.index))) return;
+    members.forEach(member => used.add(member.index));
+
+    const startDay = candidate.window;
+    const eventIndices = [];
+    members.forEach(member => {
+      locations[member.index].events.forEach(event => {
+        if (eventDay[event] <= startDay) eventIndices.push(event);
+      });
+    });
+
+    clusters.push({
+      center: { lat: locations[candidate.center].lat, lng: locations[candidate.center].lng },
+      radiusKm: members[members.length - 1].distance,
+      startDate: new Date(endTime - (startDay + 1) * DAY_MS),
+      endDate: new Date(endTime),
+      windowDays: startDay + 1,
+      locationCount: members.length,
+      observed: candidate.observed,
+      expected: candidate.expected,
+      relativeRisk: candidate.observed / candidate.expected,
+      llr: candidate.llr,
+      pValue: (replicaMax.filter(max => max >= candidate.llr).length + 1) / (iterations + 1),
+      eventIndices
+    });
+  });
+
+  return { clusters, total, studyDays, windowCount, iterations };
+};
+
+module.exports = {
+  logLikelihoodRatio,
+  scan
+};
@@ -0,0 +1,216 @@
+/**
+ * Spatial Clustering Utilities
+ * Density-based clustering (DBSCAN) and geometry helpers that operate on
+ * incident coordinates expressed as { lat, lng } in decimal degrees.
+ */
+
+const EARTH_RADIUS_KM = 6371;
+const KM_PER_DEGREE_LAT = 111.32;
+
+const toRadians = (degrees) => degrees * Math.PI / 180;
+
+// Great-circle distance in kilometres between two { lat, lng } points
+const haversineDistance = (a, b) => {
+  const dLat = toRadians(b.lat - a.lat);
+  const dLng = toRadians(b.lng - a.lng);
+  const h = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(a.lat)) * Math.cos(toRadians(b.lat)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(h)));
+};
+
+// Bucket points into grid cells at least epsKm wide so neighbour lookups
+// only need to scan the surrounding 3x3 block of cells
+const buildGridIndex = (points, epsKm) => {
+  const maxLat = points.reduce((max, p) => Math.max(max, Math.abs(p.coordinates.lat)), 0);
+  const latStep = epsKm / KM_PER_DEGREE_LAT;
+  const lngStep = epsKm / (KM_PER_DEGREE_LAT * Math.max(0.01, Math.cos(toRadians(Math.min(89, maxLat)))));
+  const cells = new Map();
+
+  const cellOf = (coordinates) => [
+    Math.floor(coordinates.lat / latStep),
+    Math.floor(coordinates.lng / lngStep)
+  ];
+
+  points.forEach((point, index) => {
+    const [row, col] = cellOf(point.coordinates);
+    const key = `${row}:${col}`;
+    if (!cells.has(key)) {
+      cells.set(key, []);
+    }
+    cells.get(key).push(index);
+  });
+
+  return { cells, cellOf };
+};
+
+const regionQuery = (points, grid, index, epsKm) => {
+  const origin = points[index].coordinates;
+  const [row, col] = grid.cellOf(origin);
+  const neighbours = [];
+
+  for (let r = row - 1; r <= row + 1; r++) {
+    for (let c = col - 1; c <= col + 1; c++) {
+      const bucket = grid.cells.get(`${r}:${c}`);
+      if (!bucket) continue;
+      for (const candidate of bucket) {
+        if (haversineDistance(origin, points[candidate].coordinates) <= epsKm) {
+          neighbours.push(candidate);
+        }
+      }
+    }
+  }
+
+  return neighbours;
+};
+
+/**
+ * DBSCAN over points carrying a `coordinates: { lat, lng }` property.
+ * A point with at least minPoints neighbours (itself included) within epsKm is
+ * a core point; clusters grow from core points and absorb border points.
+ * Returns { clusters: [{ members, corePoints }], noise }
+ */
+const dbscan = (points, { epsKm, minPoints }) => {
+  const UNVISITED = 0;
+  const NOISE = -1;
+  const labels = new Array(points.length).fill(UNVISITED);
+  const neighbourCounts = new Array(points.length).fill(0);
+  const grid = buildGridIndex(points, epsKm);
+  const clusters = [];
+
+  for (let i = 0; i < points.length; i++) {
+    if (labels[i] !== UNVISITED) continue;
+
+    const neighbours = regionQuery(points, grid, i, epsKm);
+    neighbourCounts[i] = neighbours.length;
+    if (neighbours.length < minPoints) {
+      labels[i] = NOISE;
+      continue;
+    }
+
+    const clusterId = clusters.length + 1;
+    const memberIndexes = [i];
+    const coreIndexes = [i];
+    labels[i] = clusterId;
+
+    const queue = neighbours.filter(n => n !== i);
+    for (let q = 0; q < queue.length; q++) {
+      const j = queue[q];
+
+      if (labels[j] === NOISE) {
+        // Previously rejected as noise, but reachable from a core point: border point
+        labels[j] = clusterId;
+        memberIndexes.push(j);
+        continue;
+      }
+      if (labels[j] !== UNVISITED) continue;
+
+      labels[j] = clusterId;
+      memberIndexes.push(j);
+
+      const jNeighbours = regionQuery(points, grid, j, epsKm);
+      neighbourCounts[j] = jNeighbours.length;
+      if (jNeighbours.length >= minPoints) {
+        coreIndexes.push(j);
+        queue.push(...jNeighbours.filter(n => labels[n] === UNVISITED || labels[n] === NOISE));
+      }
+    }
+
+    clusters.push({
+      members: memberIndexes.map(index => points[index]),
+      corePoints: coreIndexes.map(index => ({
+        point: points[index],
+        neighbourCount: neighbourCounts[index]
+      }))
+    });
+  }
+
+  const noise = points.filter((point, index) => labels[index] === NOISE);
+
+  return { clusters, noise };
+};
+
+// Arithmetic mean of { lat, lng } coordinates
+const calculateCentroid = (coordinates) => {
+  if (coordinates.length === 0) return null;
+  return {
+    lat: coordinates.reduce((sum, c) => sum + c.lat, 0) / coordinates.length,
+    lng: coordinates.reduce((sum, c) => sum + c.lng, 0) / coordinates.length
+  };
+};
+
+// Distance in kilometres from the centroid to the furthest coordinate
+const calculateRadius = (coordinates, center = calculateCentroid(coordinates)) => {
+  if (!center) return 0;
+  return coordinates.reduce((max, c) => Math.max(max, haversineDistance(center, c)), 0);
+};
+
+/**
+ * Convex hull (Andrew's monotone chain) of { lat, lng } coordinates,
+ * returned counter-clockwise without repeating the first vertex
+ */
+const convexHull = (coordinates) => {
+  const unique = [];
+  const seen = new Set();
+  coordinates.forEach(c => {
+    const key = `${c.lng}:${c.lat}`;
+    if (!seen.has(key)) {
+      seen.add(key);
+      unique.push(c);
+    }
+  });
+
+  if (unique.length < 3) return unique;
+
+  const sorted = unique.sort((a, b) => a.lng - b.lng || a.lat - b.lat);
+  const cross = (o, a, b) => (a.lng - o.lng) * (b.lat - o.lat) - (a.lat - o.lat) * (b.lng - o.lng);
+
+  const lower = [];
+  for (const point of sorted) {
+    while (lower.length >= 2 && cross(lower[lower.length - 2], lower[lower.length - 1], point) <= 0) {
+      lower.pop();
+    }
+    lower.push(point);
+  }
+
+  const upper = [];
+  for (let i = sorted.length - 1; i >= 0; i--) {
+    const point = sorted[i];
+    while (upper.length >= 2 && cross(upper[upper.length - 2], upper[upper.length - 1], point) <= 0) {
+      upper.pop();
+    }
+    upper.push(point);
+  }
+
+  lower.pop();
+  upper.pop();
+  return lower.concat(upper);
+};
+
+// Area in square kilometres of a polygon, using a local equirectangular projection
+const calculatePolygonAreaKm2 = (polygon) => {
+  if (polygon.length < 3) return 0;
+  const center = calculateCentroid(polygon);
+  const lngScale = KM_PER_DEGREE_LAT * Math.cos(toRadians(center.lat));
+  const projected = polygon.map(c => ({
+    x: (c.lng - center.lng) * lngScale,
+    y: (c.lat - center.lat) * KM_PER_DEGREE_LAT
+  }));
+
+  let area = 0;
+  for (let i = 0; i < projected.length; i++) {
+    const a = projected[i];
+    const b = projected[(i + 1) % projected.length];
+    area += a.x * b.y - b.x * a.y;
+  }
+  return Math.abs(area) / 2;
+};
+
+module.exports = {
+  EARTH_RADIUS_KM,
+  haversineDistance,
+  dbscan,
+  calculateCentroid,
+  calculateRadius,
+  convexHull,
+  calculatePolygonAreaKm2
+};
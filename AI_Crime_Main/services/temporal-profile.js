@@ -0,0 +1,309 @@
+/**
+ * Temporal Profiles
+ * Hour-of-week matrices and a seasonal decomposition of daily incident counts,
+ * both on the agency's clock (see time-zone.js).
+ *
+ * Matrices are aoristic: incidents with an occurrence window are spread over
+ * the hours it covers. The decomposition fits daily counts as
+ *
+ *   count = trend + weekly + annual + residual
+ *
+ * by least squares, with a linear trend, one effect per weekday and, once a
+ * year of data is available, two annual harmonics. Weekdays, calendar months
+ * and single days are flagged when their counts differ significantly from
+ * what the other components predict, using Poisson variances inflated by the
+ * fit's over-dispersion.
+ */
+
+const aoristic = require('./aoristic');
+const timeZone = require('./time-zone');
+const { DAY_MS, normalCdf, solve } = require('./trend-analysis');
+
+// Days of data needed before an annual component is fitted
+const MIN_ANNUAL_DAYS = 365;
+const ANNUAL_HARMONICS = 2;
+const YEAR_DAYS = 365.25;
+// Incidents needed before days or hours are tested for concentration
+const MIN_PROFILE_INCIDENTS = 5;
+
+const MONTH_NAMES = ['January', 'February', 'March', 'April', 'May', 'June',
+  'July', 'August', 'September', 'October', 'November', 'December'];
+
+const sum = (values) => values.reduce((total, value) => total + value, 0);
+
+// Two-sided p-value of a z-score
+const pValueOf = (z) => 2 * (1 - normalCdf(Math.abs(z)));
+
+// Days since 1970-01-01 for a calendar date, so consecutive days differ by one
+const dayNumberOf = ({ year, month, day }) => Math.round(Date.UTC(year, month, day) / DAY_MS);
+
+const dateOfDayNumber = (dayNumber) => new Date(dayNumber * DAY_MS);
+
+// 1970-01-01 was a Thursday
+const weekdayOf = (dayNumber) => ((dayNumber + 4) % 7 + 7) % 7;
+
+const formatDay = (dayNumber) => dateOfDayNumber(dayNumber).toISOString().slice(0, 10);
+
+const getSeason = (month) => {
+  if (month >= 2 && month <= 4) return 'spring';
+  if (month >= 5 && month <= 7) return 'summer';
+  if (month >= 8 && month <= 10) return 'fall';
+  return 'winter';
+};
+
+/**
+ * 7 x 24 hour-of-week matrix (rows Sunday first) with hour and day totals
+ */
+const hourOfWeekMatrix = (incidents) => {
+  const profile = aoristic.hourOfWeekProfile(incidents);
+  return {
+    matrix: aoristic.toMatrix(profile.values),
+    hourTotals: aoristic.hourTotals(profile.values),
+    dayTotals: aoristic.dayTotals(profile.values),
+    total: profile.total,
+    uncertain: profile.uncertain
+  };
+};
+
+/**
+ * One hour-of-week matrix per group, busiest first. keyOf returns the group
+ * label for an incident, or null to leave it out.
+ */
+const groupMatrices = (incidents, keyOf, { minIncidents = 1 } = {}) => {
+  const groups = new Map();
+  incidents.forEach(incident => {
+    const key = keyOf(incident);
+    if (!key) return;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(incident);
+  });
+
+  return [...groups.entries()]
+    .filter(([key, members]) => members.length >= minIncidents)
+    .map(([key, members]) => {
+      const matrix = hourOfWeekMatrix(members);
+      const peak = matrix.matrix
+        .flatMap((hours, day) => hours.map((value, hour) => ({ day, hour, value })))
+        .reduce((best, cell) => cell.value > best.value ? cell : best);
+      return { key, ...matrix, peak };
+    })
+    .sort((a, b) => b.total - a.total);
+};
+
+/**
+ * Incident counts per calendar day in the agency zone from `start` to `end`
+ * inclusive. Incidents are counted on the day of their recorded time.
+ */
+const dailyCounts = (incidents, { start, end }) => {
+  const first = dayNumberOf(timeZone.getParts(start));
+  const last = dayNumberOf(timeZone.getParts(end));
+  const length = Math.max(0, last - first + 1);
+  const counts = new Array(length).fill(0);
+
+  incidents.forEach(incident => {
+    const index = dayNumberOf(timeZone.getParts(incident.dateTime)) - first;
+    if (index >= 0 && index < length) counts[index]++;
+  });
+
+  return {
+    dayNumbers: counts.map((count, index) => first + index),
+    counts
+  };
+};
+
+/**
+ * Decompose daily counts into trend, weekly and annual components and flag
+ * significant deviations. Returns null when there are fewer than two weeks
+ * of days or no incidents.
+ */
+const decompose = ({ dayNumbers, counts }, { significanceLevel = 0.05, deviationLevel = 0.01 } = {}) => {
+  const n = counts.length;
+  if (n < 14 || sum(counts) === 0) return null;
+
+  const annualFitted = n >= MIN_ANNUAL_DAYS;
+  const midpoint = (n - 1) / 2;
+  const weekdays = dayNumbers.map(weekdayOf);
+  const annualTerms = dayNumber => {
+    const terms = [];
+    for (let k = 1; k <= ANNUAL_HARMONICS; k++) {
+      const angle = 2 * Math.PI * k * dayNumber / YEAR_DAYS;
+      terms.push(Math.sin(angle), Math.cos(angle));
+    }
+    return terms;
+  };
+
+  // Columns: intercept, time, Monday-Saturday indicators (Sunday is the baseline), annual harmonics
+  const rowOf = index => [
+    1,
+    (index - midpoint) / n,
+    ...[1, 2, 3, 4, 5, 6].map(day => weekdays[index] === day ? 1 : 0),
+    ...(annualFitted ? annualTerms(dayNumbers[index]) : [])
+  ];
+  const rows = counts.map((count, index) => rowOf(index));
+  const p = rows[0].length;
+
+  const xtx = Array.from({ length: p }, () => new Array(p).fill(0));
+  const xty = new Array(p).fill(0);
+  rows.forEach((row, index) => {
+    for (let i = 0; i < p; i++) {
+      xty[i] += row[i] * counts[index];
+      for (let j = 0; j < p; j++) xtx[i][j] += row[i] * row[j];
+    }
+  });
+  const beta = solve(xtx, xty);
+  if (!beta) return null;
+
+  // Centre the weekly and annual components so the trend carries the level
+  const weekdayEffects = [0, ...beta.slice(2, 8)];
+  const weeklyMean = sum(weekdayEffects) / 7;
+  const weeklyEffects = weekdayEffects.map(effect => effect - weeklyMean);
+
+  const annualRaw = counts.map((count, index) => annualFitted
+    ? sum(annualTerms(dayNumbers[index]).map((term, k) => term * beta[8 + k]))
+    : 0);
+  const annualMean = sum(annualRaw) / n;
+
+  const trend = counts.map((count, index) => beta[0] + beta[1] * (index - midpoint) / n + weeklyMean + annualMean);
+  const weekly = weekdays.map(day => weeklyEffects[day]);
+  const annual = annualRaw.map(value => value - annualMean);
+  const fitted = counts.map((count, index) => trend[index] + weekly[index] + annual[index]);
+  const residual = counts.map((count, index) => count - fitted[index]);
+  const variance = value => Math.max(value, 0.5);
+
+  // Pearson dispersion, as in trend-analysis, so bursty series are not over-flagged
+  const dispersion = Math.max(1, sum(residual.map((value, index) => value * value / variance(fitted[index]))) / Math.max(1, n - p));
+
+  // Observed against expected without the component under test, summed over a group of days
+  const testGroups = (groupOf, groupCount, expectedOf) => Array.from({ length: groupCount }, (value, group) => {
+    const indexes = counts.map((count, index) => index).filter(index => groupOf(index) === group);
+    const observed = sum(indexes.map(index => counts[index]));
+    const expected = sum(indexes.map(index => Math.max(0, expectedOf(index))));
+    if (indexes.length === 0 || expected <= 0) {
+      return { observed, expected, zScore: 0, pValue: 1 };
+    }
+    const zScore = (observed - expected) / Math.sqrt(dispersion * expected);
+    return { observed, expected, zScore, pValue: pValueOf(zScore) };
+  });
+
+  const weekdayTests = testGroups(index => weekdays[index], 7, index => trend[index] + annual[index]);
+  const elevatedDays = weekdayTests
+    .map((test, day) => ({ ...test, day }))
+    .filter(test => test.zScore > 0 && test.pValue < significanceLevel / 7)
+    .map(test => test.day);
+
+  let seasonal = null;
+  if (annualFitted) {
+    const monthOf = index => dateOfDayNumber(dayNumbers[index]).getUTCMonth();
+    const monthTests = testGroups(monthOf, 12, index => trend[index] + weekly[index]);
+    // Annual component at the middle of each month
+    const byMonth = MONTH_NAMES.map((name, month) => {
+      const mid = dayNumberOf({ year: 2001, month, day: 15 });
+      return sum(annualTerms(mid).map((term, k) => term * beta[8 + k])) - annualMean;
+    });
+    const elevatedMonths = monthTests
+      .map((test, month) => ({ ...test, month }))
+      .filter(test => test.zScore > 0 && test.pValue < significanceLevel / 12)
+      .map(test => test.month);
+    // The most significantly elevated month, else the top of the fitted annual curve
+    const peakMonth = elevatedMonths.length > 0
+      ? elevatedMonths.reduce((best, month) => monthTests[month].zScore > monthTests[best].zScore ? month : best)
+      : byMonth.indexOf(Math.max(...byMonth));
+
+    seasonal = {
+      byMonth,
+      peakMonth,
+      amplitude: Math.max(...byMonth) - Math.min(...byMonth),
+      monthTests,
+      elevatedMonths,
+      seasonality: elevatedMonths.length > 0 ? getSeason(peakMonth) : 'none'
+    };
+  }
+
+  const deviations = residual
+    .map((value, index) => {
+      const zScore = value / Math.sqrt(dispersion * variance(fitted[index]));
+      return {
+        date: formatDay(dayNumbers[index]),
+        observed: counts[index],
+        expected: Math.max(0, fitted[index]),
+        zScore,
+        pValue: pValueOf(zScore),
+        direction: value > 0 ? 'above' : 'below'
+      };
+    })
+    .filter(deviation => deviation.pValue < deviationLevel);
+
+  return {
+    dates: dayNumbers.map(formatDay),
+    observed: counts,
+    trend,
+    weekly,
+    annual,
+    residual,
+    expected: fitted.map(value => Math.max(0, value)),
+    annualFitted,
+    // Change in expected daily count per day
+    trendSlope: beta[1] / n,
+    weeklyEffects,
+    weekdayTests,
+    elevatedDays,
+    seasonal,
+    dispersion,
+    deviations
+  };
+};
+
+/**
+ * Days and hours in which a set of incidents is significantly concentrated,
+ * for CrimePattern.timePattern. Days and hours are tested against an even
+ * spread (Bonferroni-corrected); seasonality needs a year of data and comes
+ * from the decomposition of their daily counts.
+ */
+const describeTimePattern = (incidents, { significanceLevel = 0.05 } = {}) => {
+  const timePattern = { daysOfWeek: [], hoursOfDay: [], monthsOfYear: [], seasonality: 'none', frequency: 'irregular' };
+  if (incidents.length < MIN_PROFILE_INCIDENTS) {
+    return timePattern;
+  }
+
+  const { hourTotals, dayTotals, total } = hourOfWeekMatrix(incidents);
+  const elevated = (totals, buckets) => totals
+    .map((observed, index) => ({ index, zScore: (observed - total / buckets) / Math.sqrt(total / buckets) }))
+    .filter(test => test.zScore > 0 && pValueOf(test.zScore) < significanceLevel / buckets)
+    .map(test => test.index);
+
+  timePattern.hoursOfDay = elevated(hourTotals, 24);
+  timePattern.daysOfWeek = elevated(dayTotals, 7);
+
+  const times = incidents.map(incident => new Date(incident.dateTime).getTime());
+  const start = new Date(times.reduce((min, time) => Math.min(min, time), Infinity));
+  const end = new Date(times.reduce((max, time) => Math.max(max, time), -Infinity));
+  if ((end - start) / DAY_MS >= MIN_ANNUAL_DAYS) {
+    const decomposition = decompose(dailyCounts(incidents, { start, end }), { significanceLevel });
+    if (decomposition && decomposition.seasonal) {
+      timePattern.monthsOfYear = decomposition.seasonal.elevatedMonths.map(month => month + 1);
+      timePattern.seasonality = decomposition.seasonal.seasonality;
+    }
+  }
+
+  // A weekday concentration recurs weekly, an hour-of-day one daily
+  if (timePattern.daysOfWeek.length > 0) {
+    timePattern.frequency = 'weekly';
+  } else if (timePattern.hoursOfDay.length > 0) {
+    timePattern.frequency = 'daily';
+  } else if (timePattern.seasonality !== 'none') {
+    timePattern.frequency = 'seasonal';
+  }
+
+  return timePattern;
+};
+
+module.exports = {
+  MIN_ANNUAL_DAYS,
+  MONTH_NAMES,
+  getSeason,
+  hourOfWeekMatrix,
+  groupMatrices,
+  dailyCounts,
+  decompose,
+  describeTimePattern
+};
@@ -0,0 +1,155 @@
+const config = require('../config/config');
+
+/**
+ * Agency Time Zone
+ * Temporal analysis buckets incidents by the wall-clock time where they
+ * happened, not where the server runs. These helpers read calendar fields in
+ * an IANA zone (config.AGENCY_TIMEZONE by default) through Intl, so daylight
+ * saving is handled by the zone database: the hour skipped in spring holds no
+ * incidents and the hour repeated in autumn collects both.
+ *
+ * Months (0-11) and weekdays (0-6, Sunday first) are numbered like the Date
+ * getters they replace.
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+const formatters = new Map();
+
+const isValidTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+const getFormatter = (timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      weekday: 'short',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric',
+      timeZoneName: 'short'
+    }));
+  }
+  return formatters.get(timeZone);
+};
+
+// Calendar fields of an instant on the zone's clock
+const getParts = (date, timeZone = config.AGENCY_TIMEZONE) => {
+  const parts = {};
+  getFormatter(timeZone).formatToParts(new Date(date)).forEach(({ type, value }) => {
+    parts[type] = value;
+  });
+
+  return {
+    year: parseInt(parts.year),
+    month: parseInt(parts.month) - 1,
+    day: parseInt(parts.day),
+    weekday: WEEKDAYS[parts.weekday],
+    hour: parseInt(parts.hour) % 24,
+    minute: parseInt(parts.minute),
+    second: parseInt(parts.second),
+    abbreviation: parts.timeZoneName
+  };
+};
+
+const getHour = (date, timeZone) => getParts(date, timeZone).hour;
+
+const getDay = (date, timeZone) => getParts(date, timeZone).weekday;
+
+const getMonth = (date, timeZone) => getParts(date, timeZone).month;
+
+// Start of the next hour on the zone's clock (zones with half-hour offsets included)
+const nextHourStart = (date, timeZone) => {
+  const instant = new Date(date);
+  const { minute, second } = getParts(instant, timeZone);
+  return new Date(instant.getTime() - (minute * 60 + second) * 1000 - instant.getMilliseconds() + HOUR_MS);
+};
+
+/**
+ * The last `count` calendar days in the zone, oldest first, as
+ * { year, month (1-12), day } to match MongoDB's date operators. Steps by
+ * calendar date rather than 24-hour offsets so 23- and 25-hour DST days are
+ * neither skipped nor repeated.
+ */
+const recentDays = (count, end = new Date(), timeZone = config.AGENCY_TIMEZONE) => {
+  const today = getParts(end, timeZone);
+  return Array.from({ length: count }, (value, index) => {
+    const date = new Date(Date.UTC(today.year, today.month, today.day - (count - 1 - index)));
+    return { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate() };
+  });
+};
+
+const pad = value => String(value).padStart(2, '0');
+
+// Wall-clock value for a datetime-local input ("YYYY-MM-DDTHH:mm") on the zone's clock
+const toLocalInput = (date, timeZone = config.AGENCY_TIMEZONE) => {
+  const { year, month, day, hour, minute } = getParts(date, timeZone);
+  return `${year}-${pad(month + 1)}-${pad(day)}T${pad(hour)}:${pad(minute)}`;
+};
+
+/**
+ * Instant at which the zone's clock shows the given calendar fields, the
+ * inverse of getParts (month 0-11). The zone's offset is read at a first
+ * guess and again at the result, which settles within two steps across DST
+ * changes. A time in the hour repeated in autumn gives its first occurrence;
+ * one in the hour skipped in spring comes out an hour off, which callers can
+ * detect by reading the parts back.
+ */
+const fromParts = ({ year, month, day, hour = 0, minute = 0, second = 0 }, timeZone = config.AGENCY_TIMEZONE) => {
+  const wall = Date.UTC(year, month, day, hour, minute, second);
+
+  // Zone offset at an instant: its wall clock read as UTC minus the instant
+  const offsetAt = instant => {
+    const parts = getParts(instant, timeZone);
+    return Date.UTC(parts.year, parts.month, parts.day, parts.hour, parts.minute, parts.second) - instant;
+  };
+  let instant = wall - offsetAt(wall);
+  const offset = offsetAt(instant);
+  if (wall - instant !== offset) instant = wall - offset;
+  return new Date(instant);
+};
+
+// Instant for a wall-clock "YYYY-MM-DDTHH:mm[:ss]" on the zone's clock, as
+// posted by datetime-local inputs, or null when it is not a valid date and time
+const fromLocalInput = (value, timeZone = config.AGENCY_TIMEZONE) => {
+  const match = /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})(?::(\d{2}))?$/.exec(String(value || '').trim());
+  if (!match) return null;
+
+  const [year, month, day, hour, minute, second] = match.slice(1).map(field => parseInt(field || '0', 10));
+  const check = new Date(Date.UTC(year, month - 1, day));
+  if (check.getUTCMonth() !== month - 1 || check.getUTCDate() !== day || hour > 23 || minute > 59 || second > 59) {
+    return null;
+  }
+  return fromParts({ year, month: month - 1, day, hour, minute, second }, timeZone);
+};
+
+// Zone name with its current abbreviation for chart axes, e.g. "America/Chicago (CDT)"
+const describe = (timeZone = config.AGENCY_TIMEZONE, date = new Date()) => {
+  const { abbreviation } = getParts(date, timeZone);
+  return abbreviation && abbreviation !== timeZone ? `${timeZone} (${abbreviation})` : timeZone;
+};
+
+module.exports = {
+  isValidTimeZone,
+  getParts,
+  getHour,
+  getDay,
+  getMonth,
+  nextHourStart,
+  recentDays,
+  fromParts,
+  toLocalInput,
+  fromLocalInput,
+  describe
+};
@@ -0,0 +1,222 @@
+/**
+ * Trend Analysis
+ * Bins incident counts into regular time periods and fits a log-linear
+ * Poisson regression to test whether counts are rising or falling. The
+ * general Poisson regression is shared with risk terrain modeling and count
+ * forecasting.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Standard normal CDF (Abramowitz & Stegun 7.1.26 approximation of erf)
+const normalCdf = (z) => {
+  const x = Math.abs(z) / Math.SQRT2;
+  const t = 1 / (1 + 0.3275911 * x);
+  const erf = 1 - (((((1.061405429 * t - 1.453152027) * t) + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t * Math.exp(-x * x);
+  return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+};
+
+/**
+ * Solve the linear system A x = b by Gaussian elimination with partial
+ * pivoting. Returns null when A is singular.
+ */
+const solve = (A, b) => {
+  const n = b.length;
+  const m = A.map((row, index) => [...row, b[index]]);
+
+  for (let col = 0; col < n; col++) {
+    let pivot = col;
+    for (let row = col + 1; row < n; row++) {
+      if (Math.abs(m[row][col]) > Math.abs(m[pivot][col])) pivot = row;
+    }
+    if (Math.abs(m[pivot][col]) < 1e-10) return null;
+    [m[col], m[pivot]] = [m[pivot], m[col]];
+
+    for (let row = col + 1; row < n; row++) {
+      const factor = m[row][col] / m[col][col];
+      for (let k = col; k <= n; k++) m[row][k] -= factor * m[col][k];
+    }
+  }
+
+  const x = new Array(n).fill(0);
+  for (let row = n - 1; row >= 0; row--) {
+    let value = m[row][n];
+    for (let k = row + 1; k < n; k++) value -= m[row][k] * x[k];
+    x[row] = value / m[row][row];
+  }
+  return x;
+};
+
+/**
+ * Count incidents into consecutive bins of binDays ending at `end`.
+ * Returns { counts, binStarts } ordered oldest first.
+ */
+const binCounts = (incidents, { start, end, binDays }) => {
+  const binMs = binDays * DAY_MS;
+  const binCount = Math.max(1, Math.ceil((end - start) / binMs));
+  const counts = new Array(binCount).fill(0);
+  const firstBinStart = end.getTime() - binCount * binMs;
+
+  incidents.forEach(incident => {
+    const index = Math.floor((incident.dateTime.getTime() - firstBinStart) / binMs);
+    if (index >= 0 && index < binCount) {
+      counts[index]++;
+    }
+  });
+
+  const binStarts = counts.map((count, index) => new Date(firstBinStart + index * binMs));
+  return { counts, binStarts };
+};
+
+/**
+ * Fit log(E[count_t]) = b0 + b1 * t by iteratively reweighted least squares.
+ * Standard errors are inflated by the Pearson dispersion estimate when the
+ * counts are over-dispersed (quasi-Poisson), so clustered bursts of crime are
+ * not mistaken for a trend.
+ * Returns null when the series is too short or empty.
+ */
+const poissonTrend = (counts, { maxIterations = 25, tolerance = 1e-8 } = {}) => {
+  const n = counts.length;
+  const total = counts.reduce((sum, count) => sum + count, 0);
+  if (n < 4 || total === 0) return null;
+
+  // Centre time so the intercept and slope are nearly uncorrelated
+  const meanT = (n - 1) / 2;
+  const t = counts.map((count, index) => index - meanT);
+
+  let b0 = Math.log(total / n);
+  let b1 = 0;
+  let info = null;
+
+  for (let iteration = 0; iteration < maxIterations; iteration++) {
+    let s00 = 0, s01 = 0, s11 = 0, r0 = 0, r1 = 0;
+    for (let i = 0; i < n; i++) {
+      const mu = Math.exp(b0 + b1 * t[i]);
+      const working = b0 + b1 * t[i] + (counts[i] - mu) / mu;
+      s00 += mu;
+      s01 += mu * t[i];
+      s11 += mu * t[i] * t[i];
+      r0 += mu * working;
+      r1 += mu * working * t[i];
+    }
+
+    const det = s00 * s11 - s01 * s01;
+    if (!(det > 0)) return null;
+
+    const next0 = (s11 * r0 - s01 * r1) / det;
+    const next1 = (s00 * r1 - s01 * r0) / det;
+    const converged = Math.abs(next0 - b0) < tolerance && Math.abs(next1 - b1) < tolerance;
+    b0 = next0;
+    b1 = next1;
+    info = { s00, s11, det };
+    if (converged) break;
+  }
+
+  if (!isFinite(b0) || !isFinite(b1)) return null;
+
+  let pearson = 0;
+  for (let i = 0; i < n; i++) {
+    const mu = Math.exp(b0 + b1 * t[i]);
+    pearson += (counts[i] - mu) ** 2 / mu;
+  }
+  const dispersion = Math.max(1, pearson / Math.max(1, n - 2));
+
+  const se = Math.sqrt(info.s00 / info.det * dispersion);
+  const z = b1 / se;
+  const pValue = 2 * (1 - normalCdf(Math.abs(z)));
+
+  return {
+    intercept: b0,
+    slope: b1,
+    standardError: se,
+    zScore: z,
+    pValue,
+    dispersion,
+    // Multiplicative change per bin, e.g. 0.25 = +25% per bin
+    growthRate: Math.exp(b1) - 1,
+    growthRateInterval: {
+      lower: Math.exp(b1 - 1.96 * se) - 1,
+      upper: Math.exp(b1 + 1.96 * se) - 1
+    },
+    expectedNext: Math.exp(b0 + b1 * (n - meanT))
+  };
+};
+
+/**
+ * Poisson regression of counts on covariate columns (one array per covariate,
+ * an intercept is added) by iteratively reweighted least squares. Standard
+ * errors and the covariance matrix are scaled by the Pearson dispersion
+ * (quasi-Poisson) so clustered counts do not overstate significance.
+ * Returns null when the columns are collinear or the fit diverges.
+ */
+const fitPoisson = (counts, columns, { maxIterations = 50, tolerance = 1e-8 } = {}) => {
+  const n = counts.length;
+  const p = columns.length + 1;
+  const x = (i, j) => j === 0 ? 1 : columns[j - 1][i];
+  const total = counts.reduce((sum, count) => sum + count, 0);
+  let beta = [Math.log(Math.max(total, 0.5) / n), ...columns.map(() => 0)];
+  let xtwx = null;
+  let iterations = 0;
+
+  for (; iterations < maxIterations; iterations++) {
+    xtwx = Array.from({ length: p }, () => new Array(p).fill(0));
+    const xtwz = new Array(p).fill(0);
+
+    for (let i = 0; i < n; i++) {
+      let eta = 0;
+      for (let j = 0; j < p; j++) eta += beta[j] * x(i, j);
+      const mu = Math.exp(eta);
+      const working = eta + (counts[i] - mu) / mu;
+      for (let j = 0; j < p; j++) {
+        const xij = x(i, j);
+        if (xij === 0) continue;
+        xtwz[j] += mu * xij * working;
+        for (let k = 0; k < p; k++) xtwx[j][k] += mu * xij * x(i, k);
+      }
+    }
+
+    const next = solve(xtwx, xtwz);
+    if (!next || next.some(value => !isFinite(value))) return null;
+    const change = Math.max(...next.map((value, j) => Math.abs(value - beta[j])));
+    beta = next;
+    if (change < tolerance) break;
+  }
+
+  let pearson = 0;
+  for (let i = 0; i < n; i++) {
+    let eta = 0;
+    for (let j = 0; j < p; j++) eta += beta[j] * x(i, j);
+    const mu = Math.exp(eta);
+    pearson += (counts[i] - mu) ** 2 / mu;
+  }
+  const dispersion = Math.max(1, pearson / Math.max(1, n - p));
+
+  // Inverse information matrix, one unit vector at a time
+  const covariance = beta.map((value, j) => {
+    const unit = new Array(p).fill(0);
+    unit[j] = 1;
+    const column = solve(xtwx, unit);
+    return column ? column.map(entry => entry * dispersion) : new Array(p).fill(Infinity);
+  });
+  const standardErrors = beta.map((value, j) => Math.sqrt(Math.max(0, covariance[j][j])));
+
+  return {
+    intercept: beta[0],
+    coefficients: beta.slice(1),
+    standardErrors: standardErrors.slice(1),
+    pValues: beta.slice(1).map((value, j) => 2 * (1 - normalCdf(Math.abs(value / standardErrors[j + 1])))),
+    dispersion,
+    // Intercept first, then the coefficients in column order
+    covariance,
+    iterations
+  };
+};
+
+module.exports = {
+  DAY_MS,
+  normalCdf,
+  solve,
+  binCounts,
+  poissonTrend,
+  fitPoisson
+};